@@ -1,6 +1,43 @@
 #!/usr/bin/env bun
 import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
 import { dirname, join, resolve } from 'node:path';
+import { anomalyWarnings, detectAnomalies, quarantinedTickers, resolveDataQuality } from './lib/anomalies.mjs';
+import { addSessions, calendarForSymbol, DEFAULT_CALENDAR, previousSession, sessionCloseMs, sessionOnOrBefore } from './lib/calendar.mjs';
+import {
+  correlationMatrix,
+  crossSectionalStats,
+  HIGH_CORRELATION_THRESHOLD,
+  highlyCorrelatedPairs,
+} from './lib/cross_section.mjs';
+import { portfolioDrift, resolveDriftThreshold } from './lib/drift.mjs';
+import {
+  createMarketDataProvider,
+  fetchChartResult,
+  isDateStr,
+  mapWithConcurrency,
+  parseChartBars,
+  provenanceWarnings,
+  resolveReturnBasis,
+  splitMarketDataArgs,
+  symbolFileName,
+} from './lib/market_data.mjs';
+import {
+  buildFundamentalsRecord,
+  createFundamentalsProvider,
+  fundamentalsEligible,
+  fundamentalsQuality,
+  REPORT_LAG_DAYS,
+  splitFundamentalsArgs,
+} from './lib/fundamentals.mjs';
+import { convertChart, fxPairTicker, normalizeCurrency, resolveBaseCurrency } from './lib/fx.mjs';
+import { extractPortfolio } from './lib/nav.mjs';
+import { diffPacks, diffSummaryLines, NO_CHANGES_SUMMARY, packBesideOutput } from './lib/pack_diff.mjs';
+import { portfolioRisk } from './lib/portfolio_risk.mjs';
+import { describeRule, evaluateRiskRules, loadPreviousPacks, resolveRiskRules } from './lib/risk_rules.mjs';
+
+type MarketDataProvider = ReturnType<typeof createMarketDataProvider>;
+type FundamentalsProvider = NonNullable<ReturnType<typeof createFundamentalsProvider>>;
+type FundamentalsRecord = ReturnType<typeof buildFundamentalsRecord>;
 
 type CandidateConfig = {
   fund_id?: string;
@@ -15,10 +52,16 @@ type PortfolioItem = { ticker?: string };
 type Bar = {
   date: string;
   timestamp: number;
+  open: number | null;
+  high: number | null;
+  low: number | null;
   close: number;
+  price_close: number;
   volume: number | null;
 };
 
+type ReturnBasis = ReturnType<typeof resolveReturnBasis>;
+
 type SymbolMarketRecord = {
   ticker: string;
   yahoo_symbol: string;
@@ -30,11 +73,15 @@ type SymbolMarketRecord = {
   latest_bar_date: string | null;
   last_close: number | null;
   features: Record<string, number | boolean | null>;
+  relative_strength: Record<string, Record<string, number | null>>;
+  base_currency: string;
+  fx_symbol: string | null;
+  features_base: Record<string, number | null> | null;
   fetch_status: 'success' | 'error';
   error?: string;
 };
 
-const USAGE = 'Usage: bun run scripts/build_arena_input_pack.ts <fund_id> <run_date> <output_json_path> [prev_output_json_path]';
+const USAGE = 'Usage: bun run scripts/build_arena_input_pack.ts <fund_id> <run_date> <output_json_path> [prev_output_json_path] [--market-data=yahoo|fixture|replay] [--market-data-dir=<dir>] [--fundamentals=off|financial_datasets] [--fundamentals-base-url=<url>] [--rebalance-checkpoint=<YYYY-MM-DD>]';
 
 function die(message: string, code = 1): never {
   console.error(message);
@@ -64,65 +111,25 @@ function uniqTickers(values: Array<string | null | undefined>, aliases: Record<s
   return out;
 }
 
-function toUtcDateString(tsMs: number): string {
-  const d = new Date(tsMs);
-  const yyyy = d.getUTCFullYear();
-  const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const dd = String(d.getUTCDate()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function todayUtcDateString(): string {
-  return toUtcDateString(Date.now());
-}
-
 function parseRunDate(dateStr: string): number {
   const ms = Date.parse(`${dateStr}T00:00:00Z`);
   if (!Number.isFinite(ms)) die(`Invalid run_date: ${dateStr}`);
   return ms;
 }
 
+// NYSE sessions of history to fetch: the 252-session lookback and MA200 plus
+// headroom for symbols with sparse early data.
+const HISTORY_SESSIONS = 310;
+
 function periodWindow(runDate: string) {
   const runMs = parseRunDate(runDate);
   const period2 = Math.floor((runMs + 86400000) / 1000); // exclusive end; include run_date daily bar
-  const period1 = Math.floor((runMs - (450 * 86400000)) / 1000);
+  const period1 = Math.floor(parseRunDate(addSessions(DEFAULT_CALENDAR, runDate, -HISTORY_SESSIONS)) / 1000);
   return { period1, period2 };
 }
 
-function yahooSymbolCandidates(symbol: string): string[] {
-  const s = symbol.trim();
-  const candidates = [s];
-  if (s.includes('.')) candidates.push(s.replace(/\./g, '-'));
-  if (s.includes('-') && !s.endsWith('-USD')) candidates.push(s.replace(/-/g, '.'));
-  return [...new Set(candidates)];
-}
-
-function cachePath(repoRoot: string, runDate: string, symbol: string): string {
-  return join(repoRoot, '.cache', 'arena_market_data', 'yahoo_chart_1d', runDate, `${symbol.replace(/[^\w.-]+/g, '_')}.json`);
-}
-
-async function fetchWithRetry(url: string, init: RequestInit, retries: number): Promise<Response> {
-  let lastErr: unknown;
-  for (let attempt = 0; attempt <= retries; attempt += 1) {
-    try {
-      const controller = new AbortController();
-      const timeoutMs = Number(process.env.YAHOO_CHART_TIMEOUT_MS || '15000');
-      const timeout = setTimeout(() => controller.abort(), Number.isFinite(timeoutMs) ? timeoutMs : 15000);
-      try {
-        const res = await fetch(url, { ...init, signal: controller.signal });
-        return res;
-      } finally {
-        clearTimeout(timeout);
-      }
-    } catch (err) {
-      lastErr = err;
-      if (attempt < retries) {
-        const backoffMs = 250 * (attempt + 1);
-        await new Promise((r) => setTimeout(r, backoffMs));
-      }
-    }
-  }
-  throw lastErr instanceof Error ? lastErr : new Error(String(lastErr));
+function cachePath(repoRoot: string, providerName: string, runDate: string, symbol: string): string {
+  return join(repoRoot, '.cache', 'arena_market_data', `${providerName}_chart_1d`, runDate, `${symbolFileName(symbol)}.json`);
 }
 
 function readCacheFresh(filePath: string): any | null {
@@ -134,89 +141,85 @@ function readCacheFresh(filePath: string): any | null {
   }
 }
 
-function trimLiveRunDateCryptoBars(bars: Bar[], runDate: string, instrumentType: unknown): Bar[] {
-  if (runDate !== todayUtcDateString()) return bars;
-  const kind = String(instrumentType || '').toUpperCase();
-  if (!kind.includes('CRYPTO')) return bars;
+// Drop trailing bars whose session has not closed yet on the symbol's calendar
+// (a live crypto day, or an equity session fetched intraday), so every lane
+// built during the same session sees the same closes.
+function trimLiveBars(bars: Bar[], calendar: string, nowMs: number): Bar[] {
   let keep = bars.length;
-  while (keep > 0 && bars[keep - 1]?.date === runDate) {
+  while (keep > 0) {
+    const closeMs = sessionCloseMs(calendar, bars[keep - 1].date);
+    if (closeMs == null || closeMs <= nowMs) break;
     keep -= 1;
   }
   return keep === bars.length ? bars : bars.slice(0, keep);
 }
 
-async function fetchYahooChart(repoRoot: string, symbol: string, runDate: string): Promise<{ resolvedSymbol: string; raw: any }> {
-  const cached = readCacheFresh(cachePath(repoRoot, runDate, symbol));
-  if (cached) {
-    return { resolvedSymbol: String(cached._resolvedSymbol || symbol), raw: cached };
+async function fetchChartCached(
+  repoRoot: string,
+  marketData: MarketDataProvider,
+  symbol: string,
+  runDate: string,
+): Promise<{ resolvedSymbol: string; result: any; provenance: any }> {
+  const cacheFile = cachePath(repoRoot, marketData.name, runDate, symbol);
+  const cached = readCacheFresh(cacheFile);
+  if (cached?.chart?.result?.[0]) {
+    return {
+      resolvedSymbol: String(cached._resolvedSymbol || symbol),
+      result: cached.chart.result[0],
+      provenance: cached._provenance || { source: marketData.name, failed_over_from: [], cross_check: null },
+    };
   }
 
-  const { period1, period2 } = periodWindow(runDate);
-  const retries = Number(process.env.YAHOO_MAX_RETRIES || '2');
-  let lastError = 'unknown error';
-
-  for (const candidate of yahooSymbolCandidates(symbol)) {
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(candidate)}?interval=1d&period1=${period1}&period2=${period2}&includeAdjustedClose=true&events=div,splits`;
-    try {
-      const res = await fetchWithRetry(url, {
-        headers: {
-          'User-Agent': 'hedge-labs-fund-arena/1.0',
-          'Accept': 'application/json',
-        },
-      }, Number.isFinite(retries) ? retries : 2);
-
-      if (!res.ok) {
-        lastError = `HTTP ${res.status}`;
-        continue;
-      }
-      const raw = await res.json();
-      const result = raw?.chart?.result?.[0];
-      if (!result?.timestamp || !result?.indicators?.quote?.[0]) {
-        lastError = 'missing chart result';
-        continue;
-      }
+  const { resolvedSymbol, result, provenance } = await fetchChartResult(marketData, symbol, periodWindow(runDate));
+  mkdirSync(dirname(cacheFile), { recursive: true });
+  writeFileSync(cacheFile, `${JSON.stringify({ chart: { result: [result] }, _resolvedSymbol: resolvedSymbol, _provenance: provenance })}\n`);
+  return { resolvedSymbol, result, provenance };
+}
 
-      const cacheFile = cachePath(repoRoot, runDate, symbol);
-      mkdirSync(dirname(cacheFile), { recursive: true });
-      writeFileSync(cacheFile, `${JSON.stringify({ ...raw, _resolvedSymbol: candidate })}\n`);
-      return { resolvedSymbol: candidate, raw };
-    } catch (err) {
-      lastError = err instanceof Error ? err.message : String(err);
-    }
-  }
+function fundamentalsCachePath(repoRoot: string, providerName: string, runDate: string, symbol: string): string {
+  return join(repoRoot, '.cache', 'arena_fundamentals', providerName, runDate, `${symbolFileName(symbol)}.json`);
+}
 
-  throw new Error(`Yahoo chart fetch failed for ${symbol}: ${lastError}`);
-}
-
-function parseYahooBars(raw: any, runDate: string): { meta: any; bars: Bar[] } {
-  const result = raw?.chart?.result?.[0];
-  const timestamps: number[] = Array.isArray(result?.timestamp) ? result.timestamp : [];
-  const quote = result?.indicators?.quote?.[0] || {};
-  const adj = result?.indicators?.adjclose?.[0]?.adjclose || [];
-  const closes: any[] = Array.isArray(quote.close) ? quote.close : [];
-  const volumes: any[] = Array.isArray(quote.volume) ? quote.volume : [];
-  const runDateMs = parseRunDate(runDate);
-
-  const bars: Bar[] = [];
-  for (let i = 0; i < timestamps.length; i += 1) {
-    const tsSec = Number(timestamps[i]);
-    if (!Number.isFinite(tsSec)) continue;
-    const tsMs = tsSec * 1000;
-    if (tsMs > (runDateMs + 86400000 - 1)) continue;
-
-    const closeRaw = (Array.isArray(adj) && Number.isFinite(Number(adj[i]))) ? Number(adj[i]) : Number(closes[i]);
-    if (!Number.isFinite(closeRaw) || closeRaw <= 0) continue;
-
-    const volumeRaw = Number(volumes[i]);
-    bars.push({
-      date: toUtcDateString(tsMs),
-      timestamp: tsSec,
-      close: closeRaw,
-      volume: Number.isFinite(volumeRaw) ? volumeRaw : null,
-    });
-  }
+async function fetchFundamentalsCached(
+  repoRoot: string,
+  fundamentals: FundamentalsProvider,
+  symbol: string,
+  runDate: string,
+): Promise<any> {
+  const cacheFile = fundamentalsCachePath(repoRoot, fundamentals.name, runDate, symbol);
+  const cached = readCacheFresh(cacheFile);
+  if (Array.isArray(cached?.financial_metrics)) return cached;
 
-  return { meta: result?.meta || {}, bars };
+  const raw = await fundamentals.fetchSnapshot(symbol);
+  mkdirSync(dirname(cacheFile), { recursive: true });
+  writeFileSync(cacheFile, `${JSON.stringify(raw)}\n`);
+  return raw;
+}
+
+function errorRecord(ticker: string, baseCurrency: string, message: string): SymbolMarketRecord {
+  return {
+    ticker,
+    yahoo_symbol: ticker,
+    name: null,
+    currency: null,
+    exchange: null,
+    instrument_type: null,
+    bars_available: 0,
+    latest_bar_date: null,
+    last_close: null,
+    features: {},
+    relative_strength: {},
+    base_currency: baseCurrency,
+    fx_symbol: null,
+    features_base: null,
+    fetch_status: 'error',
+    error: message,
+  };
+}
+
+function parseYahooBars(result: any, runDate: string, basis: ReturnBasis): { meta: any; bars: Bar[]; events: any } {
+  const maxTimestamp = Math.floor((parseRunDate(runDate) + 86400000 - 1) / 1000);
+  return parseChartBars(result, { maxTimestamp, basis });
 }
 
 function round(value: number | null | undefined, decimals = 4): number | null {
@@ -226,10 +229,18 @@ function round(value: number | null | undefined, decimals = 4): number | null {
   return Math.round(v * factor) / factor;
 }
 
-function percentReturn(bars: Bar[], lookbackBars: number): number | null {
-  if (bars.length <= lookbackBars) return null;
-  const last = bars[bars.length - 1]?.close;
-  const prev = bars[bars.length - 1 - lookbackBars]?.close;
+// Return over the last `sessions` NYSE sessions ending at the latest bar, so a
+// 24/7 asset's "1w" spans the same days as an equity's. The base is the close
+// on or before the anchor session.
+function percentReturn(bars: Bar[], sessions: number): number | null {
+  if (bars.length < 2) return null;
+  const lastBar = bars[bars.length - 1];
+  const anchor = addSessions(DEFAULT_CALENDAR, lastBar.date, -sessions);
+  if (bars[0].date > anchor) return null;
+  let i = bars.length - 1;
+  while (i > 0 && bars[i].date > anchor) i -= 1;
+  const last = lastBar.close;
+  const prev = bars[i].close;
   if (!Number.isFinite(last) || !Number.isFinite(prev) || prev === 0) return null;
   return round(((last / prev) - 1) * 100, 3);
 }
@@ -272,13 +283,84 @@ function maxDrawdown(bars: Bar[], n: number): number | null {
   return round(worst, 3);
 }
 
+// Technical features run on the price basis (`price_close` and the quote's
+// OHLC): levels, ranges and gaps describe the traded price, not a reinvested one.
+
+// Wilder's average true range over n bars; bars without high/low use the close.
+function averageTrueRange(bars: Bar[], n: number): number | null {
+  if (bars.length < n + 1) return null;
+  const trs: number[] = [];
+  for (let i = 1; i < bars.length; i += 1) {
+    const prevClose = bars[i - 1].price_close;
+    const high = bars[i].high ?? bars[i].price_close;
+    const low = bars[i].low ?? bars[i].price_close;
+    trs.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  let atr = trs.slice(0, n).reduce((a, b) => a + b, 0) / n;
+  for (let i = n; i < trs.length; i += 1) atr = ((atr * (n - 1)) + trs[i]) / n;
+  return atr;
+}
+
+// Wilder's relative strength index over n bars (0–100).
+function relativeStrengthIndex(bars: Bar[], n: number): number | null {
+  if (bars.length < n + 1) return null;
+  const changes = bars.slice(1).map((b, i) => b.price_close - bars[i].price_close);
+  let gain = changes.slice(0, n).reduce((a, c) => a + Math.max(c, 0), 0) / n;
+  let loss = changes.slice(0, n).reduce((a, c) => a + Math.max(-c, 0), 0) / n;
+  for (let i = n; i < changes.length; i += 1) {
+    gain = ((gain * (n - 1)) + Math.max(changes[i], 0)) / n;
+    loss = ((loss * (n - 1)) + Math.max(-changes[i], 0)) / n;
+  }
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return round(100 - (100 / (1 + (gain / loss))), 2);
+}
+
+// Highest high and lowest low over the last n bars (close when OHLC is missing).
+function priceRange(bars: Bar[], n: number): { high: number; low: number } | null {
+  if (bars.length === 0) return null;
+  const slice = bars.slice(-n);
+  return {
+    high: Math.max(...slice.map((b) => b.high ?? b.price_close)),
+    low: Math.min(...slice.map((b) => b.low ?? b.price_close)),
+  };
+}
+
+// Mean of close × volume over the last n bars that report volume, in the quote
+// currency. Yahoo already reports crypto volume in the quote currency.
+function averageDollarVolume(bars: Bar[], n: number, volumeInQuoteCurrency: boolean): number | null {
+  const values = bars.slice(-n)
+    .filter((b) => Number.isFinite(Number(b.volume)) && Number(b.volume) > 0)
+    .map((b) => (volumeInQuoteCurrency ? Number(b.volume) : Number(b.volume) * b.price_close));
+  if (values.length === 0) return null;
+  return round(values.reduce((a, b) => a + b, 0) / values.length, 0);
+}
+
+// Opens at least GAP_THRESHOLD_PCT away from the prior close over the last n bars.
+const GAP_THRESHOLD_PCT = 2;
+
+function gapCounts(bars: Bar[], n: number): { up: number; down: number } | null {
+  const slice = bars.slice(-(n + 1));
+  if (slice.length < 2 || slice.slice(1).every((b) => b.open == null)) return null;
+  let up = 0;
+  let down = 0;
+  for (let i = 1; i < slice.length; i += 1) {
+    const open = slice[i].open;
+    if (open == null) continue;
+    const gapPct = ((open / slice[i - 1].price_close) - 1) * 100;
+    if (gapPct >= GAP_THRESHOLD_PCT) up += 1;
+    else if (gapPct <= -GAP_THRESHOLD_PCT) down += 1;
+  }
+  return { up, down };
+}
+
 function trendFlag(lastClose: number | null, ma: number | null): boolean | null {
   if (!Number.isFinite(Number(lastClose)) || !Number.isFinite(Number(ma)) || Number(ma) === 0) return null;
   return Number(lastClose) > Number(ma);
 }
 
-function computeFeatures(bars: Bar[]): Record<string, number | boolean | null> {
+function computeFeatures(bars: Bar[], { volumeInQuoteCurrency = false } = {}): Record<string, number | boolean | null> {
   const lastClose = bars.length > 0 ? bars[bars.length - 1].close : null;
+  const lastPrice = bars.length > 0 ? bars[bars.length - 1].price_close : null;
   const ma20 = movingAverage(bars, 20);
   const ma50 = movingAverage(bars, 50);
   const ma200 = movingAverage(bars, 200);
@@ -291,6 +373,11 @@ function computeFeatures(bars: Bar[]): Record<string, number | boolean | null> {
   const mdd63 = maxDrawdown(bars, 63);
   const mdd252 = maxDrawdown(bars, 252);
 
+  const atr14 = averageTrueRange(bars, 14);
+  const range52w = priceRange(bars, 252);
+  const gaps63 = gapCounts(bars, 63);
+  const fromRange = (level: number | undefined) => (lastPrice != null && level ? round(((lastPrice / level) - 1) * 100, 3) : null);
+
   const momentumPieces = [ret1m, ret3m, ret6m, ret12m].filter((v): v is number => Number.isFinite(Number(v)));
   const momentumComposite = momentumPieces.length > 0
     ? round(momentumPieces.reduce((a, b) => a + b, 0) / momentumPieces.length, 3)
@@ -311,13 +398,90 @@ function computeFeatures(bars: Bar[]): Record<string, number | boolean | null> {
     max_drawdown_63d_pct: mdd63,
     max_drawdown_252d_pct: mdd252,
     momentum_composite_pct: momentumComposite,
+    atr_14: round(atr14, 4),
+    atr_14_pct: atr14 != null && lastPrice ? round((atr14 / lastPrice) * 100, 3) : null,
+    rsi_14: relativeStrengthIndex(bars, 14),
+    high_52w: round(range52w?.high, 4),
+    low_52w: round(range52w?.low, 4),
+    pct_from_52w_high: fromRange(range52w?.high),
+    pct_from_52w_low: fromRange(range52w?.low),
+    avg_dollar_volume_20d: averageDollarVolume(bars, 20, volumeInQuoteCurrency),
+    gap_up_count_63d: gaps63 ? gaps63.up : null,
+    gap_down_count_63d: gaps63 ? gaps63.down : null,
   };
 }
 
+const RELATIVE_STRENGTH_WINDOWS = ['1m', '3m', '6m', '12m'] as const;
+
+// Return minus each benchmark's return over the same windows, in percentage points.
+function relativeStrength(
+  features: Record<string, number | boolean | null>,
+  benchmarks: Array<{ ticker: string; features: Record<string, number | boolean | null> }>,
+): Record<string, Record<string, number | null>> {
+  const out: Record<string, Record<string, number | null>> = {};
+  for (const bench of benchmarks) {
+    out[bench.ticker] = Object.fromEntries(RELATIVE_STRENGTH_WINDOWS.map((w) => {
+      const own = features[`return_${w}_pct`];
+      const theirs = bench.features[`return_${w}_pct`];
+      const value = typeof own === 'number' && typeof theirs === 'number' ? round(own - theirs, 3) : null;
+      return [`rs_${w}_pct`, value];
+    }));
+  }
+  return out;
+}
+
+const BASE_CURRENCY_FEATURES = [
+  'return_1w_pct',
+  'return_1m_pct',
+  'return_3m_pct',
+  'return_6m_pct',
+  'return_12m_pct',
+  'momentum_composite_pct',
+] as const;
+
+// Bars re-expressed in the lane base currency using the FX pair's closes, or
+// null when the pair is needed but unavailable.
+function baseCurrencyBars(bars: Bar[], meta: any, fxBars: Bar[] | null, baseCurrency: string): Bar[] | null {
+  const chart = { meta, dates: bars.map((b) => b.date), closes: bars.map((b) => b.close) };
+  const fxChart = fxBars ? { dates: fxBars.map((b) => b.date), closes: fxBars.map((b) => b.price_close) } : null;
+  const converted = convertChart(chart, fxChart, baseCurrency);
+  if (!converted) return null;
+  const byDate = new Map(bars.map((b) => [b.date, b]));
+  return converted.dates.map((date: string, i: number) => ({ ...byDate.get(date)!, close: converted.closes[i] }));
+}
+
+function baseCurrencyFeatures(bars: Bar[] | null): Record<string, number | null> | null {
+  if (!bars) return null;
+  const features = computeFeatures(bars);
+  return Object.fromEntries(BASE_CURRENCY_FEATURES.map((k) => [k, (features[k] as number | null) ?? null]));
+}
+
+// Features compared across the candidate universe (price levels such as the
+// moving averages are not comparable between symbols and are left out).
+const CROSS_SECTION_FEATURES = [
+  'return_1w_pct',
+  'return_1m_pct',
+  'return_3m_pct',
+  'return_6m_pct',
+  'return_12m_pct',
+  'momentum_composite_pct',
+  'vol_20d_annualized_pct',
+  'max_drawdown_63d_pct',
+  'max_drawdown_252d_pct',
+  'atr_14_pct',
+  'rsi_14',
+  'pct_from_52w_high',
+  'avg_dollar_volume_20d',
+] as const;
+
+const CORRELATION_WINDOWS = [63, 252] as const;
+
 function scoreRow(market: SymbolMarketRecord) {
   const f = market.features || {};
+  const fb = market.features_base || {};
   return {
     ticker: market.ticker,
+    currency: market.currency,
     last_close: market.last_close,
     asof_date: market.latest_bar_date,
     ret_1m_pct: f.return_1m_pct ?? null,
@@ -325,10 +489,22 @@ function scoreRow(market: SymbolMarketRecord) {
     ret_6m_pct: f.return_6m_pct ?? null,
     ret_12m_pct: f.return_12m_pct ?? null,
     momentum_composite_pct: f.momentum_composite_pct ?? null,
+    ret_1m_base_pct: fb.return_1m_pct ?? null,
+    ret_3m_base_pct: fb.return_3m_pct ?? null,
+    ret_12m_base_pct: fb.return_12m_pct ?? null,
+    momentum_composite_base_pct: fb.momentum_composite_pct ?? null,
     above_ma_50: f.above_ma_50 ?? null,
     above_ma_200: f.above_ma_200 ?? null,
     vol_20d_annualized_pct: f.vol_20d_annualized_pct ?? null,
     max_drawdown_63d_pct: f.max_drawdown_63d_pct ?? null,
+    atr_14_pct: f.atr_14_pct ?? null,
+    rsi_14: f.rsi_14 ?? null,
+    pct_from_52w_high: f.pct_from_52w_high ?? null,
+    pct_from_52w_low: f.pct_from_52w_low ?? null,
+    avg_dollar_volume_20d: f.avg_dollar_volume_20d ?? null,
+    gap_up_count_63d: f.gap_up_count_63d ?? null,
+    gap_down_count_63d: f.gap_down_count_63d ?? null,
+    rs_3m_pct: Object.fromEntries(Object.entries(market.relative_strength || {}).map(([b, rs]) => [b, rs.rs_3m_pct ?? null])),
   };
 }
 
@@ -338,9 +514,60 @@ function fmt(v: unknown, digits = 2): string {
   return n.toFixed(digits);
 }
 
+// Base-currency returns next to local ones for symbols quoted in another currency.
+function fxSuffix(row: any, baseCurrency: string): string {
+  const local = normalizeCurrency(row.currency)?.currency;
+  if (!local || local === baseCurrency) return '';
+  if (row.momentum_composite_base_pct == null && row.ret_3m_base_pct == null) return ` [${local}; ${baseCurrency} returns n/a]`;
+  return ` [${local}; in ${baseCurrency}: 1m=${fmt(row.ret_1m_base_pct)}% 3m=${fmt(row.ret_3m_base_pct)}% 12m=${fmt(row.ret_12m_base_pct)}% mom=${fmt(row.momentum_composite_base_pct)}%]`;
+}
+
+function fmtMoney(v: unknown): string {
+  const n = Number(v);
+  if (v == null || !Number.isFinite(n)) return 'n/a';
+  if (n >= 1e9) return `${(n / 1e9).toFixed(2)}B`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}K`;
+  return n.toFixed(0);
+}
+
+function technicalsLine(row: any): string {
+  const rs = Object.entries(row.rs_3m_pct || {}).map(([b, v]) => `${b}=${fmt(v)}`).join(' ');
+  return `- ${row.ticker}: RSI14=${fmt(row.rsi_14, 1)} ATR14=${fmt(row.atr_14_pct)}% `
+    + `52w: ${fmt(row.pct_from_52w_high)}% from high, +${fmt(row.pct_from_52w_low)}% from low `
+    + `$vol20=${fmtMoney(row.avg_dollar_volume_20d)} gaps63(up/down)=${row.gap_up_count_63d ?? 'n/a'}/${row.gap_down_count_63d ?? 'n/a'}`
+    + `${rs ? ` RS3m[${rs}]` : ''}`;
+}
+
+function fundamentalsLine(r: FundamentalsRecord): string {
+  const v = r.valuation;
+  const g = r.growth;
+  const mg = r.margins;
+  const b = r.balance_sheet;
+  const earnings = r.earnings.latest_earnings_date
+    ? `last earnings ${r.earnings.latest_earnings_date} (${r.earnings.days_since_earnings}d ago)`
+    : 'last earnings n/a';
+  const stale = r.quality_flags.includes('stale_report_period') ? ' [stale]' : '';
+  return `- ${r.ticker} (TTM to ${r.report_period}${r.fiscal_period ? `, ${r.fiscal_period}` : ''}): `
+    + `P/E=${fmt(v.pe_ratio)} EV/EBITDA=${fmt(v.ev_to_ebitda)} P/S=${fmt(v.ps_ratio)} FCF yield=${fmt(v.fcf_yield_pct)}% | `
+    + `rev growth=${fmt(g.revenue_growth_pct)}% EPS growth=${fmt(g.eps_growth_pct)}% | `
+    + `gross=${fmt(mg.gross_margin_pct)}% op=${fmt(mg.operating_margin_pct)}% net=${fmt(mg.net_margin_pct)}% | `
+    + `ROE=${fmt(b.return_on_equity_pct)}% D/E=${fmt(b.debt_to_equity)} | ${earnings}${stale}`;
+}
+
 function buildPromptText(params: {
   runDate: string;
+  returnBasis: ReturnBasis;
+  baseCurrency: string;
+  priceProviders: string;
   quality: any;
+  fundamentals: any;
+  crossSection: any;
+  correlation: any;
+  packDiff: any;
+  portfolioDrift: any;
+  portfolioRisk: any;
+  riskRuleBreaches: any;
   benchmarkRows: any[];
   holdingRows: any[];
   topMomentum: any[];
@@ -349,22 +576,49 @@ function buildPromptText(params: {
   candidatePoolPath: string | null;
 }): string {
   const {
-    runDate, quality, benchmarkRows, holdingRows, topMomentum, bottomMomentum, missingSymbols, candidatePoolPath,
+    runDate, returnBasis, baseCurrency, priceProviders, quality, fundamentals, crossSection, correlation, packDiff, portfolioDrift, portfolioRisk, riskRuleBreaches, benchmarkRows, holdingRows, topMomentum, bottomMomentum, missingSymbols, candidatePoolPath,
   } = params;
 
+  const rankOf = (ticker: string, feature: string) => crossSection?.by_ticker?.[ticker]?.pct_rank?.[feature] ?? null;
+  const rankSuffix = (ticker: string) => (crossSection?.by_ticker?.[ticker]
+    ? ` rank[mom=${fmt(rankOf(ticker, 'momentum_composite_pct'), 0)}p vol20=${fmt(rankOf(ticker, 'vol_20d_annualized_pct'), 0)}p]`
+    : '');
+
   const lines: string[] = [];
-  lines.push(`Arena input pack v1 (Yahoo deterministic prices) for ${runDate}`);
+  const fundamentalsOn = fundamentals?.provider !== 'off';
+  lines.push(`Arena input pack v2 (deterministic prices from ${priceProviders}${fundamentalsOn ? ' + Financial Datasets fundamentals' : ''}) for ${runDate}`);
   lines.push(`Pack status: ${quality?.status || 'unknown'}`);
-  lines.push(`Yahoo coverage: ${quality?.yahoo_success_count ?? 0}/${quality?.yahoo_symbol_count ?? 0} (errors=${quality?.yahoo_error_count ?? 0})`);
+  lines.push(`Return basis: ${returnBasis === 'price' ? 'price return (split-adjusted closes)' : 'total return (dividends reinvested)'}`);
+  lines.push(`Base currency: ${baseCurrency} (returns are in local currency unless marked)`);
+  lines.push(`Price coverage (providers: ${priceProviders}): ${quality?.yahoo_success_count ?? 0}/${quality?.yahoo_symbol_count ?? 0} (errors=${quality?.yahoo_error_count ?? 0})`);
   lines.push(`Required symbol coverage: ${quality?.required_symbol_coverage?.available_count ?? 0}/${quality?.required_symbol_coverage?.required_count ?? 0}`);
   lines.push(`Benchmark coverage: ${quality?.benchmark_coverage?.available_count ?? 0}/${quality?.benchmark_coverage?.required_count ?? 0}`);
+  if (fundamentalsOn) {
+    lines.push(`Fundamentals: ${fundamentals.status} (${fundamentals.quality.success_count}/${fundamentals.quality.eligible_count} equities)`);
+  }
   if (candidatePoolPath) lines.push(`Candidate pool config: ${candidatePoolPath}`);
   if (missingSymbols.length > 0) lines.push(`Missing symbols: ${missingSymbols.join(', ')}`);
+  if (packDiff) {
+    lines.push('');
+    lines.push(`Changes since the previous pack (${packDiff.previous_run_date}):`);
+    for (const line of packDiff.summary.length > 0 ? packDiff.summary : [NO_CHANGES_SUMMARY]) lines.push(`- ${line}`);
+  }
+  if (riskRuleBreaches) {
+    lines.push('');
+    lines.push('Risk rule breaches (fund.config.json risk_rules; trim or exit each breached holding, or flag it in thesis_damage_flags):');
+    if (riskRuleBreaches.breaches.length === 0) {
+      lines.push(`- none (${riskRuleBreaches.rules.length} rule(s) checked across ${riskRuleBreaches.evaluated_tickers.length} holding(s))`);
+    }
+    for (const b of riskRuleBreaches.breaches) {
+      const rule = riskRuleBreaches.rules.find((r: any) => r.id === b.rule_id);
+      lines.push(`- ${b.ticker}: ${b.rule_id} (${describeRule(rule)}; now ${b.feature}=${typeof b.observed === 'number' ? fmt(b.observed) : String(b.observed)})`);
+    }
+  }
   lines.push('');
   lines.push('Benchmarks (deterministic price/history features):');
   for (const row of benchmarkRows) {
     lines.push(
-      `- ${row.ticker}: close=${fmt(row.last_close)} 1m=${fmt(row.ret_1m_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}% mom=${fmt(row.momentum_composite_pct)}% MA50=${String(row.above_ma_50)} MA200=${String(row.above_ma_200)}`
+      `- ${row.ticker}: close=${fmt(row.last_close)} 1m=${fmt(row.ret_1m_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}% mom=${fmt(row.momentum_composite_pct)}% MA50=${String(row.above_ma_50)} MA200=${String(row.above_ma_200)}${fxSuffix(row, baseCurrency)}`
     );
   }
   if (holdingRows.length > 0) {
@@ -372,32 +626,85 @@ function buildPromptText(params: {
     lines.push('Current holdings (deterministic price/history features):');
     for (const row of holdingRows) {
       lines.push(
-        `- ${row.ticker}: close=${fmt(row.last_close)} 1m=${fmt(row.ret_1m_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}% mom=${fmt(row.momentum_composite_pct)}% vol20=${fmt(row.vol_20d_annualized_pct)}% dd63=${fmt(row.max_drawdown_63d_pct)}%`
+        `- ${row.ticker}: close=${fmt(row.last_close)} 1m=${fmt(row.ret_1m_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}% mom=${fmt(row.momentum_composite_pct)}% vol20=${fmt(row.vol_20d_annualized_pct)}% dd63=${fmt(row.max_drawdown_63d_pct)}%${rankSuffix(row.ticker)}${fxSuffix(row, baseCurrency)}`
       );
     }
+    if (portfolioDrift) {
+      lines.push('');
+      lines.push(`Portfolio drift since the ${portfolioDrift.checkpoint_date} rebalance checkpoint (prices ${portfolioDrift.start_price_date} -> ${portfolioDrift.asof_price_date ?? 'n/a'}, ${baseCurrency}):`);
+      for (const h of portfolioDrift.holdings) {
+        lines.push(`- ${h.ticker}: target=${fmt(h.target_weight_pct)}% current=${fmt(h.current_weight_pct)}% drift=${h.drift_pct > 0 ? '+' : ''}${fmt(h.drift_pct)}pp ret=${fmt(h.return_since_checkpoint_pct)}%`);
+      }
+      if (portfolioDrift.unpriced.length > 0) lines.push(`- Unpriced (held at target weight): ${portfolioDrift.unpriced.join(', ')}`);
+      lines.push(`- Total absolute drift: ${fmt(portfolioDrift.total_abs_drift_pct)}% (threshold ${fmt(portfolioDrift.drift_threshold_pct)}%); drift rebalance suggested: ${portfolioDrift.drift_rebalance_suggested ? 'YES' : 'no'}`);
+    }
+    if (portfolioRisk) {
+      lines.push('');
+      lines.push(`Portfolio risk at previous target weights (${portfolioRisk.observations} daily returns ${portfolioRisk.start_date ?? 'n/a'} -> ${portfolioRisk.end_date ?? 'n/a'}, ${baseCurrency}; covers ${fmt(portfolioRisk.priced_weight_pct)}% of weight):`);
+      const tail = (c: string) => portfolioRisk.var_1d?.[c];
+      const betas = Object.entries(portfolioRisk.beta).map(([t, b]) => `${t}=${fmt(b as number | null)}`).join(' ');
+      lines.push(`- Ex-ante vol=${fmt(portfolioRisk.annualized_vol_pct)}% | 1d VaR95=${fmt(tail('95')?.var_pct)}% CVaR95=${fmt(tail('95')?.cvar_pct)}% VaR99=${fmt(tail('99')?.var_pct)}% CVaR99=${fmt(tail('99')?.cvar_pct)}% | beta ${betas || 'n/a'}`);
+      const contributors = portfolioRisk.top_risk_contributors.map((c: any) => `${c.ticker} ${fmt(c.risk_contribution_pct)}% (w=${fmt(c.weight_pct)}%)`);
+      if (contributors.length > 0) lines.push(`- Top risk contributors (share of variance): ${contributors.join(', ')}`);
+      const sectors = portfolioRisk.sector_exposure.map((x: any) => `${x.sector} ${fmt(x.weight_pct)}%`).join(', ');
+      lines.push(`- Sector exposure: ${sectors} | crypto ${fmt(portfolioRisk.crypto_exposure_pct)}%`);
+      if (portfolioRisk.unpriced.length > 0) lines.push(`- Unpriced (left out of the risk figures): ${portfolioRisk.unpriced.join(', ')}`);
+    }
+    const [shortWindow, ...longWindows] = correlation?.matrices || [];
+    if (shortWindow) {
+      lines.push('');
+      lines.push(`Highly correlated current holdings (${shortWindow.window_bars}-bar return correlation >= ${fmt(correlation.high_correlation_threshold)}):`);
+      if (correlation.correlated_holding_pairs.length === 0) lines.push('- none');
+      for (const pair of correlation.correlated_holding_pairs) {
+        const windows = [shortWindow, ...longWindows].map((m: any) => `${m.window_bars}b=${fmt(pair[`corr_${m.window_bars}`])}`);
+        lines.push(`- ${pair.tickers.join(' / ')}: ${windows.join(' ')}`);
+      }
+    }
   }
   lines.push('');
-  lines.push('Top momentum candidates (from deterministic pack):');
+  lines.push('Top momentum candidates (from deterministic pack; rank = percentile across candidates):');
   for (const row of topMomentum) {
-    lines.push(`- ${row.ticker}: mom=${fmt(row.momentum_composite_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}%`);
+    lines.push(`- ${row.ticker}: mom=${fmt(row.momentum_composite_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}%${rankSuffix(row.ticker)}${fxSuffix(row, baseCurrency)}`);
   }
   lines.push('');
   lines.push('Weakest momentum candidates (from deterministic pack):');
   for (const row of bottomMomentum) {
-    lines.push(`- ${row.ticker}: mom=${fmt(row.momentum_composite_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}%`);
+    lines.push(`- ${row.ticker}: mom=${fmt(row.momentum_composite_pct)}% 3m=${fmt(row.ret_3m_pct)}% 6m=${fmt(row.ret_6m_pct)}% 12m=${fmt(row.ret_12m_pct)}%${fxSuffix(row, baseCurrency)}`);
+  }
+  const technicalRows = [...holdingRows, ...topMomentum.filter((r) => !holdingRows.some((h) => h.ticker === r.ticker))];
+  if (technicalRows.length > 0) {
+    lines.push('');
+    lines.push('Technicals for holdings and top candidates (price basis; $vol20 = 20-bar average dollar volume in quote currency; RS3m = 3m return minus benchmark 3m, in pp):');
+    for (const row of technicalRows) lines.push(technicalsLine(row));
+  }
+  const fundamentalRecords = Object.values(fundamentals?.by_ticker || {}) as FundamentalsRecord[];
+  if (fundamentalRecords.length > 0) {
+    lines.push('');
+    lines.push('Fundamentals (deterministic; latest TTM period public on run date):');
+    for (const record of fundamentalRecords) lines.push(fundamentalsLine(record));
   }
   return `${lines.join('\n')}\n`;
 }
 
 async function main() {
-  const [, , fundId, runDate, outPathArg, prevOutputPathArg] = process.argv;
+  const { args: marketDataRest, options: marketDataOptions } = splitMarketDataArgs(process.argv.slice(2));
+  const { args, options: fundamentalsOptions } = splitFundamentalsArgs(marketDataRest);
+  const checkpointArg = args.find((a) => a.startsWith('--rebalance-checkpoint='));
+  const [fundId, runDate, outPathArg, prevOutputPathArg] = args.filter((a) => a !== checkpointArg);
   if (!fundId || !runDate || !outPathArg) die(USAGE, 64);
+  const rebalanceCheckpoint = checkpointArg ? checkpointArg.slice('--rebalance-checkpoint='.length) : null;
+  if (rebalanceCheckpoint != null && !isDateStr(rebalanceCheckpoint)) die(USAGE, 64);
 
   const repoRoot = resolve(dirname(import.meta.path.replace(/^file:\/\//, '')), '..');
   const outPath = resolve(outPathArg);
   const candidatePoolPath = resolve(repoRoot, 'funds', 'arena', 'config', `${fundId}.candidates.json`);
 
   const candidateConfig = readJsonSafe<CandidateConfig>(candidatePoolPath, {});
+  const fundConfig = readJsonSafe<any>(resolve(repoRoot, 'funds', fundId, 'fund.config.json'), null);
+  const returnBasis = resolveReturnBasis(fundConfig);
+  const baseCurrency = resolveBaseCurrency(fundConfig);
+  const riskRules = resolveRiskRules(fundConfig);
+  const dataQuality = resolveDataQuality(fundConfig);
   const aliases = Object.fromEntries(
     Object.entries(candidateConfig.symbol_aliases || {}).map(([k, v]) => [String(k).toUpperCase(), String(v).toUpperCase()])
   );
@@ -411,20 +718,44 @@ async function main() {
   const requiredBase = uniqTickers([...(candidateConfig.required_symbols || []), ...benchmarkSymbols, ...previousHoldings], aliases);
   const allSymbols = uniqTickers([...candidateSymbols, ...benchmarkSymbols, ...previousHoldings], aliases);
 
+  const marketDataProvider = createMarketDataProvider(marketDataOptions);
+  const fundamentalsProvider = createFundamentalsProvider(fundamentalsOptions);
   const marketData: Record<string, SymbolMarketRecord> = {};
+  const barsByTicker: Record<string, { meta: any; bars: Bar[] }> = {};
+  const baseBarsByTicker: Record<string, Bar[] | null> = {};
+  const anomaliesByTicker: Record<string, any[]> = {};
   const yahooErrors: Array<{ ticker: string; error: string }> = [];
   const sourceManifest: any = {
     yahoo_chart: {
-      source: 'query1.finance.yahoo.com/v8/finance/chart',
+      provider: marketDataProvider.name,
+      source: marketDataProvider.source,
       interval: '1d',
+      return_basis: returnBasis,
+      lookback_calendar: DEFAULT_CALENDAR,
       symbols_requested: allSymbols,
       symbols_succeeded: [] as string[],
       symbols_failed: [] as string[],
-      trimmed_live_run_date_crypto_bars: [] as string[],
+      trimmed_live_bars: [] as string[],
+      symbols_quarantined: [] as string[],
+      price_sources: {} as Record<string, any>,
+    },
+    fx: {
+      base_currency: baseCurrency,
+      pairs_requested: [] as string[],
+      pairs_succeeded: [] as string[],
+      pairs_failed: [] as string[],
     },
     financial_datasets: {
-      included_in_pack_v1: false,
-      note: 'Fundamentals/news remain qualitative via Dexter financial_search in this rollout.',
+      included_in_pack: Boolean(fundamentalsProvider),
+      provider: fundamentalsProvider?.name || 'off',
+      source: fundamentalsProvider?.source || null,
+      symbols_requested: [] as string[],
+      symbols_succeeded: [] as string[],
+      symbols_failed: [] as string[],
+      symbols_skipped: [] as string[],
+      note: fundamentalsProvider
+        ? 'Key ratios, growth, margins and earnings dates are in the pack; news remains qualitative via Dexter financial_search.'
+        : 'Fundamentals/news remain qualitative via Dexter financial_search (--fundamentals=off).',
     },
   };
 
@@ -437,13 +768,21 @@ async function main() {
       if (i >= allSymbols.length) return;
       const ticker = allSymbols[i];
       try {
-        const { resolvedSymbol, raw } = await fetchYahooChart(repoRoot, ticker, runDate);
-        const { meta, bars } = parseYahooBars(raw, runDate);
-        const trimmedBars = trimLiveRunDateCryptoBars(bars, runDate, meta?.instrumentType);
+        const { resolvedSymbol, result, provenance } = await fetchChartCached(repoRoot, marketDataProvider, ticker, runDate);
+        sourceManifest.yahoo_chart.price_sources[ticker] = provenance;
+        const { meta, bars, events } = parseYahooBars(result, runDate, returnBasis);
+        const trimmedBars = trimLiveBars(bars, calendarForSymbol(ticker, meta), Date.now());
         if (trimmedBars.length !== bars.length) {
-          sourceManifest.yahoo_chart.trimmed_live_run_date_crypto_bars.push(ticker);
+          sourceManifest.yahoo_chart.trimmed_live_bars.push(ticker);
         }
-        const lastClose = trimmedBars.length > 0 ? round(trimmedBars[trimmedBars.length - 1].close, 4) : null;
+        const anomalies = detectAnomalies(ticker, trimmedBars.map((b) => ({ date: b.date, close: b.price_close })), events, {
+          calendar: calendarForSymbol(ticker, meta),
+          asOfDate: runDate,
+          settings: dataQuality,
+        });
+        if (anomalies.length > 0) anomaliesByTicker[ticker] = anomalies;
+        // Features use the lane's return basis; the quoted close is always the traded price.
+        const lastClose = trimmedBars.length > 0 ? round(trimmedBars[trimmedBars.length - 1].price_close, 4) : null;
         marketData[ticker] = {
           ticker,
           yahoo_symbol: resolvedSymbol,
@@ -454,26 +793,18 @@ async function main() {
           bars_available: trimmedBars.length,
           latest_bar_date: trimmedBars.length > 0 ? trimmedBars[trimmedBars.length - 1].date : null,
           last_close: lastClose,
-          features: computeFeatures(trimmedBars),
+          features: computeFeatures(trimmedBars, { volumeInQuoteCurrency: calendarForSymbol(ticker, meta) === 'CRYPTO' }),
+          relative_strength: {},
+          base_currency: baseCurrency,
+          fx_symbol: null,
+          features_base: null,
           fetch_status: 'success',
         };
+        barsByTicker[ticker] = { meta, bars: trimmedBars };
         sourceManifest.yahoo_chart.symbols_succeeded.push(ticker);
       } catch (err) {
         const message = err instanceof Error ? err.message : String(err);
-        marketData[ticker] = {
-          ticker,
-          yahoo_symbol: ticker,
-          name: null,
-          currency: null,
-          exchange: null,
-          instrument_type: null,
-          bars_available: 0,
-          latest_bar_date: null,
-          last_close: null,
-          features: {},
-          fetch_status: 'error',
-          error: message,
-        };
+        marketData[ticker] = errorRecord(ticker, baseCurrency, message);
         yahooErrors.push({ ticker, error: message });
         sourceManifest.yahoo_chart.symbols_failed.push(ticker);
       }
@@ -482,13 +813,134 @@ async function main() {
   await Promise.all(Array.from({ length: concurrency }, () => worker()));
   sourceManifest.yahoo_chart.symbols_succeeded.sort();
   sourceManifest.yahoo_chart.symbols_failed.sort();
-  sourceManifest.yahoo_chart.trimmed_live_run_date_crypto_bars.sort();
+  sourceManifest.yahoo_chart.trimmed_live_bars.sort();
   yahooErrors.sort((a, b) => a.ticker.localeCompare(b.ticker));
 
+  // Symbols whose anomalies the lane quarantines are dropped before any feature
+  // work, exactly as if their fetch had failed.
+  const quarantined = quarantinedTickers(anomaliesByTicker, dataQuality);
+  for (const ticker of quarantined) {
+    const types = [...new Set(anomaliesByTicker[ticker].map((a) => a.type))].filter((t) => dataQuality.quarantine.includes(t));
+    marketData[ticker] = errorRecord(ticker, baseCurrency, `quarantined after price anomalies (${types.join(', ')})`);
+    delete barsByTicker[ticker];
+  }
+  sourceManifest.yahoo_chart.symbols_succeeded = (sourceManifest.yahoo_chart.symbols_succeeded as string[]).filter((t) => !quarantined.includes(t));
+  sourceManifest.yahoo_chart.symbols_quarantined = quarantined;
+
+  // Base-currency features: FX pairs come through the same cached chart path.
+  const fxBarsByCurrency: Record<string, Bar[] | null> = {};
+  const fxTickersMissing: string[] = [];
+  for (const ticker of Object.keys(barsByTicker).sort()) {
+    const { meta, bars } = barsByTicker[ticker];
+    const local = normalizeCurrency(meta?.currency)?.currency || baseCurrency;
+    let fxBars: Bar[] | null = null;
+    if (local !== baseCurrency) {
+      const pair = fxPairTicker(local, baseCurrency);
+      if (!(local in fxBarsByCurrency)) {
+        sourceManifest.fx.pairs_requested.push(pair);
+        try {
+          const { result, provenance } = await fetchChartCached(repoRoot, marketDataProvider, pair, runDate);
+          sourceManifest.yahoo_chart.price_sources[pair] = provenance;
+          fxBarsByCurrency[local] = parseYahooBars(result, runDate, 'price').bars;
+          sourceManifest.fx.pairs_succeeded.push(pair);
+        } catch {
+          fxBarsByCurrency[local] = null;
+          sourceManifest.fx.pairs_failed.push(pair);
+        }
+      }
+      fxBars = fxBarsByCurrency[local];
+      marketData[ticker].fx_symbol = pair;
+    }
+    baseBarsByTicker[ticker] = baseCurrencyBars(bars, meta, fxBars, baseCurrency);
+    marketData[ticker].features_base = baseCurrencyFeatures(baseBarsByTicker[ticker]);
+    if (!marketData[ticker].features_base) fxTickersMissing.push(ticker);
+  }
+  sourceManifest.yahoo_chart.price_sources = Object.fromEntries(
+    Object.entries(sourceManifest.yahoo_chart.price_sources).sort(([a], [b]) => a.localeCompare(b)),
+  );
+
+  // Fundamentals for current holdings and candidates (equities only). An auth or
+  // billing failure stops the remaining requests: they would fail the same way.
+  const fundamentalsRecords: Record<string, FundamentalsRecord> = {};
+  const fundamentalsErrors: Array<{ ticker: string; error: string }> = [];
+  const fundamentalsUniverse = uniqTickers([...previousHoldings, ...candidateSymbols], aliases);
+  const fundamentalsTickers = fundamentalsUniverse.filter((t) => fundamentalsEligible(t, marketData[t]?.instrument_type));
+  const fundamentalsRequired = previousHoldings.filter((t) => fundamentalsTickers.includes(t));
+  if (fundamentalsProvider) {
+    sourceManifest.financial_datasets.symbols_requested = fundamentalsTickers;
+    sourceManifest.financial_datasets.symbols_skipped = fundamentalsUniverse.filter((t) => !fundamentalsTickers.includes(t));
+    let fatalError: string | null = null;
+    const fundamentalsConcurrency = Math.max(1, Math.min(8, Number(process.env.ARENA_FUNDAMENTALS_CONCURRENCY || '4') || 4));
+    await mapWithConcurrency(fundamentalsTickers, fundamentalsConcurrency, async (ticker: string) => {
+      if (fatalError) {
+        fundamentalsErrors.push({ ticker, error: `skipped after ${fatalError}` });
+        return;
+      }
+      try {
+        const raw = await fetchFundamentalsCached(repoRoot, fundamentalsProvider, ticker, runDate);
+        fundamentalsRecords[ticker] = buildFundamentalsRecord(raw, runDate);
+      } catch (err: any) {
+        const message = err instanceof Error ? err.message : String(err);
+        if (err?.fatal) fatalError = message;
+        fundamentalsErrors.push({ ticker, error: message });
+      }
+    });
+    fundamentalsErrors.sort((a, b) => a.ticker.localeCompare(b.ticker));
+    sourceManifest.financial_datasets.symbols_succeeded = fundamentalsTickers.filter((t) => fundamentalsRecords[t]);
+    sourceManifest.financial_datasets.symbols_failed = fundamentalsErrors.map((e) => e.ticker);
+  }
+  const fundamentalsGate = fundamentalsQuality({
+    eligible: fundamentalsProvider ? fundamentalsTickers : [],
+    required: fundamentalsProvider ? fundamentalsRequired : [],
+    records: fundamentalsRecords,
+    failed: fundamentalsErrors,
+  });
+  const { status: fundamentalsStatus, warnings: fundamentalsWarnings, ...fundamentalsQualityFields } = fundamentalsGate;
+  const fundamentals = {
+    provider: fundamentalsProvider?.name || 'off',
+    status: fundamentalsProvider ? fundamentalsStatus : 'disabled',
+    selection_rule: `latest TTM financial-metrics row public on run_date (earnings release after report_period, or report_period + ${REPORT_LAG_DAYS} days)`,
+    quality: fundamentalsQualityFields,
+    by_ticker: Object.fromEntries(
+      fundamentalsTickers.filter((t) => fundamentalsRecords[t]).map((t) => [t, fundamentalsRecords[t]])
+    ),
+  };
+
+  const benchmarkFeatures = benchmarkSymbols
+    .filter((t) => marketData[t]?.fetch_status === 'success')
+    .map((t) => ({ ticker: t, features: marketData[t].features }));
+  for (const record of Object.values(marketData)) {
+    if (record.fetch_status !== 'success') continue;
+    record.relative_strength = relativeStrength(record.features, benchmarkFeatures.filter((b) => b.ticker !== record.ticker));
+  }
+
+  // Cross-sectional ranks over the candidate universe, and pairwise return
+  // correlations for every priced symbol (candidates, holdings, benchmarks).
+  const crossSectionUniverse = candidateSymbols.filter((t) => marketData[t]?.fetch_status === 'success');
+  const crossSection = {
+    universe: crossSectionUniverse,
+    features: [...CROSS_SECTION_FEATURES],
+    by_ticker: crossSectionalStats(
+      crossSectionUniverse.map((t) => ({ ticker: t, features: marketData[t].features })),
+      CROSS_SECTION_FEATURES,
+    ),
+  };
+  const correlationSymbols = allSymbols.filter((t) => barsByTicker[t]);
+  const closeSeries = Object.fromEntries(correlationSymbols.map((t) => [t, barsByTicker[t].bars]));
+  const correlationMatrices = CORRELATION_WINDOWS.map((w) => correlationMatrix(closeSeries, correlationSymbols, w));
+  const correlation = {
+    method: 'pearson, simple close-to-close returns over dates both symbols traded',
+    matrices: correlationMatrices,
+    high_correlation_threshold: HIGH_CORRELATION_THRESHOLD,
+    correlated_holding_pairs: highlyCorrelatedPairs(correlationMatrices[0], correlationMatrices.slice(1), previousHoldings),
+  };
+
   const missingRequired = requiredBase.filter((t) => marketData[t]?.fetch_status !== 'success');
   const missingBenchmarks = benchmarkSymbols.filter((t) => marketData[t]?.fetch_status !== 'success');
   const yahooSuccessCount = allSymbols.filter((t) => marketData[t]?.fetch_status === 'success').length;
   const yahooErrorCount = allSymbols.length - yahooSuccessCount;
+  // The configured chain (e.g. "yahoo,stooq"), as recorded in the source manifest.
+  const priceProviders = (sourceManifest.yahoo_chart.provider as string).split(',').join(', ');
 
   let qualityStatus: 'ok' | 'degraded' | 'failed' = 'ok';
   if (missingRequired.length > 0) qualityStatus = 'failed';
@@ -522,12 +974,32 @@ async function main() {
   const topMomentum = sortableByMomentum(candidateRows).slice(0, 10);
   const bottomMomentum = [...sortableByMomentum(candidateRows)].reverse().slice(0, 10);
 
+  // Holdings drift away from their targets between rebalances. Weights are those
+  // of the previous output (unchanged since the checkpoint unless it rebalanced);
+  // prices are base-currency closes, local ones when the FX pair is missing.
+  const checkpointDate = rebalanceCheckpoint || (isDateStr(String(prevOutput?.run_date || '').trim()) ? String(prevOutput.run_date).trim() : null);
+  const previousTargets = extractPortfolio(prevOutput).map((h: any) => ({ ...h, ticker: aliases[h.ticker.toUpperCase()] || h.ticker.toUpperCase() }));
+  const seriesFor = (tickers: string[]) => Object.fromEntries(tickers
+    .filter((t) => barsByTicker[t])
+    .map((t) => [t, baseBarsByTicker[t] || barsByTicker[t].bars]));
+  const drift = checkpointDate && checkpointDate < runDate && previousTargets.length > 0
+    ? portfolioDrift(previousTargets, seriesFor(previousTargets.map((h: any) => h.ticker)), {
+      checkpointDate,
+      startDate: sessionOnOrBefore(DEFAULT_CALENDAR, checkpointDate),
+      endDate: previousSession(DEFAULT_CALENDAR, runDate),
+      thresholdPct: resolveDriftThreshold(fundConfig),
+    })
+    : null;
+  const risk = previousTargets.length > 0
+    ? portfolioRisk(previousTargets, seriesFor(previousTargets.map((h: any) => h.ticker)), seriesFor(benchmarkSymbols))
+    : null;
+
   const pack = {
     meta: {
       fund_id: fundId,
       run_date: runDate,
       generated_at: new Date().toISOString(),
-      pack_version: 'v1',
+      pack_version: 'v2',
     },
     symbols: {
       candidates: candidateSymbols,
@@ -553,16 +1025,29 @@ async function main() {
         missing_symbols: missingBenchmarks,
       },
       warnings: [
-        ...(yahooErrorCount > 0 ? [`Yahoo fetch errors for ${yahooErrorCount} symbol(s)`] : []),
-        ...((sourceManifest.yahoo_chart.trimmed_live_run_date_crypto_bars as string[]).length > 0
-          ? [`Trimmed live run_date crypto bars for deterministic cross-lane parity: ${(sourceManifest.yahoo_chart.trimmed_live_run_date_crypto_bars as string[]).join(', ')}`]
+        ...(yahooErrorCount > quarantined.length ? [`Price fetch errors for ${yahooErrorCount - quarantined.length} symbol(s) (providers: ${priceProviders})`] : []),
+        ...(fxTickersMissing.length > 0
+          ? [`No ${baseCurrency} conversion (FX ${(sourceManifest.fx.pairs_failed as string[]).join(', ')} unavailable) for: ${fxTickersMissing.join(', ')}`]
           : []),
+        ...anomalyWarnings(anomaliesByTicker, quarantined),
+        ...provenanceWarnings(sourceManifest.yahoo_chart.price_sources),
+        ...((sourceManifest.yahoo_chart.trimmed_live_bars as string[]).length > 0
+          ? [`Trimmed bars of sessions still open for deterministic cross-lane parity: ${(sourceManifest.yahoo_chart.trimmed_live_bars as string[]).join(', ')}`]
+          : []),
+        ...fundamentalsWarnings,
       ],
       errors: [
         ...(missingRequired.length > 0 ? [`Missing required symbol data: ${missingRequired.join(', ')}`] : []),
       ],
+      anomalies: Object.keys(anomaliesByTicker).sort().flatMap((t) => anomaliesByTicker[t]),
+      quarantined_symbols: quarantined,
     },
     market_data: marketData,
+    cross_section: crossSection,
+    correlation,
+    fundamentals,
+    portfolio_drift: drift,
+    portfolio_risk: risk,
     prompt_context: {
       benchmark_snapshot: benchmarkRows,
       current_holdings_snapshot: holdingRows,
@@ -572,15 +1057,48 @@ async function main() {
     source_manifest: {
       ...sourceManifest,
       yahoo_errors: yahooErrors.slice(0, 20),
+      financial_datasets_errors: fundamentalsErrors.slice(0, 20),
       candidate_pool_path: existsSync(candidatePoolPath) ? candidatePoolPath : null,
     },
   };
 
+  // What flipped since the pack of the lane's previous successful run.
+  const previousPackPath = packBesideOutput(prevOutputPathArg);
+  const previousPack = previousPackPath ? readJsonSafe<any>(previousPackPath, null) : null;
+  let packDiff: any = null;
+  if (previousPack?.meta?.run_date && previousPack.meta.run_date < runDate) {
+    const diff = diffPacks(previousPack, pack);
+    packDiff = { previous_pack_path: previousPackPath, ...diff, summary: diffSummaryLines(diff) };
+  }
+
+  // Lane risk rules over the current holdings; multi-run rules look back through
+  // the packs of the lane's previous successful runs.
+  let riskRuleBreaches: any = null;
+  if (riskRules.length > 0) {
+    const lookback = Math.max(...riskRules.map((r: any) => r.consecutive_runs)) - 1;
+    const history = previousPack?.meta?.run_date && previousPack.meta.run_date < runDate
+      ? loadPreviousPacks(previousPackPath, lookback)
+      : [];
+    riskRuleBreaches = evaluateRiskRules(riskRules, previousHoldings, pack, history);
+    const unevaluated = [...new Set(riskRuleBreaches.unevaluated.map((u: any) => `${u.ticker} (${u.rule_id})`))];
+    if (unevaluated.length > 0) pack.quality.warnings.push(`Risk rules not evaluated (feature unavailable) for: ${unevaluated.join(', ')}`);
+  }
+
   mkdirSync(dirname(outPath), { recursive: true });
-  writeFileSync(outPath, `${JSON.stringify(pack, null, 2)}\n`);
+  writeFileSync(outPath, `${JSON.stringify({ ...pack, pack_diff: packDiff, risk_rule_breaches: riskRuleBreaches }, null, 2)}\n`);
   writeFileSync(`${outPath}.prompt.txt`, buildPromptText({
     runDate,
+    returnBasis,
+    baseCurrency,
+    priceProviders,
     quality: pack.quality,
+    fundamentals,
+    crossSection,
+    correlation,
+    packDiff,
+    portfolioDrift: drift,
+    portfolioRisk: risk,
+    riskRuleBreaches,
     benchmarkRows,
     holdingRows,
     topMomentum,
@@ -398,6 +398,7 @@ while IFS= read -r lane; do
 
   output_path="${run_path}/dexter_output.json"
   meta_path="${run_path}/run_meta.json"
+  pack_path="${run_path}/arena_input_pack.json"
   stdout_path="${run_path}/dexter_stdout.txt"
 
   action_summary="No update available."
@@ -411,6 +412,7 @@ while IFS= read -r lane; do
   since_start_line=""
   trade_reasoning_summary="n/a"
   risk_snippet="n/a"
+  pack_delta_summary=""
   market_news_block=""
   thesis_damage_block=""
   rebalance_actions_summary="n/a"
@@ -850,6 +852,13 @@ n/a
     lane_block+=$'\n'
     lane_block+="- ${trade_reasoning_summary}"
   fi
+  if [[ -f "$pack_path" ]]; then
+    pack_delta_summary="$(jq -r '(.pack_diff.summary // []) | .[:3] | join("; ")' "$pack_path" 2>/dev/null || true)"
+  fi
+  if [[ -n "$pack_delta_summary" ]]; then
+    lane_block+=$'\n'
+    lane_block+="- Since last run: ${pack_delta_summary}"
+  fi
   if [[ "$status" == "success" && "$constraints_ok" != "true" ]]; then
     lane_block+=$'\n'
     lane_block+="- Limits: ${constraints_label}"
@@ -962,6 +971,7 @@ build_lanes_overview_block() {
     fund_return_pct="$(jq -r '.fund_return_pct // empty' <<<"$lane")"
     benchmark_return_pct="$(jq -r '.benchmark_return_pct // empty' <<<"$lane")"
     excess_return_pct="$(jq -r '.excess_return_pct // empty' <<<"$lane")"
+    fund_return_net_pct="$(jq -r '.fund_return_net_pct // empty' <<<"$lane")"
     benchmark_name="$(jq -r '.benchmark_name // .benchmark_ticker // empty' <<<"$lane")"
     inception_date="$(jq -r '.inception_date // empty' <<<"$lane")"
     asof_price_date="$(jq -r '.asof_price_date // empty' <<<"$lane")"
@@ -979,6 +989,9 @@ build_lanes_overview_block() {
       fi
 
       perf_suffix=" - **${fund_perf}** since ${inception_date}"
+      if [[ -n "$fund_return_net_pct" ]]; then
+        perf_suffix+=" ($(printf "%+.2f%%" "$fund_return_net_pct" 2>/dev/null || true) net)"
+      fi
       if [[ -n "$bm_perf" ]]; then
         perf_suffix+=" vs ${benchmark_name} ${bm_perf}"
       fi
@@ -995,6 +1008,24 @@ build_lanes_overview_block() {
       out+=" - ${error_message}"
     fi
     out+=$'\n'
+
+    drivers_line=""
+    if [[ "$status" == "success" ]]; then
+      drivers_line="$(jq -r '
+        def fmt_pp($v): (if $v >= 0 then "+" else "" end) + ((($v * 100) | round) / 100 | tostring) + "pp";
+        ([(.contributions // [])[] | select(.contribution_pct != null)]) as $c
+        | ([$c[] | select(.contribution_pct > 0)][:2] | map(.ticker + " " + fmt_pp(.contribution_pct))) as $top
+        | ([$c[] | select(.contribution_pct < 0)] | reverse | .[:2] | map(.ticker + " " + fmt_pp(.contribution_pct))) as $bottom
+        | if ($top | length) == 0 and ($bottom | length) == 0 then ""
+          else "Drivers: " + (if ($top | length) > 0 then ($top | join(", ")) else "-" end)
+            + " | Drags: " + (if ($bottom | length) > 0 then ($bottom | join(", ")) else "-" end)
+          end
+      ' <<<"$lane")"
+    fi
+    if [[ -n "$drivers_line" ]]; then
+      out+="  • ${drivers_line}"
+      out+=$'\n'
+    fi
   done < <(jq -c '.lanes[]' "$scoreboard_path")
   printf '%s' "$out"
 }
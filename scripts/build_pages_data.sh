@@ -48,8 +48,11 @@ for scoreboard_path in "${REPO_ROOT}"/funds/arena/runs/*/scoreboard.json; do
     lanes: ([.lanes[] | select($active_funds[.fund_id] != null) | {
       fund_id, provider, status, action,
       fund_return_pct, benchmark_return_pct, excess_return_pct,
+      fund_return_net_pct, excess_return_net_pct, cost_drag_pct,
       rank, inception_date, asof_price_date,
-      add_ticker, remove_ticker, rebalance_actions_preview
+      add_ticker, remove_ticker, rebalance_actions_preview,
+      risk_metrics, risk_adjusted_rank,
+      contributions, contribution_residual_pct, sector_attribution
     }] | to_entries | map(.value + {rank: (.key + 1)})),
     indices: {
       asof_price_date: .indices.asof_price_date,
@@ -84,7 +87,11 @@ if [ "$(jq -r 'has("funds")' <<< "$daily_nav")" = "true" ]; then
             .fund_return_pct = $perf.fund_return_pct |
             .benchmark_return_pct = $perf.benchmark_return_pct |
             .excess_return_pct = $perf.excess_return_pct |
-            .asof_price_date = $perf.asof_price_date
+            .fund_return_net_pct = $perf.fund_return_net_pct |
+            .excess_return_net_pct = $perf.excess_return_net_pct |
+            .cost_drag_pct = (if $perf.fund_return_net_pct != null then ((($perf.fund_return_pct - $perf.fund_return_net_pct) * 100 | round) / 100) else null end) |
+            .asof_price_date = $perf.asof_price_date |
+            .risk_metrics = ($perf.risk_metrics // .risk_metrics)
           else . end
         ]
       else . end) |
@@ -96,6 +103,8 @@ if [ "$(jq -r 'has("funds")' <<< "$daily_nav")" = "true" ]; then
   ' <<< "$days_json")"
   echo "Overlaid fresh daily performance data."
 fi
+nav_series_json="$(jq -c '.nav_series // {}' <<< "$daily_nav")"
+data_anomalies_json="$(jq -c '.data_anomalies // {}' <<< "$daily_nav")"
 
 # ---------------------------------------------------------------------------
 # 3. Latest holdings from the most recent successful dexter_output.json per fund
@@ -142,11 +151,15 @@ jq -n \
   --argjson funds "$funds_json" \
   --argjson days "$days_json" \
   --argjson latest_holdings "$holdings_json" \
+  --argjson nav_series "$nav_series_json" \
+  --argjson data_anomalies "$data_anomalies_json" \
   '{
     generated_at: $generated_at,
     funds: $funds,
     days: $days,
-    latest_holdings: $latest_holdings
+    latest_holdings: $latest_holdings,
+    nav_series: $nav_series,
+    data_anomalies: $data_anomalies
   }' > "$DATA_PATH"
 
 echo "Wrote ${DATA_PATH}"
@@ -11,7 +11,8 @@ arena_dir="funds/arena/runs/${run_date}"
 mkdir -p "$arena_dir"
 
 lanes_tmp="$(mktemp)"
-trap 'rm -f "$lanes_tmp"' EXIT
+attribution_tmp="$(mktemp)"
+trap 'rm -f "$lanes_tmp" "$attribution_tmp"' EXIT
 
 fund_dirs=()
 while IFS= read -r fund_dir; do
@@ -45,6 +46,10 @@ for fund_dir in "${fund_dirs[@]}"; do
   fund_return_pct='null'
   benchmark_return_pct='null'
   excess_return_pct='null'
+  fund_return_net_pct='null'
+  excess_return_net_pct='null'
+  cost_drag_pct='null'
+  turnover_since_inception_pct='null'
   performance_coverage_pct=0
   benchmark_coverage_pct=0
   performance_method=""
@@ -53,9 +58,15 @@ for fund_dir in "${fund_dirs[@]}"; do
   asof_price_date=""
   benchmark_ticker=""
   benchmark_name=""
+  risk_free_ticker=""
+  risk_metrics='null'
+  contributions='[]'
+  contribution_residual_pct='null'
+  sector_attribution='null'
 
   benchmark_ticker="$(jq -r '.benchmark.ticker // .benchmark_ticker // empty' "$config_path")"
   benchmark_name="$(jq -r '.benchmark.name // .benchmark_label // .benchmark.ticker // .benchmark_ticker // empty' "$config_path")"
+  risk_free_ticker="$(jq -r '.risk_free_ticker // empty' "$config_path")"
 
   if [[ -f "$meta_path" ]]; then
     status="$(jq -r '.status // "failed"' "$meta_path")"
@@ -91,7 +102,7 @@ for fund_dir in "${fund_dirs[@]}"; do
     ' "$output_path")"
   fi
 
-  perf_json="$(node scripts/performance_since_added.mjs "$fund_id" "$provider" "$run_date" "$benchmark_ticker" "$benchmark_name" 2>/dev/null || echo '{}')"
+  perf_json="$(node scripts/performance_since_added.mjs "$fund_id" "$provider" "$run_date" "$benchmark_ticker" "$benchmark_name" "$risk_free_ticker" 2>/dev/null || echo '{}')"
   performance_method="$(jq -r '.performance_method // empty' <<<"$perf_json")"
   inception_date="$(jq -r '.inception_date // empty' <<<"$perf_json")"
   asof_portfolio_date="$(jq -r '.asof_portfolio_date // empty' <<<"$perf_json")"
@@ -99,8 +110,21 @@ for fund_dir in "${fund_dirs[@]}"; do
   fund_return_pct="$(jq -c '.fund_return_pct // null' <<<"$perf_json")"
   benchmark_return_pct="$(jq -c '.benchmark_return_pct // null' <<<"$perf_json")"
   excess_return_pct="$(jq -c '.excess_return_pct // null' <<<"$perf_json")"
+  fund_return_net_pct="$(jq -c '.fund_return_net_pct // null' <<<"$perf_json")"
+  excess_return_net_pct="$(jq -c '.excess_return_net_pct // null' <<<"$perf_json")"
+  cost_drag_pct="$(jq -c '.costs.cost_drag_pct // null' <<<"$perf_json")"
+  turnover_since_inception_pct="$(jq -c '.costs.turnover_pct // null' <<<"$perf_json")"
   performance_coverage_pct="$(jq -r '.covered_weight_pct // 0' <<<"$perf_json")"
   benchmark_coverage_pct="$(jq -r '.benchmark_covered_weight_pct // 0' <<<"$perf_json")"
+  risk_metrics="$(jq -c '.risk_metrics // null' <<<"$perf_json")"
+  contributions="$(jq -c '[(.stocks // [])[] | {ticker, entered, exited, return_pct, contribution_pct}]' <<<"$perf_json")"
+  contribution_residual_pct="$(jq -c '.stocks_residual.contribution_pct // null' <<<"$perf_json")"
+
+  if [[ -n "$benchmark_ticker" ]]; then
+    attribution_json="$(node scripts/sector_attribution.mjs "$fund_id" "$provider" "$run_date" "$benchmark_ticker" 2>/dev/null || echo '{}')"
+    sector_attribution="$(jq -c '.since_inception // null' <<<"$attribution_json")"
+    jq -c --arg fund_id "$fund_id" --arg provider "$provider" '{fund_id: $fund_id, provider: $provider} + .' <<<"$attribution_json" >> "$attribution_tmp"
+  fi
 
   jq -n \
     --arg fund_id "$fund_id" \
@@ -123,8 +147,16 @@ for fund_dir in "${fund_dirs[@]}"; do
     --argjson fund_return_pct "$fund_return_pct" \
     --argjson benchmark_return_pct "$benchmark_return_pct" \
     --argjson excess_return_pct "$excess_return_pct" \
+    --argjson fund_return_net_pct "$fund_return_net_pct" \
+    --argjson excess_return_net_pct "$excess_return_net_pct" \
+    --argjson cost_drag_pct "$cost_drag_pct" \
+    --argjson turnover_since_inception_pct "$turnover_since_inception_pct" \
     --argjson performance_coverage_pct "$performance_coverage_pct" \
     --argjson benchmark_coverage_pct "$benchmark_coverage_pct" \
+    --argjson risk_metrics "$risk_metrics" \
+    --argjson contributions "$contributions" \
+    --argjson contribution_residual_pct "$contribution_residual_pct" \
+    --argjson sector_attribution "$sector_attribution" \
     '{
       fund_id: $fund_id,
       provider: $provider,
@@ -145,15 +177,23 @@ for fund_dir in "${fund_dirs[@]}"; do
       fund_return_pct: $fund_return_pct,
       benchmark_return_pct: $benchmark_return_pct,
       excess_return_pct: $excess_return_pct,
+      fund_return_net_pct: $fund_return_net_pct,
+      excess_return_net_pct: $excess_return_net_pct,
+      cost_drag_pct: $cost_drag_pct,
+      turnover_since_inception_pct: $turnover_since_inception_pct,
       performance_coverage_pct: $performance_coverage_pct,
       benchmark_coverage_pct: $benchmark_coverage_pct,
+      risk_metrics: $risk_metrics,
+      contributions: $contributions,
+      contribution_residual_pct: $contribution_residual_pct,
+      sector_attribution: $sector_attribution,
       run_path: $run_path
     }' >> "$lanes_tmp"
 done
 
 lanes_json="$(jq -s '.' "$lanes_tmp")"
 lanes_json="$(printf '%s' "$lanes_json" | jq '
-  def perf_score: (.excess_return_pct // .fund_return_pct // -1000000);
+  def perf_score: (.excess_return_net_pct // .excess_return_pct // .fund_return_net_pct // .fund_return_pct // -1000000);
   sort_by(
     (if .status == "success" then 0 else 1 end),
     -(perf_score),
@@ -167,18 +207,29 @@ lanes_json="$(printf '%s' "$lanes_json" | jq '
         rank: (.key + 1),
         ranking_score: (
           if .value.status == "success"
-          then (.value.excess_return_pct // .value.fund_return_pct)
+          then (.value.excess_return_net_pct // .value.excess_return_pct // .value.fund_return_net_pct // .value.fund_return_pct)
           else null
           end
         )
       }
     )
+  # Secondary, risk-adjusted view: information ratio (Sharpe when no benchmark overlap).
+  | def risk_score: (.risk_metrics.information_ratio // .risk_metrics.sharpe_ratio);
+    ([.[] | select(.status == "success" and risk_score != null) | {fund_id, provider, score: risk_score}]
+      | sort_by(-.score, .fund_id, .provider)
+      | to_entries
+      | map({key: (.value.fund_id + "/" + .value.provider), value: (.key + 1)})
+      | from_entries) as $risk_ranks
+  | map(. + {
+      risk_adjusted_score: (if .status == "success" then risk_score else null end),
+      risk_adjusted_rank: ($risk_ranks[.fund_id + "/" + .provider] // null)
+    })
 ')"
 ranking_notes="$(printf '%s' "$lanes_json" | jq -r '
   if ([.[] | select(.status == "success")] | length) == 0 then
     "No successful lanes to rank."
   else
-    "Ranked independently by excess return vs benchmark (fallback to fund return), with coverage as tie-breaker. Returns are NAV-style since inception."
+    "Ranked independently by excess return vs benchmark net of modelled trading costs (fallback to fund return), with coverage as tie-breaker. Returns are NAV-style since inception. risk_adjusted_rank orders lanes by information ratio (fallback Sharpe) from the daily NAV series."
   end
 ')"
 
@@ -228,6 +279,7 @@ fi
 scoreboard_json_path="${arena_dir}/scoreboard.json"
 scoreboard_md_path="${arena_dir}/scoreboard.md"
 scoreboard_txt_path="${arena_dir}/scoreboard.txt"
+sector_attribution_path="${arena_dir}/sector_attribution.json"
 
 indices_config_path="funds/arena/indices.json"
 arena_inception_date="$(printf '%s' "$lanes_json" | jq -r '
@@ -265,6 +317,8 @@ jq -n \
     }
   }' > "$scoreboard_json_path"
 
+jq -s --arg run_date "$run_date" '{run_date: $run_date, lanes: .}' "$attribution_tmp" > "$sector_attribution_path"
+
 {
   echo "# Fund Arena Scoreboard (${run_date})"
   echo
@@ -297,14 +351,70 @@ jq -n \
     + (if .status == "success" then "On track" else "Issue" end)
     + (if .status == "success" and .fund_return_pct != null
         then (" - since " + $start + ": " + fmt_pct(.fund_return_pct)
+          + (if .fund_return_net_pct != null then (" (net " + fmt_pct(.fund_return_net_pct) + ")") else "" end)
           + (if .benchmark_return_pct != null then (" vs " + $bm + " " + fmt_pct(.benchmark_return_pct)) else "" end)
-          + (if .excess_return_pct != null then (" (excess " + fmt_pct(.excess_return_pct) + ")") else "" end)
+          + (if .excess_return_pct != null then (" (excess " + fmt_pct(.excess_return_pct)
+              + (if .excess_return_net_pct != null then (", net " + fmt_pct(.excess_return_net_pct)) else "" end) + ")") else "" end)
           + (" as of " + $asof)
         )
         else ""
       end)
   ' "$scoreboard_json_path"
   echo
+  if [[ "$(jq -r '[.lanes[] | select(.status == "success" and (.risk_metrics.observations // 0) > 0)] | length' "$scoreboard_json_path")" -gt 0 ]]; then
+    echo "## Risk"
+    jq -r '.lanes[] | select(.status == "success" and (.risk_metrics.observations // 0) > 0) |
+      def fmt_num($v): if $v == null then "-" else ((($v | tonumber) * 100 | round) / 100 | tostring) end;
+      def fmt_pct($v): if $v == null then "-" else (fmt_num($v) + "%") end;
+      .risk_metrics as $m |
+      "- " + (.fund_id + "/" + .provider)
+      + ": vol " + fmt_pct($m.annualized_volatility_pct)
+      + ", Sharpe " + fmt_num($m.sharpe_ratio)
+      + ", Sortino " + fmt_num($m.sortino_ratio)
+      + ", max DD " + fmt_pct($m.max_drawdown_pct)
+      + " (now " + fmt_pct($m.current_drawdown_pct) + ")"
+      + ", beta " + fmt_num($m.beta)
+      + ", corr " + fmt_num($m.correlation)
+      + ", TE " + fmt_pct($m.tracking_error_pct)
+      + ", IR " + fmt_num($m.information_ratio)
+      + ", hit rate " + fmt_pct($m.hit_rate_pct)
+      + " (" + ($m.observations | tostring) + " obs"
+      + (if .risk_adjusted_rank != null then ", risk-adjusted rank " + (.risk_adjusted_rank | tostring) else "" end)
+      + ")"
+    ' "$scoreboard_json_path"
+    echo
+  fi
+  if [[ "$(jq -r '[.lanes[] | select(.status == "success" and ((.contributions // []) | length) > 0)] | length' "$scoreboard_json_path")" -gt 0 ]]; then
+    echo "## Contributors"
+    jq -r '.lanes[] | select(.status == "success" and ((.contributions // []) | length) > 0) |
+      def fmt_pp($v): (if $v >= 0 then "+" else "" end) + ((($v * 100) | round) / 100 | tostring) + "pp";
+      def fmt_list($xs): if ($xs | length) == 0 then "-" else ($xs | map(.ticker + " " + fmt_pp(.contribution_pct)) | join(", ")) end;
+      ([.contributions[] | select(.contribution_pct != null)]) as $c |
+      "- " + (.fund_id + "/" + .provider)
+      + ": top " + fmt_list([$c[] | select(.contribution_pct > 0)][:3])
+      + " | bottom " + fmt_list([$c[] | select(.contribution_pct < 0)] | reverse | .[:3])
+      + (if (.contribution_residual_pct // 0) != 0 then " | uncovered " + fmt_pp(.contribution_residual_pct) else "" end)
+    ' "$scoreboard_json_path"
+    echo
+  fi
+  if [[ "$(jq -r '[.lanes[] | select(.status == "success" and .sector_attribution != null)] | length' "$scoreboard_json_path")" -gt 0 ]]; then
+    echo "## Sector attribution"
+    jq -r '.lanes[] | select(.status == "success" and .sector_attribution != null) |
+      def fmt_pp($v): if $v == null then "-" else (if $v >= 0 then "+" else "" end) + ((($v * 100) | round) / 100 | tostring) + "pp" end;
+      .sector_attribution as $a |
+      ([$a.sectors[] | {sector, total: (.allocation_pct + .selection_pct + .interaction_pct)}] | sort_by(.total)) as $ranked |
+      "- " + (.fund_id + "/" + .provider)
+      + ": allocation " + fmt_pp($a.allocation_pct)
+      + ", selection " + fmt_pp($a.selection_pct)
+      + ", interaction " + fmt_pp($a.interaction_pct)
+      + " (proxy gap " + fmt_pp($a.benchmark_model_gap_pct) + ")"
+      + (if ($ranked | length) > 0
+          then " | best " + $ranked[-1].sector + " " + fmt_pp($ranked[-1].total)
+            + ", worst " + $ranked[0].sector + " " + fmt_pp($ranked[0].total)
+          else "" end)
+    ' "$scoreboard_json_path"
+    echo
+  fi
   echo "## Actions"
   jq -r '.lanes[] |
     "- " + (.fund_id + "/" + .provider) + ": "
@@ -368,9 +478,16 @@ jq -n \
 	    (if .status == "success" and .fund_return_pct != null then fmt_pct(.fund_return_pct) else "-" end) as $fund |
 	    (if .status == "success" and .benchmark_return_pct != null then fmt_pct(.benchmark_return_pct) else "-" end) as $bmret |
 	    (if .status == "success" and .excess_return_pct != null then fmt_pct(.excess_return_pct) else "-" end) as $excess |
+	    (if .status == "success" and .fund_return_net_pct != null then fmt_pct(.fund_return_net_pct) else "-" end) as $fund_net |
+	    (.risk_metrics // {}) as $m |
 	    ((.rank | tostring) + ". " + $lane + " - " + $status + " | " + $action + " | Perf " + $fund
+	      + (if $fund_net != "-" then (" (net " + $fund_net + ")") else "" end)
 	      + (if $bmret != "-" then (" vs " + $bm + " " + $bmret) else "" end)
 	      + (if $excess != "-" then (" (excess " + $excess + ")") else "" end)
+	      + (if .status == "success" and $m.sharpe_ratio != null
+	          then (" | Sharpe " + ((($m.sharpe_ratio * 100) | round) / 100 | tostring)
+	            + (if $m.max_drawdown_pct != null then (", max DD " + fmt_pct($m.max_drawdown_pct)) else "" end))
+	          else "" end)
 	    )
 	  ' "$scoreboard_json_path"
 } > "$scoreboard_txt_path"
@@ -378,3 +495,4 @@ jq -n \
 echo "Wrote ${scoreboard_json_path}"
 echo "Wrote ${scoreboard_md_path}"
 echo "Wrote ${scoreboard_txt_path}"
+echo "Wrote ${sector_attribution_path}"
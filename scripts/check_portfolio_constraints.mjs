@@ -0,0 +1,120 @@
+// check_portfolio_constraints.mjs — Check a Dexter output's portfolio against its lane's constraints.
+// Usage: node scripts/check_portfolio_constraints.mjs <output.json> <fund.config.json>
+//          [--previous <previous_output.json> [--not-due] [--must-rebalance]]
+//          [--risk-breaches <arena_input_pack.json>] [--project [--write]]
+// Prints a report { ok, constraints, violations, policy_violations,
+// risk_rule_violations, projection } (see lib/portfolio_constraints.mjs).
+// --previous adds the rebalance policy check against that output: --not-due
+// when the rebalance cadence is not due, --must-rebalance for a catch-up run
+// after a failed rebalance. --risk-breaches checks that every holding in the
+// pack's risk_rule_breaches was trimmed (against --previous), exited or flagged
+// (lib/risk_rules.mjs unaddressedBreaches). --project adds
+// the closest weights that meet every cap ({ changes, violations } or null when
+// none exist); with --write they are saved into output.json with
+// constraints_check set, and the checks are of the written portfolio.
+// Exits 0 when there are no violations, 1 when there are, 2 on unreadable
+// input, 64 on bad usage.
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+  checkPortfolio,
+  checkRebalancePolicy,
+  projectPortfolio,
+  resolveConstraints,
+} from './lib/portfolio_constraints.mjs';
+import { unaddressedBreaches } from './lib/risk_rules.mjs';
+
+const USAGE = 'Usage: node scripts/check_portfolio_constraints.mjs <output.json> <fund.config.json> '
+  + '[--previous <previous_output.json> [--not-due] [--must-rebalance]] [--risk-breaches <arena_input_pack.json>] '
+  + '[--project [--write]]';
+const FLAGS = ['--not-due', '--must-rebalance', '--project', '--write'];
+const VALUE_FLAGS = ['--previous', '--risk-breaches'];
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot read ${path}: ${err instanceof Error ? err.message : String(err)}`);
+    process.exit(2);
+  }
+}
+
+// A Dexter output must be a JSON object; null, arrays and scalars are
+// unreadable input, not a portfolio with violations.
+function readOutput(path) {
+  const doc = readJson(path);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    console.error(`Cannot read ${path}: not a JSON object`);
+    process.exit(2);
+  }
+  return doc;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const valueAt = VALUE_FLAGS.map((flag) => argv.indexOf(flag));
+  const valueOf = (flag) => {
+    const at = argv.indexOf(flag);
+    return at >= 0 ? argv[at + 1] : null;
+  };
+  const previousPath = valueOf('--previous');
+  const packPath = valueOf('--risk-breaches');
+  const positional = argv.filter((a, i) => !FLAGS.includes(a) && !VALUE_FLAGS.includes(a) && !valueAt.some((at) => at >= 0 && i === at + 1));
+  const [outputPath, configPath] = positional;
+  if (!outputPath || !configPath || positional.length > 2
+    || VALUE_FLAGS.some((flag) => argv.includes(flag) && (!valueOf(flag) || VALUE_FLAGS.includes(valueOf(flag))))
+    || (argv.includes('--write') && !argv.includes('--project'))) {
+    console.error(USAGE);
+    process.exit(64);
+  }
+
+  let constraints;
+  try {
+    constraints = resolveConstraints(readJson(configPath));
+  } catch (err) {
+    console.error(`${configPath}: ${err instanceof Error ? err.message : String(err)}`);
+    process.exit(2);
+  }
+  const doc = readOutput(outputPath);
+  const previous = previousPath ? readOutput(previousPath) : null;
+  const pack = packPath ? readOutput(packPath) : null;
+
+  let projection = null;
+  if (argv.includes('--project')) {
+    const projected = projectPortfolio(doc.target_portfolio, constraints);
+    projection = projected
+      ? { changes: projected.changes, violations: checkPortfolio(projected.portfolio, constraints) }
+      : null;
+    if (projected && argv.includes('--write')) {
+      doc.target_portfolio = projected.portfolio;
+      doc.constraints_check = {
+        max_position_ok: true,
+        max_sector_ok: true,
+        max_crypto_ok: true,
+        notes: 'Weights were deterministically rebalanced to satisfy position, sector and crypto constraints.',
+      };
+      writeFileSync(outputPath, `${JSON.stringify(doc, null, 2)}\n`);
+    }
+  }
+
+  const violations = checkPortfolio(doc.target_portfolio, constraints);
+  const policyViolations = previous
+    ? checkRebalancePolicy(previous, doc, {
+      rebalanceDue: !argv.includes('--not-due'),
+      mustRebalanceToday: argv.includes('--must-rebalance'),
+    })
+    : [];
+  const riskViolations = pack ? unaddressedBreaches(previous, doc, pack.risk_rule_breaches?.breaches) : [];
+  const ok = violations.length === 0 && policyViolations.length === 0 && riskViolations.length === 0;
+  const report = {
+    ok,
+    constraints,
+    violations,
+    policy_violations: previous ? policyViolations : null,
+    risk_rule_violations: pack ? riskViolations : null,
+    projection,
+  };
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  process.exit(ok ? 0 : 1);
+}
+
+main();
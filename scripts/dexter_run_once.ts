@@ -1,7 +1,26 @@
 #!/usr/bin/env bun
-import { readFileSync } from 'node:fs';
+import { readFileSync, writeFileSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { config } from 'dotenv';
+import {
+  createCassetteRecorder,
+  loadCassette,
+  replayAgent,
+  replayCallLlm,
+  replayMismatches,
+  resolveCassette,
+  writeReplayScratchpad,
+} from './lib/dexter_cassette.mjs';
+import { DEADLINE, nextBefore, resolveBudget, toolCapReached } from './lib/dexter_budget.mjs';
+import { buildConsensus, modelSlug, resolveEnsemble } from './lib/ensemble.mjs';
+import {
+  buildRepairPrompt,
+  DEFAULT_MAX_REPAIR_ROUNDS,
+  formatViolations,
+  outputContract,
+  validateOutput,
+} from './lib/output_contract.mjs';
+import { combineTelemetry, createTelemetry, loadModelPricing } from './lib/telemetry.mjs';
 
 config({ quiet: true });
 
@@ -184,68 +203,351 @@ if (!query) {
   throw new Error(`Prompt file is empty: ${promptFile}`);
 }
 
-const Agent = await loadAgentCtor();
-const agent = Agent.create({
-  model,
-  maxIterations,
-});
+// With DEXTER_FUND_CONFIG and DEXTER_RUN_DATE the answer is checked against the
+// lane contract here, and violations get up to DEXTER_MAX_REPAIR_ROUNDS cheap
+// no-tools callLlm passes before the runner's own validation sees it.
+const fundConfig = process.env.DEXTER_FUND_CONFIG
+  ? JSON.parse(readFileSync(resolve(process.env.DEXTER_FUND_CONFIG), 'utf8'))
+  : null;
+const contract = fundConfig && process.env.DEXTER_RUN_DATE ? outputContract(fundConfig, process.env.DEXTER_RUN_DATE) : null;
+const maxRepairRounds = Number(process.env.DEXTER_MAX_REPAIR_ROUNDS ?? DEFAULT_MAX_REPAIR_ROUNDS);
+if (!Number.isInteger(maxRepairRounds) || maxRepairRounds < 0) {
+  throw new Error(`Invalid DEXTER_MAX_REPAIR_ROUNDS: ${process.env.DEXTER_MAX_REPAIR_ROUNDS || ''}`);
+}
+
+// An ensemble lane runs the prompt on every ensemble.models entry in turn and
+// prints their consensus instead of one model's answer.
+const ensemble = resolveEnsemble(fundConfig);
+if (ensemble && !contract) {
+  throw new Error('An ensemble lane needs DEXTER_FUND_CONFIG and DEXTER_RUN_DATE');
+}
 
-let finalAnswer = '';
-let totalIterations = 0;
-let toolCalls = 0;
-const toolResults: Array<{ tool: string; args: Record<string, unknown>; result: string }> = [];
+// Record mode tees every event and the callLlm response into a cassette; replay
+// mode swaps Dexter for the cassette and never touches a provider API. Ensemble
+// members each get their own cassette beside the attempt's.
+const cassette = resolveCassette(process.env);
+const budget = resolveBudget(process.env);
+const startedAt = Date.now();
+const pricing = loadModelPricing(process.env.DEXTER_MODEL_PRICING_FILE || undefined);
+
+const jsonOnlySystemPrompt =
+  'You are a strict JSON generator. Output must be a single valid JSON object with no surrounding text. Do not use markdown.';
+
+type ModelRun = {
+  model: string;
+  telemetry: ReturnType<typeof createTelemetry>;
+  iterations: number;
+  toolCalls: number;
+  financialSearchCalls: number;
+  stoppedBy: string | null;
+  repairRounds: number;
+  violations: number | null;
+  output: string;
+  error: string | null;
+};
+
+function errorMessage(error: unknown) {
+  return error == null ? null : (error instanceof Error ? error.message : String(error));
+}
 
-for await (const event of agent.run(query)) {
-  if (event.type === 'tool_start') {
-    toolCalls += 1;
+function newRun(runModel: string): ModelRun {
+  return {
+    model: runModel,
+    telemetry: createTelemetry({ model: runModel, pricing, budget }),
+    iterations: 0,
+    toolCalls: 0,
+    financialSearchCalls: 0,
+    stoppedBy: null,
+    repairRounds: 0,
+    violations: null,
+    output: '',
+    error: null,
+  };
+}
+
+function finishRun(run: ModelRun, status: string, error: unknown) {
+  return run.telemetry.finish({ status, error: errorMessage(error), iterations: run.iterations, toolCalls: run.toolCalls });
+}
+
+// Telemetry is written on failure too, so the runner can tell a slow or
+// expensive failed attempt from a fast one.
+function writeTelemetry(doc: unknown) {
+  const file = process.env.DEXTER_TELEMETRY_FILE;
+  if (!file) return;
+  writeFileSync(resolve(file), `${JSON.stringify(doc)}\n`);
+}
+
+// One Dexter run of the prompt on run.model: agent loop until `done` or a
+// budget stop, JSON-only synthesis when the answer has no JSON, then contract
+// repair. deadlineAt (epoch ms or null) bounds the agent loop and the start of
+// repair passes. Fills in `run` as it goes, so a failure still reports how far
+// it got.
+async function runModel(run: ModelRun, cassettePath: string | null, deadlineAt: number | null) {
+  const replay = cassette.mode === 'replay' ? loadCassette(cassettePath) : null;
+  const recorder = cassette.mode === 'record'
+    ? createCassetteRecorder(cassettePath, { model: run.model, maxIterations, query })
+    : null;
+  if (replay) {
+    for (const mismatch of replayMismatches(replay, { model: run.model, query })) {
+      process.stderr.write(`dexter_cassette: ${mismatch}\n`);
+    }
+    writeReplayScratchpad(resolve(process.env.DEXTER_SCRATCHPAD_DIR || '.dexter/scratchpad'), replay, query);
   }
 
-  if (event.type === 'tool_end') {
-    toolResults.push({
-      tool: String(event.tool || ''),
-      args: (event.args && typeof event.args === 'object') ? event.args : {},
-      result: String(event.result || ''),
-    });
+  const Agent = replay ? replayAgent(replay) : await loadAgentCtor();
+  const agent = Agent.create({
+    model: run.model,
+    maxIterations,
+  });
+
+  // One callLlm for the synthesis and repair passes, so a replay hands out the
+  // recorded responses in order.
+  let callLlm: ((prompt: string, options: { model?: string; systemPrompt?: string }) => Promise<{ response: string }>) | null = null;
+  async function jsonOnlyCall(prompt: string) {
+    callLlm ??= replay ? replayCallLlm(replay) : await loadCallLlm();
+    const llmResult = await callLlm(prompt, { model: run.model, systemPrompt: jsonOnlySystemPrompt });
+    recorder?.callLlm(prompt, jsonOnlySystemPrompt, llmResult.response);
+    return llmResult;
+  }
+
+  let finalAnswer = '';
+  const toolResults: Array<{ tool: string; args: Record<string, unknown>; result: string }> = [];
+  const events = agent.run(query)[Symbol.asyncIterator]();
+  while (true) {
+    const next = await nextBefore(events, deadlineAt);
+    // A budget stop is recorded as a budget_stop event, so replaying the
+    // cassette stops at the same point.
+    const stop = next === DEADLINE
+      ? 'deadline'
+      : (next.done ? null : (next.value.type === 'budget_stop' ? String(next.value.reason) : toolCapReached(budget, next.value, run)));
+    if (stop) {
+      run.stoppedBy = stop;
+      recorder?.event({ type: 'budget_stop', reason: stop });
+      run.telemetry.budgetStop(stop);
+      process.stderr.write(`dexter_budget: ${run.model} stopped by ${stop} after ${run.toolCalls} tool call(s); finalizing from gathered results\n`);
+      // Don't wait: after a deadline the agent may be stuck in a provider call.
+      events.return?.(undefined)?.catch?.(() => {});
+      break;
+    }
+    if (next === DEADLINE || next.done) break;
+    const event = next.value;
+    recorder?.event(event);
+    run.telemetry.event(event);
+
+    if (event.type === 'tool_start') {
+      run.toolCalls += 1;
+      if (event.tool === 'financial_search') run.financialSearchCalls += 1;
+    }
+
+    if (event.type === 'tool_end') {
+      toolResults.push({
+        tool: String(event.tool || ''),
+        args: (event.args && typeof event.args === 'object') ? event.args : {},
+        result: String(event.result || ''),
+      });
+    }
+
+    if (event.type === 'done') {
+      finalAnswer = typeof event.answer === 'string' ? event.answer : '';
+      if (typeof event.iterations === 'number') {
+        run.iterations = event.iterations;
+      }
+      break;
+    }
+  }
+
+  if (!finalAnswer.trim() && !run.stoppedBy) {
+    throw new Error('Dexter returned empty final answer');
   }
 
-  if (event.type === 'done') {
-    finalAnswer = typeof event.answer === 'string' ? event.answer : '';
-    if (typeof event.iterations === 'number') {
-      totalIterations = event.iterations;
+  run.output = extractJsonObject(finalAnswer);
+  if (!run.output) {
+    // Some models strongly follow Dexter's CLI system prompt and will ignore "Output ONLY JSON".
+    // When that happens, do a strict "JSON-only" synthesis pass without tools, using a compact tool-results summary.
+    // A budget stop takes the same path, with no draft answer.
+    run.telemetry.synthesisStart(
+      run.stoppedBy
+        ? `agent stopped by the ${run.stoppedBy} budget`
+        : (finalAnswer.includes('{') ? 'final answer contains no parseable JSON object' : 'final answer contains no JSON object'),
+    );
+    const toolSummary = buildToolSummary(toolResults);
+    const fixPrompt =
+      `You must return ONLY one valid JSON object (no markdown, no prose, no code fences).\n` +
+      `Begin with '{' and end with '}'.\n\n` +
+      `ASSIGNMENT:\n${query}\n\n` +
+      `TOOL RESULTS (summarized):\n${toolSummary}\n\n` +
+      (run.stoppedBy
+        ? `DRAFT ANSWER: none. Research was stopped early by the ${run.stoppedBy} budget; ` +
+          `decide from the tool results above and the data in the assignment.\n\n`
+        : `DRAFT ANSWER (invalid):\n${finalAnswer}\n\n`) +
+      `Return ONLY the corrected JSON object now.`;
+    const llmResult = await jsonOnlyCall(fixPrompt);
+
+    run.output = extractJsonObject(String(llmResult.response || ''));
+    run.telemetry.synthesisEnd({ succeeded: Boolean(run.output), result: llmResult });
+    if (!run.output) {
+      throw new Error('Dexter returned non-JSON output even after JSON-only synthesis pass');
     }
-    break;
+  }
+
+  if (!contract) return;
+  const tag = ensemble ? `dexter_contract[${run.model}]` : 'dexter_contract';
+  let candidate = JSON.parse(run.output);
+  let violations = validateOutput(candidate, contract);
+  run.telemetry.contractChecked(violations.length);
+  while (violations.length > 0 && run.repairRounds < maxRepairRounds) {
+    if (deadlineAt != null && Date.now() >= deadlineAt) {
+      run.telemetry.repairStopped('deadline');
+      break;
+    }
+    run.repairRounds += 1;
+    process.stderr.write(`${tag}: ${violations.length} violation(s), repair round ${run.repairRounds}/${maxRepairRounds}\n${formatViolations(violations)}\n`);
+    const started = Date.now();
+    const llmResult = await jsonOnlyCall(buildRepairPrompt(candidate, violations, contract));
+    const repaired = extractJsonObject(String(llmResult.response || ''));
+    const repairedViolations = repaired ? validateOutput(JSON.parse(repaired), contract) : null;
+    // A repair that breaks more than it fixes is dropped; the next round
+    // retries from the better candidate.
+    const before = violations.length;
+    if (repairedViolations && repairedViolations.length <= before) {
+      candidate = JSON.parse(repaired);
+      run.output = repaired;
+      violations = repairedViolations;
+    }
+    run.telemetry.repairRound({
+      round: run.repairRounds,
+      violationsBefore: before,
+      violationsAfter: repairedViolations ? repairedViolations.length : null,
+      kept: violations.length,
+      durationMs: Date.now() - started,
+      result: llmResult,
+    });
+  }
+  run.violations = violations.length;
+  if (violations.length > 0 && run.repairRounds >= maxRepairRounds) run.telemetry.repairStopped('max_repair_rounds');
+  if (violations.length > 0) {
+    process.stderr.write(`${tag}: ${violations.length} violation(s) left after ${run.repairRounds} repair round(s)\n${formatViolations(violations)}\n`);
   }
 }
 
-if (!finalAnswer.trim()) {
-  throw new Error('Dexter returned empty final answer');
+const cassetteInfo = cassette.mode === 'off' ? '' : ` cassette=${cassette.mode}`;
+
+// After a deadline stop the abandoned agent may still hold open provider
+// requests that would keep the process alive, so exit once stdout is flushed.
+function emit(text: string, runs: ModelRun[]) {
+  if (runs.some((r) => r.stoppedBy === 'deadline')) process.stdout.write(text, () => process.exit(0));
+  else process.stdout.write(text);
 }
+const deadlineMs = budget.deadline_seconds != null ? budget.deadline_seconds * 1000 : null;
 
-let output = extractJsonObject(finalAnswer);
-if (!output) {
-  // Some models strongly follow Dexter's CLI system prompt and will ignore "Output ONLY JSON".
-  // When that happens, do a strict "JSON-only" synthesis pass without tools, using a compact tool-results summary.
-  const callLlm = await loadCallLlm();
-  const toolSummary = buildToolSummary(toolResults);
-  const fixPrompt =
-    `You must return ONLY one valid JSON object (no markdown, no prose, no code fences).\n` +
-    `Begin with '{' and end with '}'.\n\n` +
-    `ASSIGNMENT:\n${query}\n\n` +
-    `TOOL RESULTS (summarized):\n${toolSummary}\n\n` +
-    `DRAFT ANSWER (invalid):\n${finalAnswer}\n\n` +
-    `Return ONLY the corrected JSON object now.`;
+if (!ensemble) {
+  const run = newRun(model);
+  try {
+    await runModel(run, cassette.path, deadlineMs != null ? startedAt + deadlineMs : null);
+  } catch (err) {
+    writeTelemetry(finishRun(run, 'failed', err));
+    throw err;
+  }
+  writeTelemetry(finishRun(run, 'success', null));
+
+  const repairInfo = contract ? ` repair_rounds=${run.repairRounds}` : '';
+  const budgetInfo = run.stoppedBy ? ` budget_stop=${run.stoppedBy}` : '';
+  process.stderr.write(`dexter_info: model=${model} iterations=${run.iterations} tool_calls=${run.toolCalls}${repairInfo}${budgetInfo}${cassetteInfo}\n`);
+  emit(`${run.output.trim()}\n`, [run]);
+} else {
+  // A member that fails or still breaks the contract after repair sits out;
+  // the consensus needs ensemble.min_members valid answers.
+  const runs: ModelRun[] = [];
+  const memberTelemetry: unknown[] = [];
+  // Members share the deadline: member i must be done by (i + 1) / n of it.
+  for (const [i, memberModel] of ensemble.models.entries()) {
+    const run = newRun(memberModel);
+    const memberDeadline = deadlineMs != null ? startedAt + ((deadlineMs * (i + 1)) / ensemble.models.length) : null;
+    try {
+      await runModel(
+        run,
+        cassette.path ? cassette.path.replace(/(\.jsonl)?$/, `.${modelSlug(memberModel)}.jsonl`) : null,
+        memberDeadline,
+      );
+      memberTelemetry.push(finishRun(run, 'success', null));
+    } catch (err) {
+      run.error = errorMessage(err);
+      memberTelemetry.push(finishRun(run, 'failed', err));
+      process.stderr.write(`dexter_ensemble: ${memberModel} failed: ${run.error}\n`);
+    }
+    runs.push(run);
+  }
+  const valid = runs.filter((r) => !r.error && r.violations === 0);
 
-  const { response } = await callLlm(fixPrompt, {
-    model,
-    systemPrompt:
-      'You are a strict JSON generator. Output must be a single valid JSON object with no surrounding text. Do not use markdown.',
-  });
+  let previousPortfolio = null;
+  if (process.env.DEXTER_PREVIOUS_OUTPUT) {
+    try {
+      previousPortfolio = JSON.parse(readFileSync(resolve(process.env.DEXTER_PREVIOUS_OUTPUT), 'utf8')).target_portfolio ?? null;
+    } catch {
+      // First run of the lane, or an unreadable output: every holding is an Add.
+    }
+  }
 
-  output = extractJsonObject(String(response || ''));
-  if (!output) {
-    throw new Error('Dexter returned non-JSON output even after JSON-only synthesis pass');
+  let consensus: ReturnType<typeof buildConsensus> | null = null;
+  let failure: Error | null = null;
+  try {
+    if (valid.length < ensemble.min_members) {
+      throw new Error(`Ensemble has ${valid.length} contract-valid member answer(s); min_members is ${ensemble.min_members}`);
+    }
+    consensus = buildConsensus(
+      valid.map((r) => ({ model: r.model, doc: JSON.parse(r.output) })),
+      contract,
+      { method: ensemble.method, previousPortfolio },
+    );
+    const left = validateOutput(consensus.doc, contract);
+    if (left.length > 0) {
+      throw new Error(`Ensemble consensus violates the lane contract:\n${formatViolations(left)}`);
+    }
+  } catch (err) {
+    failure = err instanceof Error ? err : new Error(String(err));
   }
-}
 
-process.stderr.write(`dexter_info: model=${model} iterations=${totalIterations} tool_calls=${toolCalls}\n`);
-process.stdout.write(`${output.trim()}\n`);
+  writeTelemetry(combineTelemetry({
+    model,
+    members: memberTelemetry,
+    status: failure ? 'failed' : 'success',
+    error: errorMessage(failure),
+    pricing,
+  }));
+  if (process.env.DEXTER_ENSEMBLE_FILE) {
+    const report = {
+      method: ensemble.method,
+      models: ensemble.models,
+      min_members: ensemble.min_members,
+      status: failure ? 'failed' : 'success',
+      error: errorMessage(failure),
+      lead_model: consensus?.lead_model ?? null,
+      members: runs.map((r) => ({
+        model: r.model,
+        status: r.error ? 'failed' : (r.violations === 0 ? 'valid' : 'invalid'),
+        error: r.error,
+        contract_violations: r.violations,
+        repair_rounds: r.repairRounds,
+        budget_stop: r.stoppedBy,
+        iterations: r.iterations,
+        tool_calls: r.toolCalls,
+        target_portfolio: r.output ? (JSON.parse(r.output).target_portfolio ?? null) : null,
+      })),
+      consensus_portfolio: consensus?.doc.target_portfolio ?? null,
+      agreement: consensus?.agreement ?? null,
+    };
+    writeFileSync(resolve(process.env.DEXTER_ENSEMBLE_FILE), `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (failure) throw failure;
+
+  const toolCalls = runs.reduce((s, r) => s + r.toolCalls, 0);
+  const iterations = runs.reduce((s, r) => s + r.iterations, 0);
+  const repairRounds = runs.reduce((s, r) => s + r.repairRounds, 0);
+  const stops = runs.filter((r) => r.stoppedBy).map((r) => `${r.model}:${r.stoppedBy}`);
+  const budgetInfo = stops.length ? ` budget_stop=${stops.join(',')}` : '';
+  process.stderr.write(
+    `dexter_info: model=${model} ensemble=${ensemble.method} members=${valid.length}/${runs.length} ` +
+    `iterations=${iterations} tool_calls=${toolCalls} repair_rounds=${repairRounds}${budgetInfo}${cassetteInfo}\n`,
+  );
+  emit(`${JSON.stringify(consensus!.doc, null, 2)}\n`, runs);
+}
@@ -0,0 +1,47 @@
+// diff_arena_packs.mjs — What changed between a lane's previous arena input pack and the current one.
+// Usage: node scripts/diff_arena_packs.mjs <current_pack> [previous_pack] [--text]
+// Without previous_pack, uses the pack of the lane's latest successful run before
+// the current pack's run (funds/<fund_id>/runs/<date>/<provider>/arena_input_pack.json).
+// Output: the diff as JSON (see lib/pack_diff.mjs), or with --text the summary
+// lines rendered into the pack's prompt appendix.
+import { readFileSync } from 'node:fs';
+import { diffPacks, diffSummaryLines, findPreviousPack, NO_CHANGES_SUMMARY } from './lib/pack_diff.mjs';
+
+const USAGE = 'Usage: node scripts/diff_arena_packs.mjs <current_pack> [previous_pack] [--text]';
+
+function readPack(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot read pack ${path}: ${err instanceof Error ? err.message : String(err)}`);
+    process.exit(1);
+  }
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const asText = argv.includes('--text');
+  const [currentPath, previousArg] = argv.filter((a) => a !== '--text');
+  if (!currentPath) {
+    console.error(USAGE);
+    process.exit(64);
+  }
+  const previousPath = previousArg || findPreviousPack(currentPath);
+  if (!previousPath) {
+    console.error(`No previous pack found for ${currentPath}`);
+    process.exit(1);
+  }
+
+  const diff = diffPacks(readPack(previousPath), readPack(currentPath));
+  if (!asText) {
+    process.stdout.write(`${JSON.stringify({ previous_pack_path: previousPath, ...diff }, null, 2)}\n`);
+    return;
+  }
+  const lines = diffSummaryLines(diff);
+  console.log(`Changes since ${diff.previous_run_date || previousPath}:`);
+  for (const line of lines.length > 0 ? lines : [NO_CHANGES_SUMMARY]) {
+    console.log(`- ${line}`);
+  }
+}
+
+main();
@@ -0,0 +1,67 @@
+// financial_datasets_standin.mjs — Local stand-in for the Financial Datasets endpoints the input pack uses.
+// Usage: node scripts/financial_datasets_standin.mjs <fixture_dir> [port]
+// Serves <fixture_dir>/<SYMBOL>.json ({ financial_metrics: [...], press_releases: [...] })
+// as GET /financial-metrics/?ticker=<SYMBOL> and GET /earnings/press-releases/?ticker=<SYMBOL>.
+// Requests without an X-API-KEY header get 401; unknown tickers get 404.
+// STANDIN_FORCE_STATUS=<code> answers every request with that status (e.g. 402
+// to exercise the billing-failure path). Prints the base URL once listening;
+// point the pack at it with FINANCIAL_DATASETS_BASE_URL=<url>.
+import { existsSync, readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { join, resolve } from 'node:path';
+import { symbolFileName } from './lib/market_data.mjs';
+
+const ROUTES = {
+  '/financial-metrics/': 'financial_metrics',
+  '/earnings/press-releases/': 'press_releases',
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  const [dirArg, portArg = '0'] = process.argv.slice(2);
+  if (!dirArg) {
+    console.error('Usage: node scripts/financial_datasets_standin.mjs <fixture_dir> [port]');
+    process.exit(64);
+  }
+  const dir = resolve(dirArg);
+  const forceStatus = Number(process.env.STANDIN_FORCE_STATUS || '0');
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const path = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+    const key = ROUTES[path];
+    if (!key) return send(res, 404, { error: `unknown endpoint ${url.pathname}` });
+    if (forceStatus) return send(res, forceStatus, { error: `forced status ${forceStatus}` });
+    if (!req.headers['x-api-key']) return send(res, 401, { error: 'missing X-API-KEY' });
+
+    const ticker = String(url.searchParams.get('ticker') || '').toUpperCase();
+    const file = join(dir, `${symbolFileName(ticker)}.json`);
+    if (!ticker || !existsSync(file)) return send(res, 404, { error: `no data for ${ticker}` });
+
+    let doc;
+    try {
+      doc = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+      return send(res, 500, { error: err instanceof Error ? err.message : String(err) });
+    }
+    let rows = Array.isArray(doc?.[key]) ? doc[key] : [];
+    if (key === 'financial_metrics') {
+      const period = url.searchParams.get('period');
+      const limit = Number(url.searchParams.get('limit') || '0');
+      if (period) rows = rows.filter((r) => !r.period || r.period === period);
+      rows = [...rows].sort((a, b) => String(b.report_period).localeCompare(String(a.report_period)));
+      if (limit > 0) rows = rows.slice(0, limit);
+    }
+    return send(res, 200, { [key]: rows });
+  });
+
+  server.listen(Number(portArg) || 0, '127.0.0.1', () => {
+    console.log(`http://127.0.0.1:${server.address().port}`);
+  });
+}
+
+main();
@@ -1,112 +1,20 @@
 import { readFileSync } from 'node:fs';
+import { DEFAULT_CALENDAR, previousSession } from './lib/calendar.mjs';
+import {
+  closeOnOrBefore,
+  createMarketDataProvider,
+  dateMs,
+  isDateStr,
+  mapWithConcurrency,
+  resolveReturnBasis,
+  splitMarketDataArgs,
+} from './lib/market_data.mjs';
+import { createPriceStore } from './lib/price_store.mjs';
 
 function asPct(value) {
   return Number(value.toFixed(2));
 }
 
-function dateFromTs(ts) {
-  return new Date(ts * 1000).toISOString().slice(0, 10);
-}
-
-function isDateStr(s) {
-  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-}
-
-function dateMs(dateStr) {
-  const ms = Date.parse(`${dateStr}T00:00:00Z`);
-  return Number.isFinite(ms) ? ms : null;
-}
-
-function dayBefore(dateStr) {
-  const d = new Date(`${dateStr}T12:00:00Z`);
-  d.setUTCDate(d.getUTCDate() - 1);
-  return d.toISOString().slice(0, 10);
-}
-
-function upperBound(arr, target) {
-  let lo = 0;
-  let hi = arr.length;
-  while (lo < hi) {
-    const mid = (lo + hi) >> 1;
-    if (arr[mid] <= target) lo = mid + 1;
-    else hi = mid;
-  }
-  return lo;
-}
-
-function closeOnOrBefore(chart, targetDate) {
-  if (!chart || !Array.isArray(chart.dates) || !Array.isArray(chart.closes) || chart.dates.length === 0) return null;
-  const idx = upperBound(chart.dates, targetDate) - 1;
-  if (idx < 0) return null;
-  const close = chart.closes[idx];
-  if (!Number.isFinite(close) || close <= 0) return null;
-  return { date: chart.dates[idx], close };
-}
-
-function symbolAliases(raw) {
-  const t = String(raw || '').trim();
-  if (!t) return [];
-  const out = [t];
-  if (t.includes('.')) out.push(t.replace(/\./g, '-'));
-  if (t.includes('-')) out.push(t.replace(/-/g, '.'));
-  return [...new Set(out)];
-}
-
-async function fetchYahooChart(symbol, period1, period2) {
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&period1=${period1}&period2=${period2}`;
-  try {
-    const res = await fetch(url, { headers: { 'User-Agent': 'hedge-labs-fund-arena/1.0' } });
-    if (!res.ok) return null;
-    const data = await res.json();
-    const result = data?.chart?.result?.[0];
-    if (!result) return null;
-
-    const timestamps = result.timestamp || [];
-    const closes =
-      result?.indicators?.adjclose?.[0]?.adjclose ||
-      result?.indicators?.quote?.[0]?.close ||
-      [];
-
-    if (!Array.isArray(timestamps) || !Array.isArray(closes) || timestamps.length === 0 || closes.length === 0) {
-      return null;
-    }
-
-    const dates = [];
-    const cleanCloses = [];
-    for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-      const ts = timestamps[i];
-      const close = closes[i];
-      if (close == null) continue;
-      const n = Number(close);
-      if (!Number.isFinite(n) || n <= 0) continue;
-      const d = dateFromTs(ts);
-      if (!isDateStr(d)) continue;
-      dates.push(d);
-      cleanCloses.push(n);
-    }
-    if (dates.length === 0) return null;
-    return { symbol, dates, closes: cleanCloses };
-  } catch {
-    return null;
-  }
-}
-
-async function mapWithConcurrency(items, limit, mapper) {
-  const results = new Array(items.length);
-  let index = 0;
-  async function worker() {
-    while (true) {
-      const i = index;
-      index += 1;
-      if (i >= items.length) return;
-      results[i] = await mapper(items[i], i);
-    }
-  }
-  const n = Math.max(1, Math.min(limit, items.length));
-  await Promise.all(Array.from({ length: n }, () => worker()));
-  return results;
-}
-
 function safeJson(path) {
   try {
     return JSON.parse(readFileSync(path, 'utf8'));
@@ -119,13 +27,15 @@ function emptyResult(startDate, endDate) {
   return {
     start_date: startDate,
     end_date: endDate,
+    return_basis: resolveReturnBasis(),
     asof_price_date: null,
     items: []
   };
 }
 
 async function main() {
-  const [startDateArg, endDateArg, indicesPathArg] = process.argv.slice(2);
+  const { args, options: marketDataOptions } = splitMarketDataArgs(process.argv.slice(2));
+  const [startDateArg, endDateArg, indicesPathArg] = args;
   const startDate = String(startDateArg || '').trim();
   const endDate = String(endDateArg || '').trim();
   const indicesPath = String(indicesPathArg || '').trim();
@@ -161,17 +71,14 @@ async function main() {
   const period2Candidate = Math.floor(endMs / 1000) + (4 * 86400);
   const period2 = Math.min(nowEpoch, period2Candidate);
 
+  const returnBasis = resolveReturnBasis();
+  const prices = createPriceStore(createMarketDataProvider(marketDataOptions));
   const chartCache = new Map();
   await mapWithConcurrency(itemsIn, 6, async ({ ticker }) => {
     const cacheKey = `${ticker}|${period1}|${period2}`;
     if (chartCache.has(cacheKey)) return;
 
-    let chart = null;
-    for (const symbol of symbolAliases(ticker)) {
-      chart = await fetchYahooChart(symbol, period1, period2);
-      if (chart) break;
-    }
-    chartCache.set(cacheKey, chart);
+    chartCache.set(cacheKey, await prices.loadCloseSeries(ticker, { period1, period2 }, { basis: returnBasis }));
   });
 
   const outItems = [];
@@ -180,7 +87,7 @@ async function main() {
 
   for (const { ticker, name } of itemsIn) {
     const chart = chartCache.get(`${ticker}|${period1}|${period2}`) || null;
-    const start = closeOnOrBefore(chart, dayBefore(startDate));
+    const start = closeOnOrBefore(chart, previousSession(DEFAULT_CALENDAR, startDate));
     const end = closeOnOrBefore(chart, endDate);
     if (!start || !end) {
       outItems.push({ ticker, name: name || ticker, return_pct: null, asof_price_date: null });
@@ -200,6 +107,7 @@ async function main() {
   console.log(JSON.stringify({
     start_date: startDate,
     end_date: endDate,
+    return_basis: returnBasis,
     asof_price_date: asofMin,
     items: outItems
   }));
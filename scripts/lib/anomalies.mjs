@@ -0,0 +1,199 @@
+// anomalies.mjs — Price-data sanity checks run before features and NAV.
+// Configured per lane in fund.config.json (missing fields use DEFAULT_DATA_QUALITY):
+//   "data_quality": {
+//     "jump_threshold_pct": 25,         // single-bar move with no split/dividend nearby
+//     "crypto_jump_threshold_pct": 40,  // same, for 24/7 assets
+//     "event_window_days": 3,           // how far a split/dividend may sit from the jump
+//     "stale_close_bars": 5,            // this many identical closes in a row
+//     "max_missing_sessions": 2,        // calendar sessions absent from the history
+//     "max_bar_age_sessions": 2,        // sessions between the latest bar and the as-of date
+//     "lookback_bars": 252,             // bars checked for jumps, stale and missing sessions
+//     "quarantine": ["price_jump"]      // anomaly types that drop the symbol
+//   }
+// Checks run on the split-adjusted price closes, so a split that
+// buildReturnSeries already corrected no longer shows as a jump, while a missed
+// split without an event does. A quarantined symbol is treated as unpriced: the
+// pack turns it into an error record, and the NAV scripts drop its closes from
+// the anomaly's first bad date onward, so segments that ended before it keep
+// their published returns.
+import { addDays, calendarForSymbol, sessionDates, sessionsBetween } from './calendar.mjs';
+
+export const ANOMALY_TYPES = ['price_jump', 'stale_closes', 'missing_sessions', 'stale_latest_bar'];
+
+export const DEFAULT_DATA_QUALITY = {
+  jump_threshold_pct: 25,
+  crypto_jump_threshold_pct: 40,
+  event_window_days: 3,
+  stale_close_bars: 5,
+  max_missing_sessions: 2,
+  max_bar_age_sessions: 2,
+  lookback_bars: 252,
+  quarantine: [],
+};
+
+// Dates listed per missing_sessions anomaly; the count covers them all.
+const MAX_LISTED_DATES = 5;
+
+function num(v, fallback) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function round(v, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+export function resolveDataQuality(config) {
+  const raw = config?.data_quality && typeof config.data_quality === 'object' ? config.data_quality : {};
+  const d = DEFAULT_DATA_QUALITY;
+  const quarantine = Array.isArray(raw.quarantine) ? raw.quarantine.map(String) : d.quarantine;
+  const unknown = quarantine.filter((t) => !ANOMALY_TYPES.includes(t));
+  if (unknown.length > 0) {
+    process.stderr.write(`Ignoring data_quality.quarantine ${unknown.join(', ')} (expected any of ${ANOMALY_TYPES.join(', ')})\n`);
+  }
+  return {
+    jump_threshold_pct: num(raw.jump_threshold_pct, d.jump_threshold_pct),
+    crypto_jump_threshold_pct: num(raw.crypto_jump_threshold_pct, d.crypto_jump_threshold_pct),
+    event_window_days: num(raw.event_window_days, d.event_window_days),
+    stale_close_bars: Math.max(2, Math.floor(num(raw.stale_close_bars, d.stale_close_bars))),
+    max_missing_sessions: num(raw.max_missing_sessions, d.max_missing_sessions),
+    max_bar_age_sessions: num(raw.max_bar_age_sessions, d.max_bar_age_sessions),
+    lookback_bars: Math.max(2, Math.floor(num(raw.lookback_bars, d.lookback_bars))),
+    quarantine: quarantine.filter((t) => ANOMALY_TYPES.includes(t)),
+  };
+}
+
+function nearEvent(date, events, windowDays) {
+  const from = addDays(date, -windowDays);
+  const to = addDays(date, windowDays);
+  return [...(events?.splits || []), ...(events?.dividends || [])].some((ev) => ev.date >= from && ev.date <= to);
+}
+
+// Anomalies in rows [{ date, close }] (price basis, oldest first) for a symbol
+// trading on `calendar`, with events from parseChartEvents and the latest bar
+// judged against asOfDate. Each anomaly is { type, ticker, message, ...detail }.
+export function detectAnomalies(ticker, rows, events, { calendar, asOfDate, settings = DEFAULT_DATA_QUALITY }) {
+  const out = [];
+  if (rows.length === 0) return out;
+  const recent = rows.slice(-settings.lookback_bars);
+
+  const threshold = calendar === 'CRYPTO' ? settings.crypto_jump_threshold_pct : settings.jump_threshold_pct;
+  for (let i = 1; i < recent.length; i += 1) {
+    const movePct = ((recent[i].close / recent[i - 1].close) - 1) * 100;
+    if (!(Math.abs(movePct) > threshold) || nearEvent(recent[i].date, events, settings.event_window_days)) continue;
+    out.push({
+      type: 'price_jump',
+      ticker,
+      date: recent[i].date,
+      previous_date: recent[i - 1].date,
+      move_pct: round(movePct, 2),
+      message: `${movePct > 0 ? '+' : ''}${movePct.toFixed(1)}% close-to-close on ${recent[i].date} with no split or dividend within ${settings.event_window_days} days`,
+    });
+  }
+
+  let runStart = 0;
+  for (let i = 1; i <= recent.length; i += 1) {
+    if (i < recent.length && recent[i].close === recent[runStart].close) continue;
+    const length = i - runStart;
+    if (length >= settings.stale_close_bars) {
+      out.push({
+        type: 'stale_closes',
+        ticker,
+        date: recent[i - 1].date,
+        start_date: recent[runStart].date,
+        bars: length,
+        message: `${length} identical closes (${recent[runStart].close}) from ${recent[runStart].date} to ${recent[i - 1].date}`,
+      });
+    }
+    runStart = i;
+  }
+
+  const have = new Set(recent.map((r) => r.date));
+  const missing = sessionDates(calendar, recent[0].date, recent[recent.length - 1].date).filter((d) => !have.has(d));
+  if (missing.length > settings.max_missing_sessions) {
+    const listed = missing.slice(-MAX_LISTED_DATES);
+    out.push({
+      type: 'missing_sessions',
+      ticker,
+      date: missing[missing.length - 1],
+      count: missing.length,
+      dates: listed,
+      message: `${missing.length} ${calendar} sessions without a bar since ${recent[0].date} (latest: ${listed.join(', ')})`,
+    });
+  }
+
+  const latest = rows[rows.length - 1].date;
+  const age = sessionsBetween(calendar, latest, asOfDate);
+  if (age > settings.max_bar_age_sessions) {
+    out.push({
+      type: 'stale_latest_bar',
+      ticker,
+      date: latest,
+      age_sessions: age,
+      message: `latest bar ${latest} is ${age} ${calendar} sessions before ${asOfDate}`,
+    });
+  }
+  return out;
+}
+
+// detectAnomalies for a loadCloseSeries chart ({ dates, series.price, events, meta }).
+export function chartAnomalies(ticker, chart, asOfDate, settings = DEFAULT_DATA_QUALITY) {
+  if (!chart || !Array.isArray(chart.dates) || chart.dates.length === 0) return [];
+  const prices = chart.series?.price || chart.closes;
+  const rows = chart.dates.map((date, i) => ({ date, close: prices[i] })).filter((r) => r.date <= asOfDate);
+  return detectAnomalies(ticker, rows, chart.events, { calendar: calendarForSymbol(ticker, chart.meta), asOfDate, settings });
+}
+
+// First date an anomaly covers: the start of a stale run, the earliest listed
+// missing session, else the anomaly's own date.
+function anomalyStart(a) {
+  return a.start_date || a.dates?.[0] || a.date;
+}
+
+// { ticker: date } for tickers in { ticker: anomalies } with at least one
+// anomaly of a quarantined type, dated from the earliest such anomaly.
+export function quarantineDates(anomaliesByTicker, settings) {
+  const out = {};
+  for (const [ticker, list] of Object.entries(anomaliesByTicker).sort(([a], [b]) => a.localeCompare(b))) {
+    const starts = list.filter((a) => settings.quarantine.includes(a.type)).map(anomalyStart).sort();
+    if (starts.length > 0) out[ticker] = starts[0];
+  }
+  return out;
+}
+
+// Tickers in { ticker: anomalies } with at least one anomaly of a quarantined type.
+export function quarantinedTickers(anomaliesByTicker, settings) {
+  return Object.keys(quarantineDates(anomaliesByTicker, settings));
+}
+
+// One warning line per symbol with anomalies.
+export function anomalyWarnings(anomaliesByTicker, quarantined = []) {
+  return Object.keys(anomaliesByTicker)
+    .sort()
+    .filter((t) => anomaliesByTicker[t].length > 0)
+    .map((t) => {
+      const list = anomaliesByTicker[t];
+      const shown = list.slice(-3).map((a) => `${a.type}: ${a.message}`).join('; ');
+      const more = list.length > 3 ? ` (+${list.length - 3} more)` : '';
+      return `Price data anomaly for ${t}${quarantined.includes(t) ? ' (quarantined)' : ''}: ${shown}${more}`;
+    });
+}
+
+// chartFor that treats a quarantined ticker as unpriced from its
+// quarantineDates date on: those closes become NaN, which closeOnOrBefore
+// reports as no price, while earlier closes are kept.
+export function withoutQuarantined(chartFor, since) {
+  if (Object.keys(since).length === 0) return chartFor;
+  const masked = new Map();
+  return (ticker) => {
+    if (!since[ticker]) return chartFor(ticker);
+    if (!masked.has(ticker)) {
+      const chart = chartFor(ticker);
+      masked.set(ticker, chart && Array.isArray(chart.closes)
+        ? { ...chart, closes: chart.closes.map((c, i) => (chart.dates[i] >= since[ticker] ? NaN : c)) }
+        : chart);
+    }
+    return masked.get(ticker);
+  };
+}
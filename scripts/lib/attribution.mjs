@@ -0,0 +1,301 @@
+// attribution.mjs — Break a lane's NAV return down by holding and by sector.
+// Works on the segment detail returned by computeNav in nav.mjs.
+//
+// Within a segment the fund earns segReturn = Σ(w_i · r_i) / covered, i.e. the
+// priced holdings are renormalized to 100%. A holding's contribution in
+// percentage points of since-inception return is therefore
+//   navStart/100 · w_i/100 · r_i
+// and the renormalization itself (uncovered weight assumed to earn the covered
+// average) is reported as a separate residual, so contributions plus residual
+// add up to the fund return.
+import { readFileSync } from 'node:fs';
+import { closeOnOrBefore } from './market_data.mjs';
+import { asPct } from './nav.mjs';
+
+function upperKey(ticker) {
+  return String(ticker || '').toUpperCase();
+}
+
+// One entry per contiguous holding stint. `entered` is the run that opened the
+// first segment of the stint; `exited` is the run that no longer held it, or
+// null while the holding is still in the portfolio.
+export function holdingContributions(successfulRuns, navResult) {
+  const segments = navResult?.segments || [];
+  const heldAt = new Map(successfulRuns.map((r) => [r.date, new Set(r.holdings.map((h) => upperKey(h.ticker)))]));
+
+  const open = new Map();
+  const stints = [];
+  const residual = { contribution_pct: 0, segments: [] };
+  let residualSum = 0;
+
+  segments.forEach((seg, idx) => {
+    const scale = seg.navStart / 100;
+    const entries = [
+      ...seg.holdings.map((h) => ({ ticker: h.ticker, weight: h.weight, returnPct: h.returnPct })),
+      ...seg.unpriced.map((h) => ({ ticker: h.ticker, weight: h.weight, returnPct: null })),
+    ];
+
+    for (const h of entries) {
+      const key = upperKey(h.ticker);
+      let stint = open.get(key);
+      if (!stint) {
+        stint = { ticker: h.ticker, entered: seg.runDate, exited: null, priced: false, growth: 1, contribution: 0, segments: [] };
+        open.set(key, stint);
+        stints.push(stint);
+      }
+      if (h.returnPct != null) {
+        stint.priced = true;
+        stint.growth *= 1 + (h.returnPct / 100);
+        stint.contribution += scale * (h.weight / 100) * h.returnPct;
+      }
+      stint.segments.push({
+        run_date: seg.runDate,
+        start_date: seg.startDate,
+        end_date: seg.endDate,
+        weight_pct: asPct(h.weight),
+        return_pct: h.returnPct != null ? asPct(h.returnPct) : null,
+      });
+    }
+
+    const uncovered = entries.filter((h) => h.returnPct == null);
+    const uncoveredWeight = 100 - seg.covered;
+    if (uncoveredWeight > 0.005) {
+      const contribution = scale * seg.returnPct * (uncoveredWeight / 100);
+      residualSum += contribution;
+      residual.segments.push({
+        run_date: seg.runDate,
+        uncovered_weight_pct: asPct(uncoveredWeight),
+        unpriced_tickers: uncovered.map((h) => h.ticker),
+        contribution_pct: asPct(contribution),
+      });
+    }
+
+    // Close stints whose ticker is absent from the next run.
+    const heldNow = new Set(entries.map((h) => upperKey(h.ticker)));
+    const isLast = idx === segments.length - 1;
+    const nextHeld = isLast ? heldAt.get(seg.nominalEndDate) : new Set(
+      [...segments[idx + 1].holdings, ...segments[idx + 1].unpriced].map((h) => upperKey(h.ticker)),
+    );
+    for (const key of heldNow) {
+      if (nextHeld && nextHeld.has(key)) continue;
+      if (isLast && !nextHeld) continue;
+      open.get(key).exited = isLast ? seg.nominalEndDate : segments[idx + 1].runDate;
+      open.delete(key);
+    }
+  });
+  residual.contribution_pct = asPct(residualSum);
+
+  const stocks = stints
+    .map((s) => ({
+      ticker: s.ticker,
+      entered: s.entered,
+      exited: s.exited,
+      return_pct: s.priced ? asPct((s.growth - 1) * 100) : null,
+      contribution_pct: s.priced ? asPct(s.contribution) : null,
+      segments: s.segments,
+    }))
+    .sort((a, b) => (b.contribution_pct ?? -Infinity) - (a.contribution_pct ?? -Infinity) || a.ticker.localeCompare(b.ticker));
+
+  return { stocks, residual };
+}
+
+// ---------------------------------------------------------------------------
+// Sector attribution (Brinson-Fachler)
+// ---------------------------------------------------------------------------
+// Benchmark sector weights and per-sector proxy ETFs come from
+// funds/arena/benchmark_sectors.json, since there is no constituent feed:
+//   { "sector_aliases": { "Technology": "Information Technology", ... },
+//     "benchmarks": { "SPY": { "sectors": { "<sector>": { "weight_pct", "proxy" } } } } }
+//
+// Per segment, with w = weights as fractions and R = returns over the aligned window:
+//   allocation  = (w_p - w_b) · (R_b,j - R_b)
+//   selection   = w_b · (R_p,j - R_b,j)
+//   interaction = (w_p - w_b) · (R_p,j - R_b,j)
+// where R_b = Σ w_b · R_b,j is the proxy-modelled benchmark. Sectors the
+// benchmark does not hold (commodities, crypto) are pure allocation bets.
+// A segment's effects add up to R_p - R_b exactly; benchmark_model_gap_pct is
+// R_b minus the actual benchmark return (the proxy model error), so effects
+// plus gap equal the segment's excess return.
+//
+// Since inception the segment effects are linked with Carino's logarithmic
+// coefficients, k_t / k with
+//   k_t = ln((1 + r_t) / (1 + b_t)) / (r_t - b_t)   (1 / (1 + r_t) when r_t = b_t)
+// and k the same over the cumulative returns, so they add up to the fund's
+// cumulative return minus the compounded proxy-modelled benchmark. The gap
+// between that benchmark and the actual one is benchmark_model_gap_pct again,
+// and effects plus gap equal nav - benchNav.
+
+export function loadSectorConfig(path) {
+  try {
+    const doc = JSON.parse(readFileSync(path, 'utf8'));
+    return doc && typeof doc === 'object' ? doc : null;
+  } catch {
+    return null;
+  }
+}
+
+export function normalizeSector(raw, aliases = {}) {
+  const name = String(raw || '').trim();
+  if (!name) return 'Unclassified';
+  if (aliases[name]) return aliases[name];
+  const lower = name.toLowerCase();
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (alias.toLowerCase() === lower) return target;
+  }
+  return name;
+}
+
+export function benchmarkSectors(sectorConfig, benchmarkTicker) {
+  const sectors = sectorConfig?.benchmarks?.[benchmarkTicker]?.sectors;
+  if (!sectors || typeof sectors !== 'object') return [];
+  return Object.entries(sectors)
+    .map(([sector, v]) => ({ sector, weight: Number(v?.weight_pct), proxy: String(v?.proxy || '').trim() }))
+    .filter((x) => Number.isFinite(x.weight) && x.weight > 0 && x.proxy);
+}
+
+function emptyEffects() {
+  return { allocation: 0, selection: 0, interaction: 0 };
+}
+
+// r and b as fractions.
+function carinoCoefficient(r, b) {
+  if (Math.abs(r - b) < 1e-12) return 1 / (1 + r);
+  return (Math.log1p(r) - Math.log1p(b)) / (r - b);
+}
+
+function roundEffects(e) {
+  return {
+    allocation_pct: asPct(e.allocation),
+    selection_pct: asPct(e.selection),
+    interaction_pct: asPct(e.interaction),
+  };
+}
+
+function segmentSectorAttribution(seg, benchSectors, aliases, chartFor) {
+  const portfolio = new Map();
+  for (const h of seg.holdings) {
+    const sector = normalizeSector(h.sector, aliases);
+    const row = portfolio.get(sector) || { weight: 0, weighted: 0 };
+    row.weight += h.weight;
+    row.weighted += h.weight * h.returnPct;
+    portfolio.set(sector, row);
+  }
+
+  const bench = new Map();
+  const missingProxies = [];
+  for (const b of benchSectors) {
+    const chart = chartFor(b.proxy);
+    const start = closeOnOrBefore(chart, seg.startDate);
+    const end = closeOnOrBefore(chart, seg.endDate);
+    if (!start || !end) {
+      missingProxies.push(b.proxy);
+      continue;
+    }
+    bench.set(b.sector, { weight: b.weight, returnPct: ((end.close / start.close) - 1) * 100 });
+  }
+  const benchTotal = [...bench.values()].reduce((a, b) => a + b.weight, 0);
+  if (benchTotal <= 0) return null;
+
+  let benchModel = 0;
+  for (const b of bench.values()) benchModel += (b.weight / benchTotal) * b.returnPct;
+
+  const sectors = [];
+  const totals = emptyEffects();
+  for (const sector of new Set([...portfolio.keys(), ...bench.keys()])) {
+    const p = portfolio.get(sector);
+    const b = bench.get(sector);
+    const wp = p ? p.weight / seg.covered : 0;
+    const wb = b ? b.weight / benchTotal : 0;
+    const rp = p ? p.weighted / p.weight : null;
+    const rb = b ? b.returnPct : null;
+
+    const e = emptyEffects();
+    if (p && b) {
+      e.allocation = (wp - wb) * (rb - benchModel);
+      e.selection = wb * (rp - rb);
+      e.interaction = (wp - wb) * (rp - rb);
+    } else if (b) {
+      e.allocation = -wb * (rb - benchModel);
+    } else {
+      e.allocation = wp * (rp - benchModel);
+    }
+    totals.allocation += e.allocation;
+    totals.selection += e.selection;
+    totals.interaction += e.interaction;
+
+    sectors.push({
+      sector,
+      portfolio_weight_pct: asPct(wp * 100),
+      benchmark_weight_pct: asPct(wb * 100),
+      portfolio_return_pct: rp != null ? asPct(rp) : null,
+      benchmark_return_pct: rb != null ? asPct(rb) : null,
+      effects: e,
+    });
+  }
+
+  return { benchModel, totals, sectors, missingProxies };
+}
+
+// Returns { segments, since_inception } or null when the benchmark has no sector
+// config. Since-inception effects are Carino-linked (see above).
+export function sectorAttribution(navResult, { sectorConfig, benchmarkTicker, chartFor }) {
+  const benchSectors = benchmarkSectors(sectorConfig, benchmarkTicker);
+  if (benchSectors.length === 0 || !navResult) return null;
+  const aliases = sectorConfig?.sector_aliases || {};
+
+  const segments = [];
+  // Effects weighted by k_t; divided by k once the cumulative returns are known.
+  const cumulative = emptyEffects();
+  const bySector = new Map();
+  const missing = new Set();
+  let fundGrowth = 1;
+  let modelGrowth = 1;
+
+  for (const seg of navResult.segments) {
+    const attr = segmentSectorAttribution(seg, benchSectors, aliases, chartFor);
+    if (!attr) return null;
+    attr.missingProxies.forEach((t) => missing.add(t));
+
+    const kt = carinoCoefficient(seg.returnPct / 100, attr.benchModel / 100);
+    fundGrowth *= 1 + (seg.returnPct / 100);
+    modelGrowth *= 1 + (attr.benchModel / 100);
+    for (const row of attr.sectors) {
+      const acc = bySector.get(row.sector) || emptyEffects();
+      for (const k of Object.keys(acc)) acc[k] += row.effects[k] * kt;
+      bySector.set(row.sector, acc);
+    }
+    for (const k of Object.keys(cumulative)) cumulative[k] += attr.totals[k] * kt;
+
+    segments.push({
+      run_date: seg.runDate,
+      start_date: seg.startDate,
+      end_date: seg.endDate,
+      portfolio_return_pct: asPct(seg.returnPct),
+      benchmark_return_pct: seg.benchReturnPct != null ? asPct(seg.benchReturnPct) : null,
+      benchmark_model_return_pct: asPct(attr.benchModel),
+      ...roundEffects(attr.totals),
+      benchmark_model_gap_pct: seg.benchReturnPct != null ? asPct(attr.benchModel - seg.benchReturnPct) : null,
+      sectors: attr.sectors
+        .map(({ effects, ...row }) => ({ ...row, ...roundEffects(effects) }))
+        .sort((a, b) => a.sector.localeCompare(b.sector)),
+    });
+  }
+
+  const k = carinoCoefficient(fundGrowth - 1, modelGrowth - 1);
+  const link = (e) => Object.fromEntries(Object.entries(e).map(([key, v]) => [key, v / k]));
+  const modelNav = modelGrowth * 100;
+  const excess = navResult.benchNav != null ? navResult.nav - navResult.benchNav : null;
+  return {
+    segments,
+    since_inception: {
+      excess_return_pct: excess != null ? asPct(excess) : null,
+      ...roundEffects(link(cumulative)),
+      benchmark_model_return_pct: asPct(modelNav - 100),
+      benchmark_model_gap_pct: navResult.benchNav != null ? asPct(modelNav - navResult.benchNav) : null,
+      sectors: [...bySector.entries()]
+        .map(([sector, e]) => ({ sector, ...roundEffects(link(e)) }))
+        .sort((a, b) => a.sector.localeCompare(b.sector)),
+    },
+    missing_proxies: [...missing].sort(),
+  };
+}
@@ -0,0 +1,251 @@
+// calendar.mjs — Rule-based trading calendars for the arena scripts.
+// Calendars:
+//   XNYS   — NYSE/Nasdaq sessions: weekdays minus NYSE holidays; regular close
+//            16:00 ET, early close 13:00 ET.
+//   CRYPTO — 24/7: every calendar day is a session, closing at 24:00 UTC.
+//   FX     — 24/5: weekdays, closing at the 17:00 ET New York cut.
+// NYSE holidays are generated from the exchange rules (fixed dates with weekend
+// observance, nth-weekday holidays, Good Friday from the Easter date) plus a
+// short list of one-off closures, so no network call is needed for any year.
+// Dates are ISO YYYY-MM-DD strings throughout.
+
+export const CALENDARS = ['XNYS', 'CRYPTO', 'FX'];
+export const DEFAULT_CALENDAR = 'XNYS';
+
+// Unscheduled full-day closures (weather, national days of mourning).
+const NYSE_SPECIAL_CLOSURES = {
+  '2001-09-11': 'September 11 attacks',
+  '2001-09-12': 'September 11 attacks',
+  '2001-09-13': 'September 11 attacks',
+  '2001-09-14': 'September 11 attacks',
+  '2004-06-11': 'National Day of Mourning (Reagan)',
+  '2007-01-02': 'National Day of Mourning (Ford)',
+  '2012-10-29': 'Hurricane Sandy',
+  '2012-10-30': 'Hurricane Sandy',
+  '2018-12-05': 'National Day of Mourning (G. H. W. Bush)',
+  '2025-01-09': 'National Day of Mourning (Carter)',
+};
+
+// ---------------------------------------------------------------------------
+// Date helpers (UTC noon avoids any DST edge)
+// ---------------------------------------------------------------------------
+
+function toDate(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`);
+}
+
+function fmt(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function ymd(year, month, day) {
+  return fmt(new Date(Date.UTC(year, month - 1, day, 12)));
+}
+
+export function addDays(dateStr, days) {
+  const d = toDate(dateStr);
+  d.setUTCDate(d.getUTCDate() + days);
+  return fmt(d);
+}
+
+function weekday(dateStr) {
+  return toDate(dateStr).getUTCDay(); // 0 = Sunday
+}
+
+function isWeekend(dateStr) {
+  const wd = weekday(dateStr);
+  return wd === 0 || wd === 6;
+}
+
+// nth (1-based) given weekday of a month; n = -1 for the last one.
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1, 12)).getUTCDay();
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + ((n - 1) * 7));
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0, 12));
+  const offset = (lastDay.getUTCDay() - dow + 7) % 7;
+  return ymd(year, month, lastDay.getUTCDate() - offset);
+}
+
+// Gregorian Easter Sunday (anonymous Gregorian algorithm).
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = ((19 * a) + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + (2 * e) + (2 * i) - h - k) % 7;
+  const m = Math.floor((a + (11 * h) + (22 * l)) / 451);
+  const month = Math.floor((h + l - (7 * m) + 114) / 31);
+  const day = ((h + l - (7 * m) + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday.
+function observed(dateStr) {
+  const wd = weekday(dateStr);
+  if (wd === 6) return addDays(dateStr, -1);
+  if (wd === 0) return addDays(dateStr, 1);
+  return dateStr;
+}
+
+// ---------------------------------------------------------------------------
+// NYSE rules
+// ---------------------------------------------------------------------------
+
+const nyseYearCache = new Map();
+
+function nyseYear(year) {
+  if (nyseYearCache.has(year)) return nyseYearCache.get(year);
+  const holidays = new Map();
+  const add = (date, name) => {
+    if (date && !isWeekend(date)) holidays.set(date, name);
+  };
+
+  // New Year's Day on a Saturday is not observed on the preceding Friday.
+  const newYear = ymd(year, 1, 1);
+  add(weekday(newYear) === 6 ? null : observed(newYear), "New Year's Day");
+  if (year >= 1998) add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(addDays(easterSunday(year), -2), 'Good Friday');
+  add(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) add(observed(ymd(year, 6, 19)), 'Juneteenth');
+  add(observed(ymd(year, 7, 4)), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  add(thanksgiving, 'Thanksgiving Day');
+  add(observed(ymd(year, 12, 25)), 'Christmas Day');
+  for (const [date, name] of Object.entries(NYSE_SPECIAL_CLOSURES)) {
+    if (date.startsWith(`${year}-`)) add(date, name);
+  }
+
+  // 13:00 ET closes: the weekday before Independence Day and Christmas when
+  // that day is itself a session, and the day after Thanksgiving.
+  const earlyCloses = new Map();
+  const addEarly = (date, name) => {
+    if (!isWeekend(date) && !holidays.has(date)) earlyCloses.set(date, name);
+  };
+  if ([2, 3, 4, 5].includes(weekday(ymd(year, 7, 4)))) addEarly(ymd(year, 7, 3), 'Independence Day eve');
+  addEarly(addDays(thanksgiving, 1), 'Day after Thanksgiving');
+  if ([2, 3, 4, 5].includes(weekday(ymd(year, 12, 25)))) addEarly(ymd(year, 12, 24), 'Christmas Eve');
+
+  const entry = { holidays, earlyCloses };
+  nyseYearCache.set(year, entry);
+  return entry;
+}
+
+export function nyseHolidays(year) {
+  return new Map(nyseYear(year).holidays);
+}
+
+export function nyseEarlyCloses(year) {
+  return new Map(nyseYear(year).earlyCloses);
+}
+
+// US Eastern offset from UTC in hours (DST: second Sunday of March through the
+// first Sunday of November, rules in force since 2007).
+function easternOffsetHours(dateStr) {
+  const year = Number(dateStr.slice(0, 4));
+  const dstStart = nthWeekday(year, 3, 0, 2);
+  const dstEnd = nthWeekday(year, 11, 0, 1);
+  return dateStr >= dstStart && dateStr < dstEnd ? 4 : 5;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+function checkCalendar(calendar) {
+  if (!CALENDARS.includes(calendar)) {
+    throw new Error(`Unknown trading calendar: ${calendar} (expected one of ${CALENDARS.join(', ')})`);
+  }
+}
+
+// { date, calendar, is_session, holiday, early_close, close_utc }
+export function sessionInfo(calendar, dateStr) {
+  checkCalendar(calendar);
+  const info = { date: dateStr, calendar, is_session: true, holiday: null, early_close: false, close_utc: null };
+  if (calendar === 'CRYPTO') {
+    info.close_utc = `${addDays(dateStr, 1)}T00:00:00Z`;
+    return info;
+  }
+  if (isWeekend(dateStr)) return { ...info, is_session: false };
+  if (calendar === 'FX') {
+    info.close_utc = `${dateStr}T${String(17 + easternOffsetHours(dateStr)).padStart(2, '0')}:00:00Z`;
+    return info;
+  }
+
+  const { holidays, earlyCloses } = nyseYear(Number(dateStr.slice(0, 4)));
+  if (holidays.has(dateStr)) return { ...info, is_session: false, holiday: holidays.get(dateStr) };
+  info.early_close = earlyCloses.has(dateStr);
+  const closeHourEt = info.early_close ? 13 : 16;
+  info.close_utc = `${dateStr}T${String(closeHourEt + easternOffsetHours(dateStr)).padStart(2, '0')}:00:00Z`;
+  return info;
+}
+
+export function isSession(calendar, dateStr) {
+  return sessionInfo(calendar, dateStr).is_session;
+}
+
+// Epoch ms at which the session on dateStr closes, or null when it is not a session.
+export function sessionCloseMs(calendar, dateStr) {
+  const { close_utc: closeUtc } = sessionInfo(calendar, dateStr);
+  return closeUtc ? Date.parse(closeUtc) : null;
+}
+
+export function sessionOnOrBefore(calendar, dateStr) {
+  let d = dateStr;
+  while (!isSession(calendar, d)) d = addDays(d, -1);
+  return d;
+}
+
+export function previousSession(calendar, dateStr) {
+  return sessionOnOrBefore(calendar, addDays(dateStr, -1));
+}
+
+export function nextSession(calendar, dateStr) {
+  let d = addDays(dateStr, 1);
+  while (!isSession(calendar, d)) d = addDays(d, 1);
+  return d;
+}
+
+// Step n sessions (negative = back) from the session on or before dateStr.
+export function addSessions(calendar, dateStr, n) {
+  let d = sessionOnOrBefore(calendar, dateStr);
+  for (let i = 0; i < Math.abs(n); i += 1) d = n < 0 ? previousSession(calendar, d) : nextSession(calendar, d);
+  return d;
+}
+
+// Sessions in (fromDate, toDate]; 0 when toDate <= fromDate.
+export function sessionsBetween(calendar, fromDate, toDate) {
+  let count = 0;
+  for (let d = addDays(fromDate, 1); d <= toDate; d = addDays(d, 1)) {
+    if (isSession(calendar, d)) count += 1;
+  }
+  return count;
+}
+
+// Sessions in (fromDate, toDate], oldest first.
+export function sessionDates(calendar, fromDate, toDate) {
+  const out = [];
+  for (let d = addDays(fromDate, 1); d <= toDate; d = addDays(d, 1)) {
+    if (isSession(calendar, d)) out.push(d);
+  }
+  return out;
+}
+
+// Crypto pairs trade 24/7 and FX pairs 24/5; everything else follows the NYSE
+// calendar, including ADRs and non-US listings until they get their own rules.
+export function calendarForSymbol(ticker, meta = null) {
+  const type = String(meta?.instrumentType || '').toUpperCase();
+  const t = String(ticker || '').toUpperCase();
+  if (type === 'CRYPTOCURRENCY' || /-USDT?$/.test(t)) return 'CRYPTO';
+  if (type === 'CURRENCY' || t.endsWith('=X')) return 'FX';
+  return DEFAULT_CALENDAR;
+}
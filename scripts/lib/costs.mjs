@@ -0,0 +1,92 @@
+// costs.mjs — Transaction-cost model for lane NAVs.
+// Configured per lane in fund.config.json:
+//   "costs": {
+//     "per_trade_bps": 5,                                   // commission/slippage per unit traded
+//     "spread_bps": { "equity": 4, "etf": 2, "crypto": 20 }, // quoted bid/ask; each trade pays half
+//     "fixed_fee_per_trade": 0,                             // optional, in base currency
+//     "notional": 100000                                    // paper portfolio size for the fixed fee
+//   }
+// Missing fields fall back to DEFAULT_COST_MODEL. Turnover is the weight change
+// between consecutive target portfolios (the first portfolio is bought from cash),
+// and its cost is deducted from the net NAV at the start of each segment.
+// One-way turnover is max(bought, sold): buying the first portfolio from cash is
+// 100%, the same weight the cost is charged on, and a full switch between two
+// portfolios is 100% as well.
+
+export const DEFAULT_COST_MODEL = {
+  per_trade_bps: 5,
+  spread_bps: { equity: 4, etf: 2, crypto: 20 },
+  fixed_fee_per_trade: 0,
+  notional: 100000,
+};
+
+const MIN_TRADE_WEIGHT_PCT = 0.005;
+
+function num(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function resolveCostModel(config) {
+  const raw = config?.costs && typeof config.costs === 'object' ? config.costs : {};
+  const spread = raw.spread_bps && typeof raw.spread_bps === 'object' ? raw.spread_bps : {};
+  return {
+    per_trade_bps: num(raw.per_trade_bps, DEFAULT_COST_MODEL.per_trade_bps),
+    spread_bps: {
+      equity: num(spread.equity, DEFAULT_COST_MODEL.spread_bps.equity),
+      etf: num(spread.etf, DEFAULT_COST_MODEL.spread_bps.etf),
+      crypto: num(spread.crypto, DEFAULT_COST_MODEL.spread_bps.crypto),
+    },
+    fixed_fee_per_trade: num(raw.fixed_fee_per_trade, DEFAULT_COST_MODEL.fixed_fee_per_trade),
+    notional: num(raw.notional, DEFAULT_COST_MODEL.notional) || DEFAULT_COST_MODEL.notional,
+  };
+}
+
+// equity | etf | crypto, from the chart meta when available.
+export function assetClassOf(ticker, chart) {
+  const type = String(chart?.meta?.instrumentType || '').toUpperCase();
+  if (type === 'CRYPTOCURRENCY' || /-USDT?$/i.test(String(ticker || ''))) return 'crypto';
+  if (type === 'ETF') return 'etf';
+  return 'equity';
+}
+
+// Cost of moving from prevHoldings to nextHoldings ([{ ticker, weight_pct }],
+// prev null = cash). navLevel (100 = inception) scales the fixed fee.
+// Returns { turnoverPct (one-way, max of bought and sold), boughtPct, soldPct,
+// costPct (% of NAV), trades }; bought and sold are in % of NAV.
+export function rebalanceCost(prevHoldings, nextHoldings, model, chartFor, navLevel = 100) {
+  const weights = new Map();
+  const label = new Map();
+  for (const h of prevHoldings || []) {
+    const key = h.ticker.toUpperCase();
+    weights.set(key, (weights.get(key) || 0) - h.weight_pct);
+    label.set(key, h.ticker);
+  }
+  for (const h of nextHoldings || []) {
+    const key = h.ticker.toUpperCase();
+    weights.set(key, (weights.get(key) || 0) + h.weight_pct);
+    label.set(key, h.ticker);
+  }
+
+  let bought = 0;
+  let sold = 0;
+  let costPct = 0;
+  let trades = 0;
+  for (const [key, delta] of weights) {
+    const size = Math.abs(delta);
+    if (size < MIN_TRADE_WEIGHT_PCT) continue;
+    const ticker = label.get(key);
+    const spread = model.spread_bps[assetClassOf(ticker, chartFor(ticker))];
+    if (delta > 0) bought += size;
+    else sold += size;
+    trades += 1;
+    costPct += size * ((model.per_trade_bps + (spread / 2)) / 10000);
+  }
+
+  if (model.fixed_fee_per_trade > 0 && trades > 0) {
+    const portfolioValue = model.notional * (navLevel / 100);
+    costPct += ((model.fixed_fee_per_trade * trades) / portfolioValue) * 100;
+  }
+
+  return { turnoverPct: Math.max(bought, sold), boughtPct: bought, soldPct: sold, costPct, trades };
+}
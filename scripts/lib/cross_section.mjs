@@ -0,0 +1,163 @@
+// cross_section.mjs — Cross-sectional feature statistics and return correlations
+// for the arena input pack.
+// Ranks and z-scores compare one feature across a universe of symbols on the
+// same run date. Correlations are pairwise over close-to-close returns between
+// the dates both symbols traded, so a 24/7 asset's weekend moves fold into its
+// Monday return instead of being dropped or misaligned against equities.
+//
+// Series inputs are arrays of { date, close }, oldest first.
+
+// Fewer overlapping returns than this share of the window leaves a pair null.
+export const MIN_OVERLAP_SHARE = 0.8;
+export const HIGH_CORRELATION_THRESHOLD = 0.8;
+
+function round(v, decimals) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function finite(v) {
+  return v != null && v !== '' && Number.isFinite(Number(v));
+}
+
+// ---------------------------------------------------------------------------
+// Ranks and z-scores
+// ---------------------------------------------------------------------------
+
+// Percentile rank (0 = lowest, 100 = highest) per entry; ties share their
+// average rank. Missing values stay null and do not count toward n.
+export function percentileRanks(values) {
+  const present = values
+    .map((v, i) => ({ v: Number(v), i }))
+    .filter((x) => finite(values[x.i]))
+    .sort((a, b) => a.v - b.v);
+  const out = values.map(() => null);
+  if (present.length < 2) return out;
+  let k = 0;
+  while (k < present.length) {
+    let end = k;
+    while (end + 1 < present.length && present[end + 1].v === present[k].v) end += 1;
+    const avgRank = (k + end) / 2;
+    for (let j = k; j <= end; j += 1) out[present[j].i] = round((avgRank / (present.length - 1)) * 100, 1);
+    k = end + 1;
+  }
+  return out;
+}
+
+// (x - mean) / population stdev per entry; null when missing or the spread is zero.
+export function zScores(values) {
+  const xs = values.filter(finite).map(Number);
+  const out = values.map(() => null);
+  if (xs.length < 2) return out;
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const sd = Math.sqrt(xs.reduce((a, b) => a + ((b - mean) ** 2), 0) / xs.length);
+  if (!(sd > 0)) return out;
+  return values.map((v) => (finite(v) ? round((Number(v) - mean) / sd, 3) : null));
+}
+
+// { [ticker]: { pct_rank: { feature: p }, z_score: { feature: z } } } for
+// rows = [{ ticker, features }] over the named numeric features.
+export function crossSectionalStats(rows, featureNames) {
+  const out = Object.fromEntries(rows.map((r) => [r.ticker, { pct_rank: {}, z_score: {} }]));
+  for (const name of featureNames) {
+    const values = rows.map((r) => r.features?.[name] ?? null);
+    const ranks = percentileRanks(values);
+    const zs = zScores(values);
+    rows.forEach((r, i) => {
+      out[r.ticker].pct_rank[name] = ranks[i];
+      out[r.ticker].z_score[name] = zs[i];
+    });
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Correlations
+// ---------------------------------------------------------------------------
+
+// Last `window` simple returns of a and b between the dates both series have.
+export function alignedReturns(a, b, window) {
+  const closesB = new Map(b.map((bar) => [bar.date, bar.close]));
+  const common = a.filter((bar) => closesB.has(bar.date)).slice(-(window + 1));
+  const ra = [];
+  const rb = [];
+  for (let i = 1; i < common.length; i += 1) {
+    const a0 = common[i - 1].close;
+    const a1 = common[i].close;
+    const b0 = closesB.get(common[i - 1].date);
+    const b1 = closesB.get(common[i].date);
+    if (!(a0 > 0 && a1 > 0 && b0 > 0 && b1 > 0)) continue;
+    ra.push((a1 / a0) - 1);
+    rb.push((b1 / b0) - 1);
+  }
+  return { a: ra, b: rb };
+}
+
+export function pearson(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i += 1) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!(sxx > 0 && syy > 0)) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Correlation of two series over their last `window` common returns, or null
+// when they overlap on fewer than MIN_OVERLAP_SHARE of the window.
+export function returnCorrelation(a, b, window) {
+  const { a: ra, b: rb } = alignedReturns(a, b, window);
+  if (ra.length < Math.ceil(window * MIN_OVERLAP_SHARE)) return null;
+  return pearson(ra, rb);
+}
+
+// { window_bars, symbols, matrix } with matrix[i][j] rounded to 3 decimals
+// (1 on the diagonal for symbols with enough history, null otherwise).
+export function correlationMatrix(seriesByTicker, symbols, window) {
+  const enough = symbols.map((t) => (seriesByTicker[t]?.length || 0) > Math.ceil(window * MIN_OVERLAP_SHARE));
+  const matrix = symbols.map((_, i) => symbols.map((__, j) => (i === j && enough[i] ? 1 : null)));
+  for (let i = 0; i < symbols.length; i += 1) {
+    if (!enough[i]) continue;
+    for (let j = i + 1; j < symbols.length; j += 1) {
+      if (!enough[j]) continue;
+      const c = round(returnCorrelation(seriesByTicker[symbols[i]], seriesByTicker[symbols[j]], window), 3);
+      matrix[i][j] = c;
+      matrix[j][i] = c;
+    }
+  }
+  return { window_bars: window, symbols, matrix };
+}
+
+// Pairs among `tickers` whose correlation in `primary` is at least threshold,
+// most correlated first, with the same pair's value from each other matrix.
+export function highlyCorrelatedPairs(primary, others, tickers, threshold = HIGH_CORRELATION_THRESHOLD) {
+  const index = (m, t) => m.symbols.indexOf(t);
+  const pairs = [];
+  for (let i = 0; i < tickers.length; i += 1) {
+    for (let j = i + 1; j < tickers.length; j += 1) {
+      const [a, b] = [tickers[i], tickers[j]];
+      const ia = index(primary, a);
+      const ib = index(primary, b);
+      if (ia < 0 || ib < 0) continue;
+      const c = primary.matrix[ia][ib];
+      if (c == null || c < threshold) continue;
+      const pair = { tickers: [a, b], [`corr_${primary.window_bars}`]: c };
+      for (const m of others) {
+        const oa = index(m, a);
+        const ob = index(m, b);
+        pair[`corr_${m.window_bars}`] = oa >= 0 && ob >= 0 ? m.matrix[oa][ob] : null;
+      }
+      pairs.push(pair);
+    }
+  }
+  const key = `corr_${primary.window_bars}`;
+  return pairs.sort((x, y) => (y[key] - x[key]) || x.tickers.join().localeCompare(y.tickers.join()));
+}
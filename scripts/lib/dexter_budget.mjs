@@ -0,0 +1,59 @@
+// dexter_budget.mjs — Budgets that end a Dexter agent run early, with an answer.
+// Read from the environment (unset or 0 means no limit):
+//   DEXTER_MAX_TOOL_CALLS              tool calls across all tools
+//   DEXTER_MAX_FINANCIAL_SEARCH_CALLS  financial_search calls
+//   DEXTER_DEADLINE_SECONDS            wall-clock seconds for the agent loop
+// DEXTER_MAX_REPAIR_ROUNDS (output_contract.mjs) caps the contract repair passes,
+// and no repair pass starts after the deadline. When the next tool call would
+// go over a cap, or the deadline passes while waiting on the agent,
+// dexter_run_once stops reading agent events and writes the answer in one
+// JSON-only synthesis pass over the tool results gathered so far. The
+// alternative is the runner's outer timeout killing the process with no
+// portfolio at all.
+
+export const BUDGET_STOPS = ['tool_calls', 'financial_search_calls', 'deadline'];
+
+// Resolved by nextBefore when the deadline passes before the agent's next event.
+export const DEADLINE = Symbol('deadline');
+
+export function resolveBudget(env = process.env) {
+  const limit = (name) => {
+    const raw = String(env[name] ?? '').trim();
+    if (!raw) return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid ${name}: ${raw}`);
+    return n === 0 ? null : n;
+  };
+  return {
+    max_tool_calls: limit('DEXTER_MAX_TOOL_CALLS'),
+    max_financial_search_calls: limit('DEXTER_MAX_FINANCIAL_SEARCH_CALLS'),
+    deadline_seconds: limit('DEXTER_DEADLINE_SECONDS'),
+  };
+}
+
+// The cap a tool_start event would take the run over, or null. Counts are the
+// calls made before this one.
+export function toolCapReached(budget, event, { toolCalls, financialSearchCalls }) {
+  if (event?.type !== 'tool_start') return null;
+  if (budget.max_tool_calls != null && toolCalls >= budget.max_tool_calls) return 'tool_calls';
+  if (event.tool === 'financial_search' && budget.max_financial_search_calls != null
+    && financialSearchCalls >= budget.max_financial_search_calls) {
+    return 'financial_search_calls';
+  }
+  return null;
+}
+
+// iterator.next(), or DEADLINE if deadlineAt (epoch ms, or null for none)
+// passes first. The abandoned next() keeps running; its rejection is swallowed.
+export function nextBefore(iterator, deadlineAt, now = Date.now) {
+  if (deadlineAt == null) return iterator.next();
+  const left = deadlineAt - now();
+  if (left <= 0) return Promise.resolve(DEADLINE);
+  const next = iterator.next();
+  next.catch(() => {});
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(DEADLINE), left);
+  });
+  return Promise.race([next, deadline]).finally(() => clearTimeout(timer));
+}
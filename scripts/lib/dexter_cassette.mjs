@@ -0,0 +1,148 @@
+// dexter_cassette.mjs — JSONL record/replay of one dexter_run_once attempt.
+// Selected with DEXTER_CASSETTE_MODE=record|replay and DEXTER_CASSETTE_FILE=<path>.
+// One JSON object per line:
+//   { "kind": "header", "version": 1, "recorded_at", "model", "max_iterations", "prompt_sha256" }
+//   { "kind": "event", "event": { "type": "tool_start" | "tool_end" | "done" | "budget_stop" | ..., ... } }
+//   { "kind": "call_llm", "prompt_sha256", "system_prompt", "response" }
+// Events are every agent.run event in arrival order, and call_llm lines are the
+// JSON-only synthesis and contract repair passes in call order, so a replay
+// drives the same loop, extractJsonObject and repair code as the live run. A
+// budget_stop event (dexter_budget.mjs) marks where the live run stopped reading
+// the agent, and the replay stops there too. Lines are
+// appended as they arrive, so a crashed or timed-out run still leaves a cassette
+// of everything up to the failure.
+import { createHash } from 'node:crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+
+export const CASSETTE_VERSION = 1;
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+export function sha256(text) {
+  return createHash('sha256').update(String(text)).digest('hex');
+}
+
+export function resolveCassette(env = process.env) {
+  const mode = String(env.DEXTER_CASSETTE_MODE || 'off').trim().toLowerCase();
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Invalid DEXTER_CASSETTE_MODE: ${mode} (expected one of ${CASSETTE_MODES.join(', ')})`);
+  }
+  const path = String(env.DEXTER_CASSETTE_FILE || '').trim();
+  if (mode !== 'off' && !path) throw new Error(`DEXTER_CASSETTE_FILE is required with DEXTER_CASSETTE_MODE=${mode}`);
+  return { mode, path: mode === 'off' ? null : path };
+}
+
+// ---------------------------------------------------------------------------
+// Record
+// ---------------------------------------------------------------------------
+
+export function createCassetteRecorder(path, { model, maxIterations, query }) {
+  mkdirSync(dirname(path), { recursive: true });
+  const write = (line) => appendFileSync(path, `${JSON.stringify(line)}\n`);
+  writeFileSync(path, '');
+  write({
+    kind: 'header',
+    version: CASSETTE_VERSION,
+    recorded_at: new Date().toISOString(),
+    model,
+    max_iterations: maxIterations,
+    prompt_sha256: sha256(query),
+  });
+  return {
+    event(event) {
+      write({ kind: 'event', event });
+    },
+    callLlm(prompt, systemPrompt, response) {
+      write({ kind: 'call_llm', prompt_sha256: sha256(prompt), system_prompt: systemPrompt, response });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+export function loadCassette(path) {
+  if (!existsSync(path)) throw new Error(`Cassette not found: ${path}`);
+  const lines = readFileSync(path, 'utf8').split('\n').filter((l) => l.trim());
+  let header = null;
+  const events = [];
+  const llmCalls = [];
+  lines.forEach((line, i) => {
+    let doc;
+    try {
+      doc = JSON.parse(line);
+    } catch {
+      throw new Error(`Cassette ${path} line ${i + 1} is not JSON`);
+    }
+    if (doc?.kind === 'header') header = doc;
+    else if (doc?.kind === 'event' && doc.event && typeof doc.event === 'object') events.push(doc.event);
+    else if (doc?.kind === 'call_llm') llmCalls.push(doc);
+    else throw new Error(`Cassette ${path} line ${i + 1} has unknown kind ${JSON.stringify(doc?.kind)}`);
+  });
+  if (!header) throw new Error(`Cassette ${path} has no header line`);
+  if (header.version !== CASSETTE_VERSION) {
+    throw new Error(`Cassette ${path} is version ${header.version}; this runner reads version ${CASSETTE_VERSION}`);
+  }
+  return { path, header, events, llmCalls };
+}
+
+// Differences between the cassette and the run replaying it. Replaying a
+// cassette against an edited prompt is allowed (that is how prompt changes are
+// regression-tested); the caller reports these on stderr.
+export function replayMismatches(cassette, { model, query }) {
+  const out = [];
+  if (cassette.header.model !== model) out.push(`model ${model} differs from recorded ${cassette.header.model}`);
+  if (cassette.header.prompt_sha256 !== sha256(query)) out.push('prompt differs from the recorded prompt');
+  return out;
+}
+
+// Stand-in for dexter-ts Agent: create() ignores its config and run() yields
+// the recorded events.
+export function replayAgent(cassette) {
+  return {
+    create() {
+      return {
+        async *run() {
+          for (const event of cassette.events) yield event;
+        },
+      };
+    },
+  };
+}
+
+// Stand-in for dexter-ts callLlm: answers with the recorded responses in order.
+export function replayCallLlm(cassette, warn = (msg) => process.stderr.write(`${msg}\n`)) {
+  let next = 0;
+  return async (prompt) => {
+    const call = cassette.llmCalls[next];
+    if (!call) throw new Error(`Cassette ${cassette.path} has no callLlm response #${next + 1}`);
+    next += 1;
+    if (call.prompt_sha256 !== sha256(prompt)) {
+      warn(`dexter_cassette: callLlm prompt #${next} differs from the recorded one; replaying the recorded response`);
+    }
+    return { response: String(call.response ?? '') };
+  };
+}
+
+// Dexter writes a scratchpad of tool results that run_fund_once.sh audits
+// (financial_search calls, source URLs, forbidden tools). A replay rebuilds it
+// from the recorded tool_end events in the same line format.
+export function writeReplayScratchpad(dir, cassette, query) {
+  const now = new Date().toISOString();
+  const lines = [{ type: 'init', content: query, timestamp: now }];
+  for (const event of cassette.events) {
+    if (event.type !== 'tool_end') continue;
+    let result = String(event.result ?? '');
+    try {
+      result = JSON.parse(result);
+    } catch {
+      // Keep non-JSON results as text, as Dexter does.
+    }
+    lines.push({ type: 'tool_result', toolName: event.tool ?? null, args: event.args ?? {}, result, timestamp: now });
+  }
+  mkdirSync(dir, { recursive: true });
+  const file = join(dir, `${now.replace(/[:.]/g, '-')}_replay.jsonl`);
+  writeFileSync(file, `${lines.map((l) => JSON.stringify(l)).join('\n')}\n`);
+  return file;
+}
@@ -0,0 +1,79 @@
+// drift.mjs — Drifted holding weights since the last rebalance checkpoint.
+// Configured per lane in fund.config.json:
+//   "drift_threshold_pct": 10   // total absolute drift that suggests rebalancing
+// Between rebalances each holding is buy-and-hold, so its weight moves with its
+// price relative to the book: w_now = w_target × g / Σ(w_target × g), where g is
+// the holding's growth factor (close now / close at the checkpoint session).
+// Total absolute drift is Σ|w_now - w_target| over the holdings, i.e. twice the
+// one-way turnover (lib/costs.mjs) needed to restore the targets.
+
+export const DEFAULT_DRIFT_THRESHOLD_PCT = 10;
+
+function round(v, decimals) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+export function resolveDriftThreshold(config) {
+  const n = Number(config?.drift_threshold_pct);
+  return config?.drift_threshold_pct != null && Number.isFinite(n) && n > 0 ? n : DEFAULT_DRIFT_THRESHOLD_PCT;
+}
+
+// Last bar of an oldest-first { date, close } series on or before date.
+function barOnOrBefore(bars, date) {
+  for (let i = bars.length - 1; i >= 0; i -= 1) {
+    if (bars[i].date <= date && bars[i].close > 0) return bars[i];
+  }
+  return null;
+}
+
+// holdings = [{ ticker, weight_pct }] as set at the checkpoint; seriesByTicker
+// maps tickers to { date, close } bars in one currency. Growth runs from the
+// close on or before startDate to the close on or before endDate; a holding
+// without both keeps a growth factor of 1 and is listed as unpriced.
+export function portfolioDrift(holdings, seriesByTicker, { checkpointDate, startDate, endDate, thresholdPct }) {
+  const totalTarget = holdings.reduce((s, h) => s + h.weight_pct, 0);
+  const rows = holdings.map((h) => {
+    const bars = seriesByTicker[h.ticker] || [];
+    const start = barOnOrBefore(bars, startDate);
+    const end = barOnOrBefore(bars, endDate);
+    const priced = Boolean(start && end);
+    return {
+      ticker: h.ticker,
+      target: totalTarget > 0 ? (h.weight_pct / totalTarget) * 100 : 0,
+      growth: priced ? end.close / start.close : 1,
+      priced,
+      asof: priced ? end.date : null,
+    };
+  });
+  const book = rows.reduce((s, r) => s + (r.target * r.growth), 0);
+  for (const r of rows) r.current = book > 0 ? (r.target * r.growth / book) * 100 : r.target;
+
+  const out = rows.map((r) => ({
+    ticker: r.ticker,
+    target_weight_pct: round(r.target, 2),
+    current_weight_pct: round(r.current, 2),
+    drift_pct: round(r.current - r.target, 2),
+    return_since_checkpoint_pct: r.priced ? round((r.growth - 1) * 100, 2) : null,
+  }));
+  const totalAbsDrift = rows.reduce((s, r) => s + Math.abs(r.current - r.target), 0);
+  const largest = [...out].sort((a, b) => (Math.abs(b.drift_pct) - Math.abs(a.drift_pct)) || a.ticker.localeCompare(b.ticker))[0] || null;
+  const asofDates = rows.filter((r) => r.priced).map((r) => r.asof).sort();
+  const suggested = totalAbsDrift >= thresholdPct;
+
+  return {
+    checkpoint_date: checkpointDate,
+    start_price_date: startDate,
+    asof_price_date: asofDates.length > 0 ? asofDates[0] : null,
+    holdings: out,
+    unpriced: rows.filter((r) => !r.priced).map((r) => r.ticker),
+    total_abs_drift_pct: round(totalAbsDrift, 2),
+    max_abs_drift: largest ? { ticker: largest.ticker, drift_pct: largest.drift_pct } : null,
+    drift_threshold_pct: thresholdPct,
+    drift_rebalance_suggested: suggested,
+    reason: suggested
+      ? `total absolute drift ${round(totalAbsDrift, 2)}% >= threshold ${thresholdPct}% (largest: ${largest.ticker} ${largest.drift_pct > 0 ? '+' : ''}${largest.drift_pct}pp)`
+      : null,
+  };
+}
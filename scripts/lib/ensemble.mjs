@@ -0,0 +1,246 @@
+// ensemble.mjs — Deterministic consensus of several models' answers for one lane.
+// A lane with "provider": "ensemble" runs the same prompt on every model and
+// submits the consensus. Configured in fund.config.json:
+//   "ensemble": {
+//     "models": ["gpt-5.4", "claude-sonnet-4-6", "grok-4.20-reasoning"],
+//     "method": "weight_average",   // or "vote"
+//     "min_members": 2              // contract-valid answers needed for a consensus
+//   }
+// weight_average ranks tickers by their mean weight across members (0 where a
+// member does not hold them); vote ranks them by how many members hold them,
+// then by that mean weight. Either way the top `positions` tickers are kept at
+// their mean weight among the members holding them, scaled to sum to 100, and
+// projectWeights (portfolio_constraints.mjs) moves those weights as little as
+// needed to meet the position, sector and crypto limits.
+// Identical member portfolios therefore give that same portfolio back.
+import { isCryptoPosition, projectWeights, sectorKey } from './portfolio_constraints.mjs';
+
+export const ENSEMBLE_METHODS = ['weight_average', 'vote'];
+export const DEFAULT_ENSEMBLE_METHOD = 'weight_average';
+export const DEFAULT_MIN_MEMBERS = 2;
+
+// Same tolerance as the runner's rebalance policy check.
+const WEIGHT_TOLERANCE = 0.01;
+const EPS = 1e-9;
+
+function round(v, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function upper(v) {
+  return String(v ?? '').trim().toUpperCase();
+}
+
+// null for a lane that is not an ensemble. A malformed block throws, as risk
+// rules do: a lane that silently runs one model is worse than a failed run.
+export function resolveEnsemble(config) {
+  if (config?.provider !== 'ensemble') return null;
+  const raw = config.ensemble;
+  if (!raw || typeof raw !== 'object') throw new Error('fund.config.json ensemble is required when provider is "ensemble"');
+  const models = Array.isArray(raw.models) ? raw.models.map((m) => String(m ?? '').trim()) : [];
+  if (models.length < 2 || models.some((m) => !m)) throw new Error('fund.config.json ensemble.models must list at least two model names');
+  if (new Set(models).size !== models.length) throw new Error('fund.config.json ensemble.models has duplicates');
+  const method = raw.method == null ? DEFAULT_ENSEMBLE_METHOD : String(raw.method);
+  if (!ENSEMBLE_METHODS.includes(method)) throw new Error(`fund.config.json ensemble.method must be one of ${ENSEMBLE_METHODS.join(', ')}`);
+  const minMembers = raw.min_members ?? Math.min(DEFAULT_MIN_MEMBERS, models.length);
+  if (!Number.isInteger(minMembers) || minMembers < 1 || minMembers > models.length) {
+    throw new Error(`fund.config.json ensemble.min_members must be an integer between 1 and ${models.length}`);
+  }
+  return { models, method, min_members: minMembers };
+}
+
+// File-name-safe model name, for per-member cassettes.
+export function modelSlug(model) {
+  return String(model).replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+// ---------------------------------------------------------------------------
+// Consensus
+// ---------------------------------------------------------------------------
+
+function weightMap(portfolio) {
+  return new Map((portfolio || []).map((h) => [upper(h.ticker), Number(h.weight_pct) || 0]));
+}
+
+// Σ min(wa, wb) over tickers, in percent: 100 for identical books, 0 for disjoint ones.
+function weightOverlap(a, b) {
+  let s = 0;
+  for (const [ticker, w] of a) s += Math.min(w, b.get(ticker) || 0);
+  return round(s, 2);
+}
+
+function jaccard(a, b) {
+  const union = new Set([...a.keys(), ...b.keys()]);
+  const both = [...a.keys()].filter((t) => b.has(t)).length;
+  return union.size > 0 ? round(both / union.size, 4) : null;
+}
+
+// Tally of every ticker the members hold: votes, mean weight over all members,
+// mean weight over the members holding it, and the most common sector label.
+function tally(members) {
+  const byTicker = new Map();
+  members.forEach(({ doc }) => {
+    for (const h of doc.target_portfolio) {
+      const ticker = upper(h.ticker);
+      const entry = byTicker.get(ticker) || { ticker: String(h.ticker).trim(), votes: 0, weight: 0, sectors: new Map() };
+      entry.votes += 1;
+      entry.weight += Number(h.weight_pct);
+      const sector = String(h.sector).trim();
+      entry.sectors.set(sector, (entry.sectors.get(sector) || 0) + 1);
+      byTicker.set(ticker, entry);
+    }
+  });
+  return [...byTicker.values()].map((e) => ({
+    ticker: e.ticker,
+    votes: e.votes,
+    mean_weight_pct: e.weight / members.length,
+    held_weight_pct: e.weight / e.votes,
+    // Map keeps first-seen order, so ties go to the earlier member.
+    sector: [...e.sectors.entries()].reduce((best, cur) => (cur[1] > best[1] ? cur : best))[0],
+  }));
+}
+
+function rankCandidates(candidates, method) {
+  return [...candidates].sort((a, b) => {
+    if (method === 'vote' && b.votes !== a.votes) return b.votes - a.votes;
+    return (b.mean_weight_pct - a.mean_weight_pct) || (b.votes - a.votes) || a.ticker.localeCompare(b.ticker);
+  });
+}
+
+// Top-ranked tickers, skipping any whose minimum weight could no longer fit
+// under its sector or the crypto cap.
+function selectHoldings(ranked, contract) {
+  const chosen = [];
+  const sectorCount = new Map();
+  let cryptoCount = 0;
+  for (const c of ranked) {
+    if (chosen.length === contract.positions) break;
+    const key = sectorKey(c.sector);
+    const crypto = isCryptoPosition(c);
+    if (((sectorCount.get(key) || 0) + 1) * contract.min_position_pct > contract.max_sector_pct + EPS) continue;
+    if (crypto && (cryptoCount + 1) * contract.min_position_pct > contract.max_crypto_pct + EPS) continue;
+    chosen.push(c);
+    sectorCount.set(key, (sectorCount.get(key) || 0) + 1);
+    if (crypto) cryptoCount += 1;
+  }
+  return chosen;
+}
+
+// trade_of_the_day and rebalance_actions that match the consensus deltas
+// against the previous portfolio, which is what the runner's rebalance policy
+// checks. Increases are paired with decreases, largest first: a decrease to
+// zero is a Replace, otherwise a Trim; unpaired increases are Adds. Narrative
+// fields come from the member whose own trade matches the headline best.
+function consensusActions(previous, portfolio, members, lead) {
+  const prev = weightMap(previous);
+  const curr = weightMap(portfolio);
+  const label = new Map([...(previous || []), ...portfolio].map((h) => [upper(h.ticker), String(h.ticker).trim()]));
+  const deltas = [...new Set([...prev.keys(), ...curr.keys()])]
+    .map((t) => ({ ticker: t, delta: (curr.get(t) || 0) - (prev.get(t) || 0) }))
+    .filter((d) => Math.abs(d.delta) > WEIGHT_TOLERANCE);
+  const ups = deltas.filter((d) => d.delta > 0).sort((a, b) => (b.delta - a.delta) || a.ticker.localeCompare(b.ticker));
+  const downs = deltas.filter((d) => d.delta < 0).sort((a, b) => (a.delta - b.delta) || a.ticker.localeCompare(b.ticker));
+
+  const actions = ups.map((up, i) => {
+    const down = downs[i];
+    const action = !down ? 'Add' : (curr.has(down.ticker) ? 'Trim' : 'Replace');
+    return {
+      action,
+      remove_ticker: down ? label.get(down.ticker) : null,
+      add_ticker: label.get(up.ticker),
+      size_change_pct: round(up.delta, 2),
+    };
+  });
+  const headline = actions[0] || { action: 'Do nothing', remove_ticker: null, add_ticker: null, size_change_pct: 0 };
+
+  const trades = members.map((m) => m.doc.trade_of_the_day || {});
+  const source = trades.find((t) => t.action === headline.action && upper(t.add_ticker) === upper(headline.add_ticker) && upper(t.remove_ticker) === upper(headline.remove_ticker))
+    || (headline.add_ticker ? trades.find((t) => upper(t.add_ticker) === upper(headline.add_ticker)) : null)
+    || trades.find((t) => t.action === headline.action)
+    || lead.doc.trade_of_the_day
+    || {};
+  return {
+    trade_of_the_day: { ...source, ...headline },
+    rebalance_actions: actions,
+  };
+}
+
+// Agreement between members and with the consensus, for run_meta.json.
+export function agreementStats(members, portfolio) {
+  const maps = members.map((m) => weightMap(m.doc.target_portfolio));
+  const consensus = weightMap(portfolio);
+  const pairs = [];
+  for (let i = 0; i < members.length; i += 1) {
+    for (let j = i + 1; j < members.length; j += 1) {
+      pairs.push({
+        models: [members[i].model, members[j].model],
+        ticker_jaccard: jaccard(maps[i], maps[j]),
+        weight_overlap_pct: weightOverlap(maps[i], maps[j]),
+      });
+    }
+  }
+  const mean = (xs) => (xs.length > 0 ? round(xs.reduce((a, b) => a + b, 0) / xs.length, 4) : null);
+  const votes = new Map();
+  for (const map of maps) for (const t of map.keys()) votes.set(t, (votes.get(t) || 0) + 1);
+  return {
+    members: members.length,
+    mean_ticker_jaccard: mean(pairs.map((p) => p.ticker_jaccard)),
+    mean_weight_overlap_pct: mean(pairs.map((p) => p.weight_overlap_pct)),
+    unanimous_tickers: [...votes.entries()].filter(([, v]) => v === members.length).map(([t]) => t).sort(),
+    consensus_votes: Object.fromEntries(portfolio.map((h) => [h.ticker, votes.get(upper(h.ticker)) || 0])),
+    pairs,
+    vs_consensus: members.map((m, i) => ({
+      model: m.model,
+      ticker_jaccard: jaccard(maps[i], consensus),
+      weight_overlap_pct: weightOverlap(maps[i], consensus),
+    })),
+  };
+}
+
+// members = [{ model, doc }] with contract-valid answers, in config order;
+// previousPortfolio is the lane's last successful target_portfolio (or null).
+// Returns { doc, lead_model, agreement }; throws when the members' tickers
+// cannot fill a portfolio within the limits.
+export function buildConsensus(members, contract, { method, previousPortfolio = null }) {
+  const ranked = rankCandidates(tally(members), method);
+  const chosen = selectHoldings(ranked, contract);
+  if (chosen.length < contract.positions) {
+    throw new Error(`Ensemble members hold ${chosen.length} usable tickers; the lane needs ${contract.positions}`);
+  }
+  const held = chosen.reduce((s, c) => s + c.held_weight_pct, 0);
+  const weights = projectWeights(
+    chosen.map((c) => ({ ticker: c.ticker, sector: c.sector, weight_pct: held > 0 ? (c.held_weight_pct / held) * 100 : 100 / chosen.length })),
+    contract,
+  );
+  if (!weights) throw new Error('Ensemble consensus weights cannot satisfy the position, sector and crypto limits');
+  const portfolio = chosen
+    .map((c, i) => ({ ticker: c.ticker, weight_pct: weights[i], sector: c.sector }))
+    .sort((a, b) => (b.weight_pct - a.weight_pct) || a.ticker.localeCompare(b.ticker));
+
+  const agreement = agreementStats(members, portfolio);
+  // The member closest to the consensus supplies the narrative fields.
+  const leadIndex = agreement.vs_consensus.reduce((best, cur, i, all) => (cur.weight_overlap_pct > all[best].weight_overlap_pct ? i : best), 0);
+  const lead = members[leadIndex];
+
+  const flags = new Map();
+  for (const m of members) {
+    for (const f of Array.isArray(m.doc.thesis_damage_flags) ? m.doc.thesis_damage_flags : []) {
+      if (!flags.has(upper(f?.ticker))) flags.set(upper(f?.ticker), f);
+    }
+  }
+  const leadNotes = String(lead.doc.constraints_check?.notes || '').trim();
+  const doc = {
+    ...lead.doc,
+    thesis_damage_flags: [...flags.values()],
+    ...consensusActions(previousPortfolio, portfolio, members, lead),
+    target_portfolio: portfolio,
+    constraints_check: {
+      max_position_ok: true,
+      max_sector_ok: true,
+      max_crypto_ok: true,
+      notes: `Ensemble consensus (${method}) of ${members.map((m) => m.model).join(', ')}; narrative from ${lead.model}.${leadNotes ? ` ${leadNotes}` : ''}`,
+    },
+  };
+  return { doc, lead_model: lead.model, agreement };
+}
@@ -0,0 +1,248 @@
+// fundamentals.mjs — Deterministic fundamentals for the arena input pack.
+// One snapshot per equity: key ratios, growth and margins from the latest TTM
+// Financial Datasets financial-metrics row that was public on the run date,
+// plus the latest earnings release date. The pack caches raw responses per run
+// date, so every lane built that day starts from the same numbers, the same way
+// it shares price history.
+//
+// Providers (select with ARENA_FUNDAMENTALS or --fundamentals=<name>):
+//   off                — no fundamentals fetch (default)
+//   financial_datasets — api.financialdatasets.ai with FINANCIAL_DATASETS_API_KEY
+// FINANCIAL_DATASETS_BASE_URL (or --fundamentals-base-url=<url>) points the client
+// at another host, e.g. the local stand-in scripts/financial_datasets_standin.mjs.
+import { fetchWithRetry, isDateStr } from './market_data.mjs';
+
+const FINANCIAL_DATASETS_BASE_URL = 'https://api.financialdatasets.ai';
+const USER_AGENT = 'hedge-labs-fund-arena/1.0';
+
+export const FUNDAMENTALS_PROVIDERS = ['off', 'financial_datasets'];
+
+// A TTM row whose report period is older than this is flagged stale: the
+// issuer has likely reported since and the API has not caught up.
+export const FUNDAMENTALS_STALE_DAYS = 200;
+
+// Rows fetched per symbol; enough to find the row in force on a past run date.
+const METRICS_LIMIT = 8;
+
+// A period counts as public once an earnings release follows its end, or this
+// many days after it without one (the 10-Q deadline for large filers is 40).
+export const REPORT_LAG_DAYS = 45;
+
+// Instruments without company financials.
+const NON_EQUITY_TYPES = new Set(['ETF', 'MUTUALFUND', 'INDEX', 'CRYPTOCURRENCY', 'CURRENCY', 'FUTURE']);
+
+// HTTP statuses that will not change for the rest of the run (bad key, no credits).
+const FATAL_STATUSES = new Set([401, 402, 403]);
+
+export class FundamentalsHttpError extends Error {
+  constructor(status, path, message = `HTTP ${status} for ${path}`) {
+    super(message);
+    this.name = 'FundamentalsHttpError';
+    this.status = status;
+    this.fatal = FATAL_STATUSES.has(status);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Providers: { name, source, fetchSnapshot(ticker) -> raw }
+// raw = { ticker, financial_metrics: [...], press_releases: [...] | null }
+// fetchSnapshot throws on a failed metrics request; press releases are best effort.
+// A missing API key fails every request like a 401 instead of failing the pack.
+// ---------------------------------------------------------------------------
+
+function createFinancialDatasetsProvider(baseUrl) {
+  const apiKey = String(process.env.FINANCIAL_DATASETS_API_KEY || '').trim();
+  const retriesRaw = Number(process.env.FINANCIAL_DATASETS_MAX_RETRIES || '1');
+  const timeoutRaw = Number(process.env.FINANCIAL_DATASETS_TIMEOUT_MS || '15000');
+  const retries = Number.isFinite(retriesRaw) ? retriesRaw : 1;
+  const timeoutMs = Number.isFinite(timeoutRaw) ? timeoutRaw : 15000;
+  const root = String(baseUrl).replace(/\/+$/, '');
+
+  async function getJson(path) {
+    if (!apiKey) throw new FundamentalsHttpError(401, path, 'FINANCIAL_DATASETS_API_KEY is not set');
+    const res = await fetchWithRetry(`${root}${path}`, {
+      headers: {
+        'X-API-KEY': apiKey,
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json',
+      },
+    }, retries, timeoutMs);
+    if (!res.ok) throw new FundamentalsHttpError(res.status, path.replace(/\?.*$/, ''));
+    return res.json();
+  }
+
+  return {
+    name: 'financial_datasets',
+    source: root.replace(/^https?:\/\//, ''),
+    async fetchSnapshot(ticker) {
+      const t = encodeURIComponent(ticker);
+      const metrics = await getJson(`/financial-metrics/?ticker=${t}&period=ttm&limit=${METRICS_LIMIT}`);
+      let pressReleases = null;
+      try {
+        const doc = await getJson(`/earnings/press-releases/?ticker=${t}`);
+        pressReleases = Array.isArray(doc?.press_releases) ? doc.press_releases : [];
+      } catch {
+        pressReleases = null;
+      }
+      return {
+        ticker,
+        financial_metrics: Array.isArray(metrics?.financial_metrics) ? metrics.financial_metrics : [],
+        press_releases: pressReleases,
+      };
+    },
+  };
+}
+
+// Pull --fundamentals=<name> and --fundamentals-base-url=<url> out of argv.
+export function splitFundamentalsArgs(argv) {
+  const args = [];
+  const options = {};
+  for (const arg of argv) {
+    const m = /^--fundamentals(?:-(base-url))?=(.*)$/.exec(String(arg));
+    if (!m) {
+      args.push(arg);
+      continue;
+    }
+    if (m[1] === 'base-url') options.baseUrl = m[2];
+    else options.provider = m[2];
+  }
+  return { args, options };
+}
+
+// Provider, or null when fundamentals are off.
+export function createFundamentalsProvider(options = {}) {
+  const name = String(options.provider || process.env.ARENA_FUNDAMENTALS || 'off').trim().toLowerCase();
+  const baseUrl = options.baseUrl || process.env.FINANCIAL_DATASETS_BASE_URL || FINANCIAL_DATASETS_BASE_URL;
+  if (name === 'off' || name === '0' || name === 'false') return null;
+  if (name === 'financial_datasets') return createFinancialDatasetsProvider(baseUrl);
+  throw new Error(`Unknown fundamentals provider: ${name} (expected one of ${FUNDAMENTALS_PROVIDERS.join(', ')})`);
+}
+
+// Equities only: ETFs, indices, crypto and FX pairs have no company financials.
+export function fundamentalsEligible(ticker, instrumentType) {
+  const type = String(instrumentType || '').toUpperCase();
+  if (NON_EQUITY_TYPES.has(type)) return false;
+  return !/(-USDT?|=X|=F)$/i.test(String(ticker || '')) && !String(ticker || '').startsWith('^');
+}
+
+// ---------------------------------------------------------------------------
+// Snapshot record
+// ---------------------------------------------------------------------------
+
+function num(v, decimals = 4) {
+  const n = Number(v);
+  if (v == null || v === '' || !Number.isFinite(n)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(n * factor) / factor;
+}
+
+function pct(ratio) {
+  const n = Number(ratio);
+  return ratio == null || !Number.isFinite(n) ? null : num(n * 100, 2);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+// Pack record for one ticker from a raw snapshot, using only periods that were
+// public on runDate (see REPORT_LAG_DAYS). Throws when no TTM row qualifies.
+export function buildFundamentalsRecord(raw, runDate) {
+  const releaseDates = Array.isArray(raw?.press_releases)
+    ? raw.press_releases
+      .map((r) => String(r?.publish_date || r?.date || '').slice(0, 10))
+      .filter((d) => isDateStr(d) && d <= runDate)
+      .sort()
+    : [];
+  const latestEarningsDate = releaseDates.length > 0 ? releaseDates[releaseDates.length - 1] : null;
+  const isPublic = (reportPeriod) => daysBetween(reportPeriod, runDate) >= REPORT_LAG_DAYS
+    || releaseDates.some((d) => d > reportPeriod);
+
+  const rows = (raw?.financial_metrics || [])
+    .filter((r) => isDateStr(r?.report_period) && r.report_period <= runDate && isPublic(r.report_period))
+    .sort((a, b) => b.report_period.localeCompare(a.report_period));
+  const m = rows[0];
+  if (!m) throw new Error(`no TTM financial metrics public on ${runDate}`);
+
+  const reportAgeDays = daysBetween(m.report_period, runDate);
+  const flags = [];
+  if (reportAgeDays > FUNDAMENTALS_STALE_DAYS) flags.push('stale_report_period');
+  if (raw?.press_releases == null) flags.push('earnings_dates_unavailable');
+
+  return {
+    ticker: raw.ticker,
+    report_period: m.report_period,
+    fiscal_period: m.fiscal_period || null,
+    period: m.period || 'ttm',
+    currency: m.currency || null,
+    report_age_days: reportAgeDays,
+    valuation: {
+      market_cap: num(m.market_cap, 0),
+      pe_ratio: num(m.price_to_earnings_ratio, 2),
+      pb_ratio: num(m.price_to_book_ratio, 2),
+      ps_ratio: num(m.price_to_sales_ratio, 2),
+      ev_to_ebitda: num(m.enterprise_value_to_ebitda_ratio, 2),
+      peg_ratio: num(m.peg_ratio, 2),
+      fcf_yield_pct: pct(m.free_cash_flow_yield),
+    },
+    growth: {
+      revenue_growth_pct: pct(m.revenue_growth),
+      earnings_growth_pct: pct(m.earnings_growth),
+      eps_growth_pct: pct(m.earnings_per_share_growth),
+      fcf_growth_pct: pct(m.free_cash_flow_growth),
+    },
+    margins: {
+      gross_margin_pct: pct(m.gross_margin),
+      operating_margin_pct: pct(m.operating_margin),
+      net_margin_pct: pct(m.net_margin),
+    },
+    balance_sheet: {
+      return_on_equity_pct: pct(m.return_on_equity),
+      return_on_invested_capital_pct: pct(m.return_on_invested_capital),
+      debt_to_equity: num(m.debt_to_equity, 2),
+      current_ratio: num(m.current_ratio, 2),
+    },
+    earnings: {
+      latest_earnings_date: latestEarningsDate,
+      days_since_earnings: latestEarningsDate ? daysBetween(latestEarningsDate, runDate) : null,
+      recent_report_periods: rows.slice(0, 4).map((r) => r.report_period),
+    },
+    quality_flags: flags,
+  };
+}
+
+// Quality gate for the fundamentals block. required = tickers that must be
+// covered (current holdings); failed = [{ ticker, error }].
+// ok: everything eligible covered and fresh; degraded: gaps or stale rows;
+// failed: nothing covered.
+export function fundamentalsQuality({ eligible, required, records, failed }) {
+  const covered = new Set(Object.keys(records));
+  const missingRequired = required.filter((t) => !covered.has(t));
+  const stale = Object.values(records)
+    .filter((r) => r.quality_flags.includes('stale_report_period'))
+    .map((r) => r.ticker)
+    .sort();
+
+  let status = 'ok';
+  if (eligible.length > 0 && covered.size === 0) status = 'failed';
+  else if (failed.length > 0 || stale.length > 0) status = 'degraded';
+
+  const warnings = [];
+  if (failed.length > 0) warnings.push(`Fundamentals unavailable for ${failed.length} symbol(s): ${failed.map((f) => f.ticker).join(', ')}`);
+  if (missingRequired.length > 0) warnings.push(`Fundamentals missing for current holdings: ${missingRequired.join(', ')}`);
+  if (stale.length > 0) warnings.push(`Fundamentals older than ${FUNDAMENTALS_STALE_DAYS} days: ${stale.join(', ')}`);
+
+  return {
+    status,
+    eligible_count: eligible.length,
+    success_count: covered.size,
+    error_count: failed.length,
+    required_coverage: {
+      required_count: required.length,
+      available_count: required.length - missingRequired.length,
+      missing_symbols: missingRequired,
+    },
+    stale_symbols: stale,
+    warnings,
+  };
+}
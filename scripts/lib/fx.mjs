@@ -0,0 +1,114 @@
+// fx.mjs — Convert close series into a lane's base currency.
+// FX rates are ordinary chart series fetched through market_data.mjs like any
+// other symbol ("EURUSD=X" = USD per EUR). A series is converted by multiplying
+// each close by the rate on or before its date, so a non-base holding's return
+// includes its currency move. When the rate is unavailable the converted chart
+// is null: the holding drops out of coverage instead of entering the NAV in the
+// wrong currency.
+//
+// Configured per lane in fund.config.json as "base_currency": "USD" (default).
+import { closeOnOrBefore } from './market_data.mjs';
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Some listings are quoted in minor units (LSE in pence, TASE in agorot,
+// JSE in cents). Returns are unaffected; price levels are scaled to the major unit.
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', scale: 0.01 },
+  GBX: { currency: 'GBP', scale: 0.01 },
+  ILA: { currency: 'ILS', scale: 0.01 },
+  ZAc: { currency: 'ZAR', scale: 0.01 },
+};
+
+// { currency, scale } for a quote currency code, or null when unknown.
+export function normalizeCurrency(raw) {
+  const code = String(raw || '').trim();
+  if (!code) return null;
+  if (MINOR_UNITS[code]) return MINOR_UNITS[code];
+  if (!/^[A-Za-z]{3}$/.test(code)) return null;
+  return { currency: code.toUpperCase(), scale: 1 };
+}
+
+export function resolveBaseCurrency(config) {
+  return normalizeCurrency(config?.base_currency)?.currency || DEFAULT_BASE_CURRENCY;
+}
+
+export function fxPairTicker(fromCurrency, toCurrency) {
+  return `${fromCurrency}${toCurrency}=X`;
+}
+
+// Quote currency of a loaded chart; charts without one are taken to be in base.
+export function chartCurrency(chart, baseCurrency) {
+  return normalizeCurrency(chart?.meta?.currency) || { currency: baseCurrency, scale: 1 };
+}
+
+// FX pair tickers needed to bring every chart into baseCurrency.
+export function requiredFxPairs(charts, baseCurrency) {
+  const pairs = new Set();
+  for (const chart of charts) {
+    if (!chart) continue;
+    const { currency } = chartCurrency(chart, baseCurrency);
+    if (currency !== baseCurrency) pairs.add(fxPairTicker(currency, baseCurrency));
+  }
+  return [...pairs].sort();
+}
+
+function rateSeries(fxChart) {
+  const closes = fxChart?.series?.price || fxChart?.closes;
+  return fxChart && Array.isArray(closes) ? { dates: fxChart.dates, closes } : null;
+}
+
+// Chart with the same shape as the input (dates, closes and, when present,
+// series.price/series.total) expressed in baseCurrency. Keeps the original as
+// `local`. Dates before the first available rate are dropped.
+export function convertChart(chart, fxChart, baseCurrency) {
+  if (!chart) return null;
+  const { currency, scale } = chartCurrency(chart, baseCurrency);
+  if (currency === baseCurrency && scale === 1) return chart;
+
+  const rates = currency === baseCurrency ? null : rateSeries(fxChart);
+  if (currency !== baseCurrency && !rates) return null;
+
+  const keep = [];
+  const factors = [];
+  chart.dates.forEach((date, i) => {
+    const rate = rates ? closeOnOrBefore(rates, date) : { close: 1 };
+    if (!rate) return;
+    keep.push(i);
+    factors.push(rate.close * scale);
+  });
+  if (keep.length === 0) return null;
+
+  const convert = (values) => keep.map((idx, k) => values[idx] * factors[k]);
+  return {
+    ...chart,
+    meta: { ...chart.meta, currency: baseCurrency },
+    dates: keep.map((idx) => chart.dates[idx]),
+    closes: convert(chart.closes),
+    ...(chart.series ? { series: { price: convert(chart.series.price), total: convert(chart.series.total) } } : {}),
+    local_currency: currency,
+    fx_symbol: rates ? fxPairTicker(currency, baseCurrency) : null,
+    local: chart,
+  };
+}
+
+// Wrap a chartFor(ticker) lookup so every series comes back in baseCurrency.
+// FX pairs are looked up through the same chartFor, so callers load them into
+// the same cache (see requiredFxPairs).
+export function baseCurrencyChartFor(chartFor, baseCurrency) {
+  const converted = new Map();
+  return (ticker) => {
+    if (!converted.has(ticker)) {
+      const chart = chartFor(ticker);
+      const { currency } = chartCurrency(chart, baseCurrency);
+      const fxChart = currency === baseCurrency ? null : chartFor(fxPairTicker(currency, baseCurrency));
+      converted.set(ticker, convertChart(chart, fxChart, baseCurrency));
+    }
+    return converted.get(ticker);
+  };
+}
+
+// Tickers whose chart loaded but could not be converted for lack of an FX rate.
+export function unconvertibleTickers(tickers, chartFor, baseChartFor) {
+  return [...new Set(tickers)].filter((t) => chartFor(t) && !baseChartFor(t)).sort();
+}
@@ -0,0 +1,160 @@
+// json_schema.mjs — Small JSON Schema (draft 2020-12 subset) validator for the
+// arena's own schemas under funds/arena/schemas/.
+// Supported keywords: $ref (local "#/..." pointers only), type, enum, const,
+// required, properties, additionalProperties, items, minItems, maxItems,
+// minimum, maximum, exclusiveMinimum, minLength, pattern, allOf, anyOf, oneOf,
+// if/then/else. Annotations ($schema, $id, $defs, title, description, $comment)
+// are ignored; any other keyword throws, so a schema never silently skips a
+// rule this validator does not implement.
+//
+// validate(schema, value) returns [{ path, message }], empty when valid. Paths
+// read like JavaScript accessors from the document root: $.market_data["BTC-USD"].features.
+
+const ANNOTATIONS = new Set(['$schema', '$id', '$defs', 'title', 'description', '$comment']);
+const KEYWORDS = new Set([
+  '$ref', 'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minimum', 'maximum', 'exclusiveMinimum', 'minLength', 'pattern',
+  'allOf', 'anyOf', 'oneOf', 'if', 'then', 'else',
+]);
+
+export function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`Unsupported $ref (local pointers only): ${ref}`);
+  let node = root;
+  for (const raw of ref.slice(1).split('/').filter(Boolean)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node == null || !(key in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+    node = node[key];
+  }
+  return node;
+}
+
+function check(root, schema, value, path, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  for (const key of Object.keys(schema)) {
+    if (!KEYWORDS.has(key) && !ANNOTATIONS.has(key)) throw new Error(`Unsupported JSON Schema keyword "${key}" at ${path}`);
+  }
+
+  if (schema.$ref) check(root, resolveRef(root, schema.$ref), value, path, errors);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}`, expected: types });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => equal(v, value))) {
+    errors.push({ path, message: `expected one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}` });
+  }
+  if ('const' in schema && !equal(schema.const, value)) {
+    errors.push({ path, message: `expected ${describe(schema.const)}, got ${describe(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path, message: `${value} is below the minimum ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path, message: `${value} is above the maximum ${schema.maximum}` });
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `${value} must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: `shorter than ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `${describe(value)} does not match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ path, message: `expected at least ${schema.minItems} item(s), got ${value.length}` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ path, message: `expected at most ${schema.maxItems} item(s), got ${value.length}` });
+    if (schema.items != null) value.forEach((item, i) => check(root, schema.items, item, childPath(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) check(root, properties[key], child, childPath(path, key), errors);
+      else if (schema.additionalProperties != null) check(root, schema.additionalProperties, child, childPath(path, key), errors);
+    }
+  }
+
+  for (const sub of schema.allOf || []) check(root, sub, value, path, errors);
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const results = branches.map((sub) => {
+      const branchErrors = [];
+      check(root, sub, value, path, branchErrors);
+      return branchErrors;
+    });
+    const passing = results.filter((r) => r.length === 0).length;
+    // A branch that failed only on the value's type says nothing about what is
+    // wrong inside it; report the closest branch of the right type instead.
+    const typeOnly = (r) => r.length === 1 && r[0].path === path && r[0].expected;
+    const informative = results.filter((r) => !typeOnly(r));
+    if (passing === 0 && informative.length > 0) {
+      errors.push(...informative.reduce((best, r) => (r.length < best.length ? r : best)));
+    } else if (passing === 0) {
+      const expected = [...new Set(results.flatMap((r) => r[0].expected))];
+      errors.push({ path, message: `expected ${expected.join(' or ')}, got ${typeOf(value)}`, expected });
+    } else if (schema.oneOf && passing > 1) {
+      errors.push({ path, message: `matches ${passing} oneOf branches, expected exactly 1` });
+    }
+  }
+  if (schema.if != null) {
+    const ifErrors = [];
+    check(root, schema.if, value, path, ifErrors);
+    const branch = ifErrors.length === 0 ? schema.then : schema.else;
+    if (branch != null) check(root, branch, value, path, errors);
+  }
+}
+
+// Overlapping subschemas (e.g. a v1 and a v2 rule on the same field) can
+// report the same violation twice; each is returned once.
+export function validate(schema, value) {
+  const errors = [];
+  check(schema, schema, value, '$', errors);
+  const seen = new Set();
+  const out = [];
+  for (const { path, message } of errors) {
+    const key = `${path}\u0000${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ path, message });
+  }
+  return out;
+}
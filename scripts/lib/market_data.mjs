@@ -0,0 +1,759 @@
+// market_data.mjs — Shared daily price-history access for arena scripts.
+// Every provider returns a Yahoo v8 chart `result` object, so symbol aliasing,
+// bar cleaning and price/total-return series construction live in exactly one place.
+//
+// Providers (select with MARKET_DATA_PROVIDER or --market-data=<name>):
+//   yahoo   — live query1.finance.yahoo.com chart API (default)
+//   stooq   — Stooq daily CSV download (US listings and FX pairs only);
+//             stooq:<dir> reads <stooq symbol>.csv files from <dir> instead
+//   fixture — local directory of <SYMBOL>.csv / <SYMBOL>.json files
+//   replay  — local directory of recorded Yahoo chart responses
+// A comma-separated list (yahoo,stooq) fails over per symbol in that order;
+// any entry may carry its own directory as name:<dir>. fetchChartResult reports
+// the source that served each symbol, and MARKET_DATA_CROSS_CHECK=1 (or
+// --market-data-cross-check=1) also fetches the next source after a success to
+// compare the overlapping closes.
+// MARKET_DATA_RECORD_DIR (or --market-data-record=<dir>) records every
+// successful response into a directory the replay provider can read back.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+const YAHOO_CHART_SOURCE = 'query1.finance.yahoo.com/v8/finance/chart';
+const STOOQ_SOURCE = 'stooq.com/q/d/l';
+const USER_AGENT = 'hedge-labs-fund-arena/1.0';
+
+export const MARKET_DATA_PROVIDERS = ['yahoo', 'stooq', 'fixture', 'replay'];
+// Overlapping closes further apart than this count as a cross-check mismatch.
+export const CROSS_CHECK_TOLERANCE_PCT = 1;
+
+export function isDateStr(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+export function dateFromTs(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+export function dateMs(dateStr) {
+  const ms = Date.parse(`${dateStr}T00:00:00Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Yahoo uses dashes for share classes (BRK-B) while models often write dots (BRK.B).
+// Crypto pairs (BTC-USD) are never rewritten to dots.
+export function symbolAliases(raw) {
+  const t = String(raw || '').trim();
+  if (!t) return [];
+  const out = [t];
+  if (t.includes('.')) out.push(t.replace(/\./g, '-'));
+  if (t.includes('-') && !/-USDT?$/i.test(t)) out.push(t.replace(/-/g, '.'));
+  return [...new Set(out)];
+}
+
+export function symbolFileName(symbol) {
+  return String(symbol).replace(/[^\w.-]+/g, '_');
+}
+
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let index = 0;
+  async function worker() {
+    while (true) {
+      const i = index;
+      index += 1;
+      if (i >= items.length) return;
+      results[i] = await mapper(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, () => worker()));
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Chart result helpers (shape: Yahoo v8 chart.result[0])
+// ---------------------------------------------------------------------------
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function chartResultOf(doc) {
+  if (doc?.chart?.result?.[0]) return doc.chart.result[0];
+  if (Array.isArray(doc?.timestamp)) return doc;
+  return null;
+}
+
+// Keep only bars with period1 <= timestamp < period2 (epoch seconds), filtering
+// every parallel indicator array and the event maps alongside the timestamps.
+export function sliceChartResult(result, period1, period2) {
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const keep = [];
+  for (let i = 0; i < timestamps.length; i += 1) {
+    const ts = Number(timestamps[i]);
+    if (!Number.isFinite(ts)) continue;
+    if (Number.isFinite(period1) && ts < period1) continue;
+    if (Number.isFinite(period2) && ts >= period2) continue;
+    keep.push(i);
+  }
+  const pick = (arr) => (Array.isArray(arr) ? keep.map((i) => arr[i] ?? null) : arr);
+
+  const quote = result?.indicators?.quote?.[0] || {};
+  const slicedQuote = Object.fromEntries(Object.entries(quote).map(([k, v]) => [k, pick(v)]));
+  const adj = result?.indicators?.adjclose?.[0]?.adjclose;
+
+  const events = {};
+  for (const [kind, byKey] of Object.entries(result?.events || {})) {
+    if (!byKey || typeof byKey !== 'object') continue;
+    const kept = Object.entries(byKey).filter(([, ev]) => {
+      const ts = Number(ev?.date);
+      if (!Number.isFinite(ts)) return false;
+      if (Number.isFinite(period1) && ts < period1) return false;
+      if (Number.isFinite(period2) && ts >= period2) return false;
+      return true;
+    });
+    if (kept.length > 0) events[kind] = Object.fromEntries(kept);
+  }
+
+  return {
+    ...result,
+    timestamp: keep.map((i) => timestamps[i]),
+    indicators: {
+      ...(result?.indicators || {}),
+      quote: [slicedQuote],
+      ...(Array.isArray(adj) ? { adjclose: [{ adjclose: pick(adj) }] } : {}),
+    },
+    events,
+  };
+}
+
+// Union two chart results by timestamp; bars and events from `next` win.
+function mergeChartResults(prev, next) {
+  if (!prev) return next;
+  const rows = new Map();
+  const collect = (result) => {
+    const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+    const quote = result?.indicators?.quote?.[0] || {};
+    const adj = result?.indicators?.adjclose?.[0]?.adjclose || [];
+    for (let i = 0; i < timestamps.length; i += 1) {
+      const row = { adjclose: adj[i] ?? null };
+      for (const [k, v] of Object.entries(quote)) row[k] = Array.isArray(v) ? v[i] ?? null : null;
+      rows.set(Number(timestamps[i]), row);
+    }
+  };
+  collect(prev);
+  collect(next);
+
+  const timestamps = [...rows.keys()].sort((a, b) => a - b);
+  const quoteKeys = [...new Set([
+    ...Object.keys(prev?.indicators?.quote?.[0] || {}),
+    ...Object.keys(next?.indicators?.quote?.[0] || {}),
+  ])];
+  const quote = Object.fromEntries(quoteKeys.map((k) => [k, timestamps.map((ts) => rows.get(ts)[k] ?? null)]));
+  const events = {};
+  for (const kind of new Set([...Object.keys(prev?.events || {}), ...Object.keys(next?.events || {})])) {
+    events[kind] = { ...(prev?.events?.[kind] || {}), ...(next?.events?.[kind] || {}) };
+  }
+
+  return {
+    ...next,
+    meta: { ...(prev?.meta || {}), ...(next?.meta || {}) },
+    timestamp: timestamps,
+    indicators: {
+      quote: [quote],
+      adjclose: [{ adjclose: timestamps.map((ts) => rows.get(ts).adjclose ?? null) }],
+    },
+    events,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Return basis: price return (split-adjusted closes) or total return (closes
+// plus reinvested dividends). Both are derived from the quote close and the
+// chart's dividend/split events, never from a per-bar mix of adjclose and close.
+// ---------------------------------------------------------------------------
+
+export const RETURN_BASES = ['total', 'price'];
+export const DEFAULT_RETURN_BASIS = 'total';
+
+// Lane `return_basis` (fund.config.json) wins over ARENA_RETURN_BASIS; unknown
+// values are reported on stderr and skipped.
+export function resolveReturnBasis(config = null) {
+  const candidates = [
+    ['return_basis', config?.return_basis],
+    ['ARENA_RETURN_BASIS', process.env.ARENA_RETURN_BASIS],
+  ];
+  for (const [label, raw] of candidates) {
+    const value = String(raw ?? '').trim().toLowerCase();
+    if (!value) continue;
+    if (RETURN_BASES.includes(value)) return value;
+    process.stderr.write(`Ignoring ${label}=${raw} (expected one of ${RETURN_BASES.join(', ')})\n`);
+  }
+  return DEFAULT_RETURN_BASIS;
+}
+
+// Dividend and split events from a chart result, oldest first.
+// { dividends: [{ date, amount }], splits: [{ date, numerator, denominator }] }
+export function parseChartEvents(result, { maxTimestamp = Infinity } = {}) {
+  const list = (byKey) => Object.values(byKey && typeof byKey === 'object' ? byKey : {})
+    .filter((ev) => Number.isFinite(Number(ev?.date)) && Number(ev.date) <= maxTimestamp);
+
+  const dividends = list(result?.events?.dividends)
+    .map((ev) => ({ date: dateFromTs(Number(ev.date)), amount: Number(ev.amount) }))
+    .filter((ev) => Number.isFinite(ev.amount) && ev.amount > 0);
+  const splits = list(result?.events?.splits)
+    .map((ev) => ({ date: dateFromTs(Number(ev.date)), numerator: Number(ev.numerator), denominator: Number(ev.denominator) }))
+    .filter((ev) => ev.numerator > 0 && ev.denominator > 0 && ev.numerator !== ev.denominator);
+
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return { dividends: dividends.sort(byDate), splits: splits.sort(byDate) };
+}
+
+// Index of the first row dated on or after `date` (rows sorted asc).
+function firstRowOnOrAfter(rows, date) {
+  let lo = 0;
+  let hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (rows[mid].date < date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Price and total-return close series for rows [{ date, close }] (sorted asc,
+// close > 0) and the events from parseChartEvents.
+//   - Yahoo quote closes are already split-adjusted. A split whose session still
+//     shows the full price jump is treated as unadjusted source data, and the
+//     closes (and dividends) before it are divided by the split ratio.
+//   - A dividend is reinvested at the close of the first session on or after its
+//     ex-date: total[i] / total[i-1] = (price[i] + dividend[i]) / price[i-1].
+//     The total series is anchored so its last value equals the last price close.
+// Returns { price, total, events } with dividend amounts on the `price` basis.
+export function buildReturnSeries(rows, events = {}) {
+  const price = rows.map((r) => r.close);
+  const dividends = (events.dividends || []).map((d) => ({ ...d, row: firstRowOnOrAfter(rows, d.date) }));
+
+  for (const s of events.splits || []) {
+    const i = firstRowOnOrAfter(rows, s.date);
+    if (i <= 0 || i >= rows.length) continue;
+    const ratio = s.numerator / s.denominator;
+    const jump = price[i - 1] / price[i];
+    if (Math.abs(Math.log(jump / ratio)) >= Math.abs(Math.log(ratio)) / 2) continue;
+    for (let j = 0; j < i; j += 1) price[j] /= ratio;
+    for (const d of dividends) {
+      if (d.row < i) d.amount /= ratio;
+    }
+  }
+
+  const dividendAt = new Array(rows.length).fill(0);
+  for (const d of dividends) {
+    if (d.row > 0 && d.row < rows.length) dividendAt[d.row] += d.amount;
+  }
+  // total[i] = price[i] · factor[i], with factor 1 on the last bar and each
+  // earlier bar discounted by the dividends paid after it.
+  const total = new Array(price.length);
+  let factor = 1;
+  for (let i = price.length - 1; i >= 0; i -= 1) {
+    total[i] = price[i] * factor;
+    if (dividendAt[i] > 0) factor /= 1 + (dividendAt[i] / price[i]);
+  }
+  return {
+    price,
+    total,
+    events: {
+      dividends: dividends.map(({ date, amount }) => ({ date, amount })),
+      splits: [...(events.splits || [])],
+    },
+  };
+}
+
+// Parse a chart result into clean daily bars. Each bar carries both bases
+// (`price_close`, `total_close`); `close` is the one selected by `basis`.
+// `open`/`high`/`low` (null when the quote lacks them) and `events` are on the
+// same split basis as `price_close`. The source adjclose is kept for reference
+// only. Bars without a quote close, and bars after maxTimestamp (epoch
+// seconds), are dropped.
+export function parseChartBars(result, { maxTimestamp = Infinity, basis = DEFAULT_RETURN_BASIS } = {}) {
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const quote = result?.indicators?.quote?.[0] || {};
+  const adj = result?.indicators?.adjclose?.[0]?.adjclose || [];
+  const closes = Array.isArray(quote.close) ? quote.close : [];
+  const volumes = Array.isArray(quote.volume) ? quote.volume : [];
+  const positive = (arr, i) => {
+    const v = Array.isArray(arr) && arr[i] != null ? Number(arr[i]) : NaN;
+    return Number.isFinite(v) && v > 0 ? v : null;
+  };
+
+  const raw = [];
+  for (let i = 0; i < timestamps.length; i += 1) {
+    const tsSec = Number(timestamps[i]);
+    if (!Number.isFinite(tsSec) || tsSec > maxTimestamp) continue;
+    const date = dateFromTs(tsSec);
+    if (!isDateStr(date)) continue;
+
+    const quoteRaw = closes[i] == null ? NaN : Number(closes[i]);
+    if (!Number.isFinite(quoteRaw) || quoteRaw <= 0) continue;
+
+    const adjRaw = adj[i] == null ? NaN : Number(adj[i]);
+    const volumeRaw = volumes[i] == null ? NaN : Number(volumes[i]);
+    raw.push({
+      date,
+      timestamp: tsSec,
+      open: positive(quote.open, i),
+      high: positive(quote.high, i),
+      low: positive(quote.low, i),
+      close: quoteRaw,
+      adjclose: Number.isFinite(adjRaw) && adjRaw > 0 ? adjRaw : null,
+      volume: Number.isFinite(volumeRaw) ? volumeRaw : null,
+    });
+  }
+
+  const series = buildReturnSeries(raw, parseChartEvents(result, { maxTimestamp }));
+  const bars = raw.map((b, i) => {
+    const splitScale = series.price[i] / b.close;
+    const scaled = (v) => (v == null ? null : v * splitScale);
+    return {
+      date: b.date,
+      timestamp: b.timestamp,
+      open: scaled(b.open),
+      high: scaled(b.high),
+      low: scaled(b.low),
+      close: basis === 'price' ? series.price[i] : series.total[i],
+      price_close: series.price[i],
+      total_close: series.total[i],
+      adjclose: b.adjclose,
+      volume: b.volume,
+    };
+  });
+
+  return { meta: result?.meta || {}, bars, events: series.events, basis };
+}
+
+// ---------------------------------------------------------------------------
+// Close-series helpers used by the NAV scripts ({ dates, closes } sorted asc)
+// ---------------------------------------------------------------------------
+
+function upperBound(arr, target) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] <= target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function closeOnOrBefore(chart, targetDate) {
+  if (!chart || !Array.isArray(chart.dates) || !Array.isArray(chart.closes) || chart.dates.length === 0) return null;
+  const idx = upperBound(chart.dates, targetDate) - 1;
+  if (idx < 0) return null;
+  const close = chart.closes[idx];
+  if (!Number.isFinite(close) || close <= 0) return null;
+  return { date: chart.dates[idx], close };
+}
+
+// Series loaders return both bases in `series`; `closes` follows `basis`.
+export function selectReturnBasis(chart, basis) {
+  if (!chart || !chart.series?.[basis] || chart.basis === basis) return chart || null;
+  return { ...chart, basis, closes: chart.series[basis] };
+}
+
+// ---------------------------------------------------------------------------
+// Providers: { name, source, fetchChart(symbol, { period1, period2 }) -> result }
+// fetchChart throws an Error describing the failure; it never returns null.
+// ---------------------------------------------------------------------------
+
+export async function fetchWithRetry(url, init, retries, timeoutMs) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      lastErr = err;
+      if (attempt < retries) {
+        await new Promise((r) => setTimeout(r, 250 * (attempt + 1)));
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  throw lastErr instanceof Error ? lastErr : new Error(String(lastErr));
+}
+
+function createYahooProvider() {
+  const retriesRaw = Number(process.env.YAHOO_MAX_RETRIES || '2');
+  const timeoutRaw = Number(process.env.YAHOO_CHART_TIMEOUT_MS || '15000');
+  const retries = Number.isFinite(retriesRaw) ? retriesRaw : 2;
+  const timeoutMs = Number.isFinite(timeoutRaw) ? timeoutRaw : 15000;
+
+  return {
+    name: 'yahoo',
+    source: YAHOO_CHART_SOURCE,
+    async fetchChart(symbol, { period1, period2 }) {
+      const url = `https://${YAHOO_CHART_SOURCE}/${encodeURIComponent(symbol)}?interval=1d&period1=${period1}&period2=${period2}&includeAdjustedClose=true&events=div,splits`;
+      const res = await fetchWithRetry(url, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'application/json',
+        },
+      }, retries, timeoutMs);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const result = chartResultOf(await res.json());
+      if (!result?.timestamp || !result?.indicators?.quote?.[0]) throw new Error('missing chart result');
+      return result;
+    },
+  };
+}
+
+function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+  const header = lines[0].split(',').map((h) => h.trim().toLowerCase().replace(/[\s_]+/g, ''));
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    return Object.fromEntries(header.map((h, i) => [h, (cells[i] ?? '').trim()]));
+  });
+}
+
+function numOrNull(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Fixture events ride on the rows: `dividend` is a per-share amount going ex on
+// that date, `split` a ratio such as "2:1" or "3/2".
+function eventsFromRows(rows) {
+  const dividends = {};
+  const splits = {};
+  for (const r of rows) {
+    const ts = Math.floor(dateMs(r.date) / 1000);
+    const amount = numOrNull(r.dividend);
+    if (amount != null && amount > 0) dividends[ts] = { amount, date: ts };
+    const m = /^\s*(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(r.split ?? ''));
+    if (m) {
+      const [numerator, denominator] = [Number(m[1]), Number(m[2])];
+      splits[ts] = { date: ts, numerator, denominator, splitRatio: `${m[1]}:${m[2]}` };
+    }
+  }
+  return {
+    ...(Object.keys(dividends).length ? { dividends } : {}),
+    ...(Object.keys(splits).length ? { splits } : {}),
+  };
+}
+
+// Fixture rows: { date, open?, high?, low?, close, adjclose?, volume?, dividend?, split? }.
+function chartResultFromRows(symbol, rows, meta = {}) {
+  const sorted = rows
+    .filter((r) => isDateStr(String(r?.date || '')))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const hasAdj = sorted.some((r) => numOrNull(r.adjclose ?? r.adj_close) != null);
+  return {
+    meta: {
+      symbol,
+      currency: 'USD',
+      instrumentType: /-USDT?$/i.test(symbol) ? 'CRYPTOCURRENCY' : 'EQUITY',
+      ...meta,
+    },
+    timestamp: sorted.map((r) => Math.floor(dateMs(r.date) / 1000)),
+    indicators: {
+      quote: [{
+        open: sorted.map((r) => numOrNull(r.open)),
+        high: sorted.map((r) => numOrNull(r.high)),
+        low: sorted.map((r) => numOrNull(r.low)),
+        close: sorted.map((r) => numOrNull(r.close)),
+        volume: sorted.map((r) => numOrNull(r.volume)),
+      }],
+      ...(hasAdj ? { adjclose: [{ adjclose: sorted.map((r) => numOrNull(r.adjclose ?? r.adj_close)) }] } : {}),
+    },
+    events: eventsFromRows(sorted),
+  };
+}
+
+// Yahoo symbol -> { symbol, currency } on Stooq, or null when Stooq has no
+// equivalent we can map safely (non-US listings, indices, crypto).
+export function stooqSymbol(raw) {
+  const t = String(raw || '').trim().toUpperCase();
+  const fx = /^([A-Z]{3})([A-Z]{3})=X$/.exec(t);
+  if (fx) return { symbol: `${fx[1]}${fx[2]}`.toLowerCase(), currency: fx[2] };
+  if (/^[A-Z][A-Z0-9]*(-[A-Z])?$/.test(t) && !/-USDT?$/.test(t)) return { symbol: `${t.toLowerCase()}.us`, currency: 'USD' };
+  return null;
+}
+
+function stooqDate(epochSeconds) {
+  return dateFromTs(epochSeconds).replace(/-/g, '');
+}
+
+// Stooq rows carry split-adjusted closes and no dividend or split events, so a
+// symbol served from Stooq has the same price and total-return series.
+function createStooqProvider(dir) {
+  const root = dir ? resolve(dir) : null;
+  const retriesRaw = Number(process.env.STOOQ_MAX_RETRIES || '1');
+  const timeoutRaw = Number(process.env.STOOQ_TIMEOUT_MS || '15000');
+  const retries = Number.isFinite(retriesRaw) ? retriesRaw : 1;
+  const timeoutMs = Number.isFinite(timeoutRaw) ? timeoutRaw : 15000;
+
+  return {
+    name: 'stooq',
+    source: root ? `stooq-file:${root}` : STOOQ_SOURCE,
+    async fetchChart(symbol, { period1, period2 }) {
+      const mapped = stooqSymbol(symbol);
+      if (!mapped) throw new Error(`no Stooq symbol for ${symbol}`);
+      let text;
+      if (root) {
+        const file = join(root, `${symbolFileName(mapped.symbol)}.csv`);
+        if (!existsSync(file)) throw new Error(`no Stooq file for ${mapped.symbol} in ${root}`);
+        text = readFileSync(file, 'utf8');
+      } else {
+        const url = `https://${STOOQ_SOURCE}/?s=${encodeURIComponent(mapped.symbol)}&d1=${stooqDate(period1)}&d2=${stooqDate(period2)}&i=d`;
+        const res = await fetchWithRetry(url, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/csv' } }, retries, timeoutMs);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        text = await res.text();
+      }
+      const rows = parseCsv(text).filter((r) => isDateStr(r.date) && numOrNull(r.close) != null);
+      if (rows.length === 0) throw new Error(`no Stooq data for ${mapped.symbol}`);
+      const result = chartResultFromRows(symbol, rows, {
+        currency: mapped.currency,
+        instrumentType: /=X$/i.test(symbol) ? 'CURRENCY' : 'EQUITY',
+        exchangeName: 'STOOQ',
+      });
+      return sliceChartResult(result, period1, period2);
+    },
+  };
+}
+
+function createFixtureProvider(dir) {
+  if (!dir) throw new Error('fixture market-data provider requires MARKET_DATA_DIR or --market-data-dir');
+  const root = resolve(dir);
+  return {
+    name: 'fixture',
+    source: `fixture:${root}`,
+    async fetchChart(symbol, { period1, period2 }) {
+      const base = join(root, symbolFileName(symbol));
+      let result = null;
+      if (existsSync(`${base}.json`)) {
+        const doc = readJson(`${base}.json`);
+        result = chartResultOf(doc) || chartResultFromRows(symbol, Array.isArray(doc?.bars) ? doc.bars : [], doc?.meta || {});
+      } else if (existsSync(`${base}.csv`)) {
+        result = chartResultFromRows(symbol, parseCsv(readFileSync(`${base}.csv`, 'utf8')));
+      }
+      if (!result) throw new Error(`no fixture for ${symbol} in ${root}`);
+      return sliceChartResult(result, period1, period2);
+    },
+  };
+}
+
+function createReplayProvider(dir) {
+  if (!dir) throw new Error('replay market-data provider requires MARKET_DATA_DIR or --market-data-dir');
+  const root = resolve(dir);
+  return {
+    name: 'replay',
+    source: `replay:${root}`,
+    async fetchChart(symbol, { period1, period2 }) {
+      const file = join(root, `${symbolFileName(symbol)}.json`);
+      if (!existsSync(file)) throw new Error(`no recorded response for ${symbol} in ${root}`);
+      const result = chartResultOf(readJson(file));
+      if (!result) throw new Error(`recorded response for ${symbol} has no chart result`);
+      return sliceChartResult(result, period1, period2);
+    },
+  };
+}
+
+function closesByDate(result) {
+  const timestamps = Array.isArray(result?.timestamp) ? result.timestamp : [];
+  const closes = result?.indicators?.quote?.[0]?.close || [];
+  const out = new Map();
+  timestamps.forEach((ts, i) => {
+    const close = Number(closes[i]);
+    if (closes[i] != null && Number.isFinite(close) && close > 0) out.set(dateFromTs(Number(ts)), close);
+  });
+  return out;
+}
+
+// Compare the quote closes two sources report for the same dates.
+export function crossCheckCloses(primary, secondary, tolerancePct = CROSS_CHECK_TOLERANCE_PCT) {
+  const a = closesByDate(primary);
+  const b = closesByDate(secondary);
+  let overlap = 0;
+  let mismatched = 0;
+  let worst = null;
+  for (const [date, close] of a) {
+    if (!b.has(date)) continue;
+    overlap += 1;
+    const diffPct = Math.abs((b.get(date) / close) - 1) * 100;
+    if (diffPct > tolerancePct) mismatched += 1;
+    if (!worst || diffPct > worst.diffPct) worst = { date, diffPct };
+  }
+  return {
+    overlap_bars: overlap,
+    mismatched_bars: mismatched,
+    max_diff_pct: worst ? Math.round(worst.diffPct * 1000) / 1000 : null,
+    max_diff_date: worst ? worst.date : null,
+    tolerance_pct: tolerancePct,
+  };
+}
+
+// Try providers in priority order for each symbol. The provenance of the last
+// successful fetch per symbol ({ source, failed_over_from, cross_check }) is kept
+// in `provenance` for fetchChartResult to report.
+function createFailoverProvider(providers, { crossCheck = false } = {}) {
+  const provenance = new Map();
+  return {
+    name: providers.map((p) => p.name).join(','),
+    source: providers.map((p) => p.source).join(', '),
+    provenance,
+    async fetchChart(symbol, window) {
+      const failedOver = [];
+      for (let i = 0; i < providers.length; i += 1) {
+        let result;
+        try {
+          result = await providers[i].fetchChart(symbol, window);
+        } catch (err) {
+          failedOver.push({ source: providers[i].name, error: err instanceof Error ? err.message : String(err) });
+          continue;
+        }
+        let check = null;
+        const next = providers[i + 1];
+        if (crossCheck && next) {
+          try {
+            check = { against: next.name, ...crossCheckCloses(result, await next.fetchChart(symbol, window)) };
+          } catch (err) {
+            check = { against: next.name, error: err instanceof Error ? err.message : String(err) };
+          }
+        }
+        provenance.set(symbol, { source: providers[i].name, failed_over_from: failedOver, cross_check: check });
+        return result;
+      }
+      throw new Error(failedOver.map((f) => `${f.source}: ${f.error}`).join('; '));
+    },
+  };
+}
+
+// Warning lines for { symbol: provenance }: symbols served by a fallback
+// source and cross-checks whose overlapping closes disagree.
+export function provenanceWarnings(bySymbol) {
+  const symbols = Object.keys(bySymbol).sort();
+  const fellBack = symbols.filter((t) => bySymbol[t]?.failed_over_from?.length > 0);
+  const mismatched = symbols.filter((t) => bySymbol[t]?.cross_check?.mismatched_bars > 0);
+  return [
+    ...(fellBack.length > 0
+      ? [`Price data from a fallback source for ${fellBack.length} symbol(s): ${fellBack.map((t) => `${t} (${bySymbol[t].source})`).join(', ')}`]
+      : []),
+    ...mismatched.map((t) => {
+      const c = bySymbol[t].cross_check;
+      return `Price sources disagree for ${t}: ${c.mismatched_bars}/${c.overlap_bars} overlapping closes differ from ${c.against} by more than ${c.tolerance_pct}% (max ${c.max_diff_pct}% on ${c.max_diff_date})`;
+    }),
+  ];
+}
+
+// Wrap a provider so every successful response is merged into <dir>/<SYMBOL>.json.
+function withRecording(provider, dir) {
+  const root = resolve(dir);
+  return {
+    ...provider,
+    async fetchChart(symbol, window) {
+      const result = await provider.fetchChart(symbol, window);
+      const file = join(root, `${symbolFileName(symbol)}.json`);
+      let prev = null;
+      try {
+        prev = existsSync(file) ? chartResultOf(readJson(file)) : null;
+      } catch {
+        prev = null;
+      }
+      mkdirSync(root, { recursive: true });
+      writeFileSync(file, `${JSON.stringify({ chart: { result: [mergeChartResults(prev, result)], error: null } })}\n`);
+      return result;
+    },
+  };
+}
+
+// Pull --market-data=<name>, --market-data-dir=<dir>, --market-data-record=<dir>
+// and --market-data-cross-check=<0|1> out of argv so scripts keep their positional argument handling.
+export function splitMarketDataArgs(argv) {
+  const args = [];
+  const options = {};
+  for (const arg of argv) {
+    const m = /^--market-data(?:-(dir|record|cross-check))?=(.*)$/.exec(String(arg));
+    if (!m) {
+      args.push(arg);
+      continue;
+    }
+    if (m[1] === 'dir') options.dir = m[2];
+    else if (m[1] === 'record') options.recordDir = m[2];
+    else if (m[1] === 'cross-check') options.crossCheck = m[2];
+    else options.provider = m[2];
+  }
+  return { args, options };
+}
+
+function createSingleProvider(entry, defaultDir) {
+  const sep = entry.indexOf(':');
+  const name = (sep >= 0 ? entry.slice(0, sep) : entry).trim().toLowerCase();
+  const ownDir = sep >= 0 ? entry.slice(sep + 1).trim() : '';
+  if (name === 'yahoo') return createYahooProvider();
+  // Stooq only reads files from a directory named on its own entry, so a shared
+  // --market-data-dir never turns the live fallback into an offline one.
+  if (name === 'stooq') return createStooqProvider(ownDir);
+  if (name === 'fixture') return createFixtureProvider(ownDir || defaultDir);
+  if (name === 'replay') return createReplayProvider(ownDir || defaultDir);
+  throw new Error(`Unknown market-data provider: ${name} (expected one of ${MARKET_DATA_PROVIDERS.join(', ')})`);
+}
+
+export function createMarketDataProvider(options = {}) {
+  const spec = String(options.provider || process.env.MARKET_DATA_PROVIDER || 'yahoo').trim();
+  const dir = options.dir || process.env.MARKET_DATA_DIR || '';
+  const recordDir = options.recordDir || process.env.MARKET_DATA_RECORD_DIR || '';
+  const crossCheck = ['1', 'true', 'on'].includes(String(options.crossCheck ?? process.env.MARKET_DATA_CROSS_CHECK ?? '').trim().toLowerCase());
+
+  const entries = spec.split(',').map((e) => e.trim()).filter(Boolean);
+  if (entries.length === 0) throw new Error('MARKET_DATA_PROVIDER is empty');
+  const providers = entries.map((entry) => createSingleProvider(entry, dir));
+  const provider = providers.length > 1 ? createFailoverProvider(providers, { crossCheck }) : providers[0];
+
+  return recordDir ? withRecording(provider, recordDir) : provider;
+}
+
+// Try each symbol alias in turn; resolves with the first chart that parses and
+// the provenance of the source that served it.
+export async function fetchChartResult(provider, ticker, window) {
+  let lastError = 'no symbol candidates';
+  for (const candidate of symbolAliases(ticker)) {
+    try {
+      const result = await provider.fetchChart(candidate, window);
+      const provenance = provider.provenance?.get(candidate) || { source: provider.name, failed_over_from: [], cross_check: null };
+      return { resolvedSymbol: candidate, result, provenance };
+    } catch (err) {
+      lastError = err instanceof Error ? err.message : String(err);
+    }
+  }
+  throw new Error(`${provider.name} chart fetch failed for ${ticker}: ${lastError}`);
+}
+
+// Close series for NAV math, or null when no alias yields usable bars.
+// { symbol, meta, dates, closes, basis, series: { price, total }, events, provenance }
+export async function loadCloseSeries(provider, ticker, window, { basis = DEFAULT_RETURN_BASIS } = {}) {
+  try {
+    const { resolvedSymbol, result, provenance } = await fetchChartResult(provider, ticker, window);
+    const { meta, bars, events } = parseChartBars(result, { basis });
+    if (bars.length === 0) return null;
+    return {
+      symbol: resolvedSymbol,
+      meta,
+      dates: bars.map((b) => b.date),
+      closes: bars.map((b) => b.close),
+      basis,
+      series: {
+        price: bars.map((b) => b.price_close),
+        total: bars.map((b) => b.total_close),
+      },
+      events,
+      provenance,
+    };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,290 @@
+// nav.mjs — Segment-based NAV engine shared by compute_daily_nav.mjs and
+// performance_since_added.mjs.
+//
+// A lane's history is a chain of segments between successful runs. Each segment
+// holds the weights of the run that opened it (buy-and-hold inside the segment).
+// Boundaries are sessions of the lane's reference calendar (lib/calendar.mjs;
+// the benchmark's, NYSE by default): the first segment starts from the session
+// before inception, later ones from the session on or before their run date, so
+// 24/7 assets cannot run ahead of equities. When a symbol's data is stale the
+// boundary is further pulled back to the earliest close available across the
+// holdings and the benchmark.
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { calendarForSymbol, previousSession, sessionDates, sessionOnOrBefore } from './calendar.mjs';
+import { rebalanceCost } from './costs.mjs';
+import { closeOnOrBefore, isDateStr } from './market_data.mjs';
+
+export function asPct(value) {
+  return Number(value.toFixed(2));
+}
+
+// Reference calendar for a lane: the benchmark's, NYSE without one.
+export function referenceCalendar(benchmarkTicker, chartFor) {
+  return calendarForSymbol(benchmarkTicker, benchmarkTicker ? chartFor(benchmarkTicker)?.meta : null);
+}
+
+function parseJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function extractPortfolio(doc) {
+  const holdings = Array.isArray(doc?.target_portfolio) ? doc.target_portfolio : [];
+  const byTicker = new Map();
+  for (const h of holdings) {
+    const ticker = String(h?.ticker || '').trim();
+    if (!ticker) continue;
+    const w = Number(h?.weight_pct ?? 0);
+    if (!Number.isFinite(w) || w <= 0) continue;
+    const key = ticker.toUpperCase();
+    const prev = byTicker.get(key);
+    const sector = prev?.sector || String(h?.sector || '').trim() || null;
+    byTicker.set(key, { ticker, weight_pct: (prev?.weight_pct || 0) + w, sector });
+  }
+  return [...byTicker.values()].map((h) => ({ ticker: h.ticker, weight_pct: asPct(h.weight_pct), sector: h.sector }));
+}
+
+// Successful runs (run_meta status success, or no run_meta) with a non-empty
+// target_portfolio, oldest first, optionally capped at throughDate.
+export function loadSuccessfulRuns(fundsDir, fundId, provider, throughDate = null) {
+  const runsRoot = join(fundsDir, fundId, 'runs');
+  if (!existsSync(runsRoot)) return [];
+  const dates = readdirSync(runsRoot)
+    .filter((d) => isDateStr(d) && (!throughDate || d <= throughDate))
+    .sort();
+  const out = [];
+  for (const d of dates) {
+    const outputPath = join(runsRoot, d, provider, 'dexter_output.json');
+    const metaPath = join(runsRoot, d, provider, 'run_meta.json');
+    if (!existsSync(outputPath)) continue;
+    if (existsSync(metaPath)) {
+      const meta = parseJson(metaPath);
+      if (meta && typeof meta.status === 'string' && meta.status !== 'success') continue;
+    }
+    const holdings = extractPortfolio(parseJson(outputPath));
+    if (holdings.length === 0) continue;
+    out.push({ date: d, holdings });
+  }
+  return out;
+}
+
+export function buildSegments(successfulRuns, runDate) {
+  const runs = successfulRuns.filter((r) => r.date <= runDate);
+  if (runs.length === 0) return [];
+  const asofPortfolioDate = runs[runs.length - 1].date;
+
+  const segments = [];
+  for (let i = 0; i < runs.length - 1; i += 1) {
+    segments.push({ start: runs[i], endDate: runs[i + 1].date });
+  }
+  if (runDate > asofPortfolioDate) {
+    segments.push({ start: runs[runs.length - 1], endDate: runDate });
+  } else if (segments.length === 0) {
+    // Single successful run and we're evaluating that same run date.
+    segments.push({ start: runs[0], endDate: runDate });
+  }
+  return segments;
+}
+
+function segmentReturn(chart, startDate, endDate) {
+  const start = closeOnOrBefore(chart, startDate);
+  const end = closeOnOrBefore(chart, endDate);
+  if (!start || !end) return null;
+  const ret = ((end.close / start.close) - 1) * 100;
+  return Number.isFinite(ret) ? { start, end, ret } : null;
+}
+
+// Chain every segment up to runDate. Returns null when any segment has no priced
+// holdings. benchNav is null once the benchmark misses a segment boundary.
+// Each entry of `segments` records the aligned window, the priced holdings and
+// the NAV levels at both ends, for callers that need more than the totals.
+// With a costModel (lib/costs.mjs), netNav additionally pays each segment's
+// rebalance cost at its start; nav stays gross.
+export function computeNav(successfulRuns, chartFor, benchmarkTicker, runDate, { costModel = null, calendar = null } = {}) {
+  const segments = buildSegments(successfulRuns, runDate);
+  if (segments.length === 0) return null;
+  const cal = calendar || referenceCalendar(benchmarkTicker, chartFor);
+
+  let nav = 100;
+  let netNav = 100;
+  let totalCost = 0;
+  let totalTurnover = 0;
+  let totalBought = 0;
+  let totalSold = 0;
+  let totalTrades = 0;
+  let prevHoldings = null;
+  let benchNav = 100;
+  const benchChart = benchmarkTicker ? chartFor(benchmarkTicker) : null;
+  let benchOk = Boolean(benchmarkTicker && benchChart);
+  let minCoverage = null;
+  let alignedAsOfDate = null;
+  const detail = [];
+
+  let isFirstSegment = true;
+  for (const seg of segments) {
+    // The portfolio is constructed before market open using the previous session's
+    // closing prices, so the first segment is measured from the close before inception.
+    const startDate = isFirstSegment ? previousSession(cal, seg.start.date) : sessionOnOrBefore(cal, seg.start.date);
+    const endDate = sessionOnOrBefore(cal, seg.endDate);
+    isFirstSegment = false;
+
+    const leg = [];
+    for (const h of seg.start.holdings) {
+      const chart = chartFor(h.ticker);
+      const startCandidate = closeOnOrBefore(chart, startDate);
+      const endCandidate = closeOnOrBefore(chart, endDate);
+      if (!startCandidate || !endCandidate) continue;
+      leg.push({ ticker: h.ticker, weight: h.weight_pct, sector: h.sector, chart, startCandidate, endCandidate });
+    }
+    if (leg.length === 0) return null;
+
+    const benchStartCandidate = benchChart ? closeOnOrBefore(benchChart, startDate) : null;
+    const benchEndCandidate = benchChart ? closeOnOrBefore(benchChart, endDate) : null;
+
+    // Align on the earliest available boundary dates across included holdings (and benchmark when available).
+    // ISO date strings compare lexicographically.
+    let alignedStartDate = leg.map((x) => x.startCandidate.date).sort()[0];
+    let alignedEndDate = leg.map((x) => x.endCandidate.date).sort()[0];
+    if (benchOk && benchStartCandidate && benchEndCandidate) {
+      if (benchStartCandidate.date < alignedStartDate) alignedStartDate = benchStartCandidate.date;
+      if (benchEndCandidate.date < alignedEndDate) alignedEndDate = benchEndCandidate.date;
+    }
+    // Avoid a negative/ill-defined window if any symbol's data is extremely stale.
+    if (alignedEndDate < alignedStartDate) alignedStartDate = alignedEndDate;
+
+    let covered = 0;
+    let weightedSum = 0;
+    const priced = [];
+    for (const item of leg) {
+      const r = segmentReturn(item.chart, alignedStartDate, alignedEndDate);
+      if (!r) continue;
+      covered += item.weight;
+      weightedSum += item.weight * r.ret;
+      priced.push({
+        ticker: item.ticker,
+        weight: item.weight,
+        sector: item.sector,
+        chart: item.chart,
+        startClose: r.start.close,
+        returnPct: r.ret,
+      });
+    }
+
+    const benchNavStart = benchOk ? benchNav : null;
+    let benchReturn = null;
+    if (benchOk) {
+      const r = segmentReturn(benchChart, alignedStartDate, alignedEndDate);
+      if (!r) {
+        benchOk = false;
+      } else {
+        benchReturn = r.ret;
+        benchNav *= (1 + (r.ret / 100));
+      }
+    }
+
+    if (covered <= 0) return null;
+
+    const segReturn = weightedSum / covered;
+    const navStart = nav;
+    nav *= (1 + (segReturn / 100));
+
+    let cost = null;
+    const navNetStart = netNav;
+    if (costModel) {
+      cost = rebalanceCost(prevHoldings, seg.start.holdings, costModel, chartFor, netNav);
+      totalCost += netNav * (cost.costPct / 100);
+      totalTurnover += cost.turnoverPct;
+      totalBought += cost.boughtPct;
+      totalSold += cost.soldPct;
+      totalTrades += cost.trades;
+      netNav *= (1 - (cost.costPct / 100)) * (1 + (segReturn / 100));
+    }
+    prevHoldings = seg.start.holdings;
+    minCoverage = minCoverage == null ? covered : Math.min(minCoverage, covered);
+    alignedAsOfDate = alignedEndDate;
+
+    const pricedTickers = new Set(priced.map((h) => h.ticker));
+    detail.push({
+      runDate: seg.start.date,
+      nominalEndDate: seg.endDate,
+      startDate: alignedStartDate,
+      endDate: alignedEndDate,
+      holdings: priced,
+      unpriced: seg.start.holdings
+        .filter((h) => !pricedTickers.has(h.ticker))
+        .map((h) => ({ ticker: h.ticker, weight: h.weight_pct, sector: h.sector })),
+      covered,
+      returnPct: segReturn,
+      navStart,
+      navEnd: nav,
+      turnoverPct: cost ? cost.turnoverPct : null,
+      costPct: cost ? cost.costPct : null,
+      navNetStart: cost ? navNetStart * (1 - (cost.costPct / 100)) : null,
+      benchStartClose: benchReturn != null ? closeOnOrBefore(benchChart, alignedStartDate).close : null,
+      benchNavStart: benchReturn != null ? benchNavStart : null,
+      benchReturnPct: benchReturn,
+    });
+  }
+
+  return {
+    nav,
+    netNav: costModel ? netNav : null,
+    calendar: cal,
+    costs: costModel
+      ? { costPct: totalCost, turnoverPct: totalTurnover, boughtPct: totalBought, soldPct: totalSold, trades: totalTrades }
+      : null,
+    benchNav: benchOk ? benchNav : null,
+    minCoverage: minCoverage ?? 0,
+    asofPriceDate: alignedAsOfDate || null,
+    segments: detail,
+  };
+}
+
+// Daily NAV points (gross `nav`, and `nav_net` when a costModel is passed) from the
+// close before inception through runDate, one per session of the reference calendar.
+// Inside a segment each holding keeps its opening weight, so the last point of
+// every segment equals the chained NAV from computeNav.
+export function buildNavSeries(successfulRuns, chartFor, benchmarkTicker, runDate, options = {}) {
+  const result = computeNav(successfulRuns, chartFor, benchmarkTicker, runDate, options);
+  if (!result) return [];
+  const benchChart = benchmarkTicker ? chartFor(benchmarkTicker) : null;
+
+  const points = [];
+  const push = (point) => {
+    if (points.length && point.date <= points[points.length - 1].date) return;
+    points.push(point);
+  };
+
+  const first = result.segments[0];
+  push({
+    date: first.startDate,
+    nav: 100,
+    nav_net: result.netNav != null ? 100 : null,
+    benchmark_nav: first.benchNavStart != null ? 100 : null,
+  });
+
+  for (const seg of result.segments) {
+    const grid = new Set([...sessionDates(result.calendar, seg.startDate, seg.endDate), seg.endDate]);
+    for (const date of [...grid].sort()) {
+      let weightedSum = 0;
+      for (const h of seg.holdings) {
+        const c = closeOnOrBefore(h.chart, date);
+        weightedSum += h.weight * (c ? ((c.close / h.startClose) - 1) * 100 : 0);
+      }
+      const nav = seg.navStart * (1 + (weightedSum / seg.covered / 100));
+
+      let benchmarkNav = null;
+      if (seg.benchNavStart != null) {
+        const c = closeOnOrBefore(benchChart, date);
+        if (c) benchmarkNav = seg.benchNavStart * (c.close / seg.benchStartClose);
+      }
+      const navNet = seg.navNetStart != null ? seg.navNetStart * (nav / seg.navStart) : null;
+      push({ date, nav, nav_net: navNet, benchmark_nav: benchmarkNav });
+    }
+  }
+  return points;
+}
@@ -0,0 +1,133 @@
+// output_contract.mjs — The lane's output contract, checked inside dexter_run_once.
+// Derived from fund.config.json (positions, min/max_position_pct, max_sector_pct,
+// max_crypto_pct, name) plus the run date, and mirroring run_fund_once.sh
+// validate_json_output, which stays the final gate. The target_portfolio rules
+// are portfolio_constraints.mjs checkPortfolio, the same code the runner's gate
+// calls. Violations are { path, message } with the field and the observed vs
+// allowed value, so a no-tools repair pass can fix exactly what is wrong
+// instead of re-running the agent.
+import { readFileSync } from 'node:fs';
+import { checkPortfolio, normStr, resolveConstraints } from './portfolio_constraints.mjs';
+
+export const ACTIONS = ['Add', 'Trim', 'Replace', 'Do nothing'];
+export const DEFAULT_MAX_REPAIR_ROUNDS = 2;
+
+function isTicker(v) {
+  return typeof v === 'string' && v.length > 0 && v.toUpperCase() !== 'UNKNOWN';
+}
+
+// The contract carries resolveConstraints' fields, so it is also the
+// constraints argument of checkPortfolio and projectWeights.
+export function outputContract(config, runDate) {
+  return {
+    run_date: String(runDate),
+    fund_name: String(config.name ?? ''),
+    ...resolveConstraints(config),
+  };
+}
+
+export function loadOutputContract(configPath, runDate) {
+  return outputContract(JSON.parse(readFileSync(configPath, 'utf8')), runDate);
+}
+
+function checkAction(action, path, out) {
+  if (!action || typeof action !== 'object') {
+    out.push({ path, message: 'must be an object' });
+    return;
+  }
+  if (!ACTIONS.includes(action.action)) {
+    out.push({ path: `${path}.action`, message: `is ${JSON.stringify(action.action)}; expected one of ${ACTIONS.join(', ')}` });
+    return;
+  }
+  if (action.action === 'Do nothing') return;
+  if (!isTicker(action.add_ticker)) out.push({ path: `${path}.add_ticker`, message: `is required for ${action.action}` });
+  if (action.action === 'Add') {
+    if (action.remove_ticker != null && action.remove_ticker !== '') {
+      out.push({ path: `${path}.remove_ticker`, message: 'must be null or empty for Add' });
+    }
+    return;
+  }
+  if (!isTicker(action.remove_ticker)) {
+    out.push({ path: `${path}.remove_ticker`, message: `is required for ${action.action} (paired reallocation)` });
+  } else if (isTicker(action.add_ticker) && action.remove_ticker.toUpperCase() === action.add_ticker.toUpperCase()) {
+    out.push({ path: `${path}.remove_ticker`, message: `equals add_ticker ${action.add_ticker}` });
+  }
+}
+
+// Violations of the contract in a parsed candidate answer, in field order.
+// size_change_pct is checked as the runner sees it after
+// normalize_trade_action_sizes, which takes the magnitude.
+export function validateOutput(doc, contract) {
+  const out = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return [{ path: '$', message: 'must be a JSON object' }];
+
+  if (doc.paper_only !== true) out.push({ path: 'paper_only', message: 'must be true' });
+  if (typeof doc.run_date !== 'string' || normStr(doc.run_date) !== contract.run_date) {
+    out.push({ path: 'run_date', message: `is ${JSON.stringify(doc.run_date)}; expected "${contract.run_date}"` });
+  }
+  if (typeof doc.fund_name !== 'string' || normStr(doc.fund_name) !== contract.fund_name) {
+    out.push({ path: 'fund_name', message: `is ${JSON.stringify(doc.fund_name)}; expected "${contract.fund_name}"` });
+  }
+
+  checkAction(doc.trade_of_the_day, 'trade_of_the_day', out);
+  if (!Array.isArray(doc.rebalance_actions)) {
+    out.push({ path: 'rebalance_actions', message: 'must be an array' });
+  } else {
+    doc.rebalance_actions.forEach((action, i) => {
+      const path = `rebalance_actions[${i}]`;
+      checkAction(action, path, out);
+      if (action && typeof action === 'object' && typeof action.size_change_pct !== 'number') {
+        out.push({ path: `${path}.size_change_pct`, message: 'must be a number' });
+      }
+    });
+  }
+
+  const check = doc.constraints_check || {};
+  for (const flag of ['max_position_ok', 'max_sector_ok', 'max_crypto_ok']) {
+    if (check[flag] !== true) out.push({ path: `constraints_check.${flag}`, message: 'must be true (and consistent with target_portfolio)' });
+  }
+
+  const portfolio = doc.target_portfolio;
+  if (!Array.isArray(portfolio) || portfolio.length === 0) {
+    out.push({ path: 'target_portfolio', message: 'must be a non-empty array' });
+    return out;
+  }
+  // Where each checkPortfolio code points in the document.
+  const field = { invalid_ticker: 'ticker', broad_index_etf: 'ticker', duplicate_ticker: 'ticker', missing_sector: 'sector' };
+  for (const v of checkPortfolio(portfolio, contract)) {
+    if (v.index == null) {
+      out.push({ path: 'target_portfolio', message: v.message });
+      continue;
+    }
+    const label = v.ticker ? `target_portfolio[${v.index}] (${v.ticker})` : `target_portfolio[${v.index}]`;
+    out.push({ path: `${label}.${field[v.code] || 'weight_pct'}`, message: v.message });
+  }
+  return out;
+}
+
+export function formatViolations(violations) {
+  return violations.map((v) => `- ${v.path}: ${v.message}`).join('\n');
+}
+
+// Prompt for a no-tools repair pass: the contract, the candidate and its exact
+// violations, without the (large) original assignment.
+export function buildRepairPrompt(candidate, violations, contract) {
+  return [
+    'Your JSON answer violates the output contract below. Return ONLY the corrected JSON object (no markdown, no prose, no code fences).',
+    'Change only what is needed to fix the listed violations; keep every other field, holding and rationale as it is.',
+    '',
+    'CONTRACT:',
+    `- run_date "${contract.run_date}", fund_name "${contract.fund_name}", paper_only true.`,
+    `- target_portfolio: exactly ${contract.positions} holdings, each weight_pct between ${contract.min_position_pct} and ${contract.max_position_pct}, weights summing to 100.`,
+    '- No CASH, UNKNOWN, duplicate or broad index ETF tickers; every holding needs a sector.',
+    `- Any single sector totals at most ${contract.max_sector_pct}; crypto holdings total at most ${contract.max_crypto_pct}.`,
+    `- trade_of_the_day and every rebalance_actions item: action one of ${ACTIONS.join(', ')}; Trim and Replace need both remove_ticker and add_ticker.`,
+    '- constraints_check.max_position_ok, max_sector_ok and max_crypto_ok must be true and match the portfolio.',
+    '',
+    'VIOLATIONS:',
+    formatViolations(violations),
+    '',
+    'CANDIDATE:',
+    JSON.stringify(candidate, null, 2),
+  ].join('\n');
+}
@@ -0,0 +1,166 @@
+// pack_diff.mjs — Day-over-day comparison of two arena input packs.
+// Reports what flipped since the lane's previous pack: symbols entering or
+// leaving the top/weakest momentum lists, MA50/MA200 crossovers, large moves in
+// the cross-sectional momentum rank, 63-bar drawdowns that deepened, and symbols
+// that started (or stopped) failing to fetch. Works across pack versions: v1
+// packs have no cross_section block, so ranks are recomputed from their features.
+import { existsSync } from 'node:fs';
+import { dirname, join, resolve, sep } from 'node:path';
+import { addDays } from './calendar.mjs';
+import { percentileRanks } from './cross_section.mjs';
+import { isDateStr } from './market_data.mjs';
+import { loadSuccessfulRuns } from './nav.mjs';
+
+// Percentile-point change in the momentum rank that counts as a large move.
+export const RANK_MOVE_THRESHOLD = 25;
+// Deepening of the 63-bar max drawdown, in percentage points, that counts as a new low.
+export const DRAWDOWN_STEP_PCT = 1;
+export const RANK_MOVE_FEATURE = 'momentum_composite_pct';
+
+// Entries listed per summary line; the JSON diff keeps them all.
+export const SUMMARY_MAX_ITEMS = 8;
+export const NO_CHANGES_SUMMARY = 'no list changes, MA crossovers, large rank moves, new drawdown lows or new failures';
+
+const MA_FLAGS = [['above_ma_50', 'MA50'], ['above_ma_200', 'MA200']];
+
+function round(v, decimals) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function tickers(rows) {
+  return Array.isArray(rows) ? rows.map((r) => r?.ticker).filter(Boolean) : [];
+}
+
+function listChange(before, after) {
+  return {
+    entered: after.filter((t) => !before.includes(t)),
+    exited: before.filter((t) => !after.includes(t)),
+  };
+}
+
+function succeeded(pack, ticker) {
+  return pack?.market_data?.[ticker]?.fetch_status === 'success';
+}
+
+// { ticker: pct_rank } across the pack's priced candidates, from its
+// cross_section block when present.
+export function momentumRanks(pack, feature = RANK_MOVE_FEATURE) {
+  const universe = (pack?.symbols?.candidates || []).filter((t) => succeeded(pack, t));
+  const byTicker = pack?.cross_section?.by_ticker;
+  if (byTicker) {
+    return Object.fromEntries(universe.map((t) => [t, byTicker[t]?.pct_rank?.[feature] ?? null]));
+  }
+  const ranks = percentileRanks(universe.map((t) => pack.market_data[t].features?.[feature] ?? null));
+  return Object.fromEntries(universe.map((t, i) => [t, ranks[i]]));
+}
+
+export function diffPacks(previous, current) {
+  const symbols = Object.keys(current?.market_data || {}).sort();
+  const pricedInBoth = symbols.filter((t) => succeeded(previous, t) && succeeded(current, t));
+
+  const maCrossovers = [];
+  for (const t of pricedInBoth) {
+    for (const [flag, label] of MA_FLAGS) {
+      const before = previous.market_data[t].features?.[flag];
+      const after = current.market_data[t].features?.[flag];
+      if (typeof before !== 'boolean' || typeof after !== 'boolean' || before === after) continue;
+      maCrossovers.push({ ticker: t, average: label, direction: after ? 'above' : 'below' });
+    }
+  }
+
+  const ranksBefore = momentumRanks(previous);
+  const ranksAfter = momentumRanks(current);
+  const rankMoves = Object.keys(ranksAfter)
+    .filter((t) => ranksBefore[t] != null && ranksAfter[t] != null)
+    .map((t) => ({ ticker: t, feature: RANK_MOVE_FEATURE, from: ranksBefore[t], to: ranksAfter[t], change: round(ranksAfter[t] - ranksBefore[t], 1) }))
+    .filter((m) => Math.abs(m.change) >= RANK_MOVE_THRESHOLD)
+    .sort((a, b) => (Math.abs(b.change) - Math.abs(a.change)) || a.ticker.localeCompare(b.ticker));
+
+  const newDrawdownLows = pricedInBoth
+    .map((t) => ({
+      ticker: t,
+      from: previous.market_data[t].features?.max_drawdown_63d_pct,
+      to: current.market_data[t].features?.max_drawdown_63d_pct,
+    }))
+    .filter((d) => Number.isFinite(d.from) && Number.isFinite(d.to) && d.to <= d.from - DRAWDOWN_STEP_PCT)
+    .sort((a, b) => (a.to - b.to) || a.ticker.localeCompare(b.ticker));
+
+  return {
+    previous_run_date: previous?.meta?.run_date || null,
+    previous_pack_version: previous?.meta?.pack_version || null,
+    momentum_lists: {
+      top: listChange(tickers(previous?.prompt_context?.top_momentum_candidates), tickers(current?.prompt_context?.top_momentum_candidates)),
+      weakest: listChange(tickers(previous?.prompt_context?.weakest_momentum_candidates), tickers(current?.prompt_context?.weakest_momentum_candidates)),
+    },
+    ma_crossovers: maCrossovers,
+    rank_moves: rankMoves,
+    new_drawdown_lows: newDrawdownLows,
+    newly_failing_symbols: symbols.filter((t) => succeeded(previous, t) && current.market_data[t].fetch_status === 'error'),
+    recovered_symbols: symbols.filter((t) => previous?.market_data?.[t]?.fetch_status === 'error' && succeeded(current, t)),
+    thresholds: {
+      rank_move_pct_points: RANK_MOVE_THRESHOLD,
+      drawdown_step_pct: DRAWDOWN_STEP_PCT,
+    },
+  };
+}
+
+function capped(items) {
+  if (items.length <= SUMMARY_MAX_ITEMS) return items.join(', ');
+  return `${items.slice(0, SUMMARY_MAX_ITEMS).join(', ')} (+${items.length - SUMMARY_MAX_ITEMS} more)`;
+}
+
+// One line per kind of change, empty when nothing flipped.
+export function diffSummaryLines(diff) {
+  const lines = [];
+  const listLine = (label, change) => {
+    if (change.entered.length === 0 && change.exited.length === 0) return;
+    const parts = [];
+    if (change.entered.length > 0) parts.push(`entered ${capped(change.entered)}`);
+    if (change.exited.length > 0) parts.push(`left ${capped(change.exited)}`);
+    lines.push(`${label}: ${parts.join('; ')}`);
+  };
+  listLine('Top momentum list', diff.momentum_lists.top);
+  listLine('Weakest momentum list', diff.momentum_lists.weakest);
+  if (diff.ma_crossovers.length > 0) {
+    lines.push(`MA crossovers: ${capped(diff.ma_crossovers.map((c) => `${c.ticker} ${c.direction} ${c.average}`))}`);
+  }
+  if (diff.rank_moves.length > 0) {
+    const moves = diff.rank_moves.map((m) => `${m.ticker} ${m.from}->${m.to} (${m.change > 0 ? '+' : ''}${m.change})`);
+    lines.push(`Momentum rank moves (>= ${diff.thresholds.rank_move_pct_points} pts): ${capped(moves)}`);
+  }
+  if (diff.new_drawdown_lows.length > 0) {
+    const lows = diff.new_drawdown_lows.map((d) => `${d.ticker} ${d.from.toFixed(2)}%->${d.to.toFixed(2)}%`);
+    lines.push(`New 63d drawdown lows: ${capped(lows)}`);
+  }
+  if (diff.newly_failing_symbols.length > 0) lines.push(`Newly failing symbols: ${diff.newly_failing_symbols.join(', ')}`);
+  if (diff.recovered_symbols.length > 0) lines.push(`Recovered symbols: ${diff.recovered_symbols.join(', ')}`);
+  return lines;
+}
+
+// Pack of the lane's latest successful run before the one packPath belongs to
+// (funds/<fund_id>/runs/<date>/<provider>/arena_input_pack.json), or null.
+export function findPreviousPack(packPath) {
+  const parts = resolve(packPath).split(sep);
+  const runsAt = parts.lastIndexOf('runs');
+  if (runsAt < 2 || parts.length < runsAt + 4) return null;
+  const fundsDir = parts.slice(0, runsAt - 1).join(sep) || sep;
+  const fundId = parts[runsAt - 1];
+  const runDate = parts[runsAt + 1];
+  const provider = parts[runsAt + 2];
+  if (!isDateStr(runDate)) return null;
+  const runs = loadSuccessfulRuns(fundsDir, fundId, provider, addDays(runDate, -1));
+  for (let i = runs.length - 1; i >= 0; i -= 1) {
+    const candidate = join(fundsDir, fundId, 'runs', runs[i].date, provider, 'arena_input_pack.json');
+    if (existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Pack next to a previous run's dexter_output.json, or null.
+export function packBesideOutput(outputPath) {
+  if (!outputPath) return null;
+  const candidate = join(dirname(resolve(outputPath)), 'arena_input_pack.json');
+  return existsSync(candidate) ? candidate : null;
+}
@@ -0,0 +1,146 @@
+// performance_metrics.mjs — Risk-adjusted statistics over a lane's daily NAV series.
+// Input points come from buildNavSeries in nav.mjs: { date, nav, benchmark_nav }.
+// Periodic returns are taken between consecutive points; annualization uses the
+// observed number of points per year, so equity (≈252) and 24/7 crypto (≈365)
+// grids both scale correctly.
+//
+// Risk-free: a price series (default BIL, a T-bill ETF) contributes its own return
+// over each interval. Tickers starting with "^" (e.g. ^IRX) are read as annualized
+// yields in percent and accrue by calendar days. Without risk-free data the
+// excess-return ratios fall back to a zero rate.
+import { closeOnOrBefore, dateMs } from './market_data.mjs';
+
+export const DEFAULT_RISK_FREE_TICKER = 'BIL';
+export const MIN_OBSERVATIONS = 20;
+
+function round2(v) {
+  return v == null || !Number.isFinite(v) ? null : Number(v.toFixed(2));
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+// Sample standard deviation.
+function stdev(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((a, x) => a + ((x - m) ** 2), 0) / (xs.length - 1));
+}
+
+function covariance(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sum = 0;
+  for (let i = 0; i < xs.length; i += 1) sum += (xs[i] - mx) * (ys[i] - my);
+  return sum / (xs.length - 1);
+}
+
+export function isYieldTicker(ticker) {
+  return String(ticker || '').startsWith('^');
+}
+
+function riskFreeReturn(chart, ticker, fromDate, toDate) {
+  if (!chart) return null;
+  const from = closeOnOrBefore(chart, fromDate);
+  if (!from) return null;
+  if (isYieldTicker(ticker)) {
+    const days = (dateMs(toDate) - dateMs(fromDate)) / 86400000;
+    return (from.close / 100) * (days / 365);
+  }
+  const to = closeOnOrBefore(chart, toDate);
+  return to ? (to.close / from.close) - 1 : null;
+}
+
+function drawdowns(navs) {
+  let peak = -Infinity;
+  let maxDd = 0;
+  let dd = 0;
+  for (const v of navs) {
+    if (v > peak) peak = v;
+    dd = (v / peak) - 1;
+    if (dd < maxDd) maxDd = dd;
+  }
+  return { max: maxDd * 100, current: dd * 100 };
+}
+
+export function emptyRiskMetrics(riskFreeTicker = null) {
+  return {
+    observations: 0,
+    annualized_volatility_pct: null,
+    sharpe_ratio: null,
+    sortino_ratio: null,
+    max_drawdown_pct: null,
+    current_drawdown_pct: null,
+    beta: null,
+    correlation: null,
+    tracking_error_pct: null,
+    information_ratio: null,
+    hit_rate_pct: null,
+    risk_free_ticker: riskFreeTicker,
+  };
+}
+
+// Metrics over `points` (oldest first). Ratios that need a dispersion estimate
+// stay null until MIN_OBSERVATIONS periodic returns are available; drawdowns are
+// reported from the first point.
+export function computeRiskMetrics(points, { riskFreeTicker = null, riskFreeChart = null } = {}) {
+  const usableRf = riskFreeChart ? riskFreeTicker : null;
+  if (!Array.isArray(points) || points.length === 0) return emptyRiskMetrics(usableRf);
+
+  const dd = drawdowns(points.map((p) => p.nav));
+  const out = {
+    ...emptyRiskMetrics(usableRf),
+    max_drawdown_pct: round2(dd.max),
+    current_drawdown_pct: round2(dd.current),
+  };
+
+  const fund = [];
+  const excessRf = [];
+  const pairs = [];
+  for (let i = 1; i < points.length; i += 1) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    const r = (cur.nav / prev.nav) - 1;
+    fund.push(r);
+    const rf = riskFreeReturn(riskFreeChart, riskFreeTicker, prev.date, cur.date) ?? 0;
+    excessRf.push(r - rf);
+    if (prev.benchmark_nav != null && cur.benchmark_nav != null) {
+      pairs.push({ fund: r, bench: (cur.benchmark_nav / prev.benchmark_nav) - 1 });
+    }
+  }
+  out.observations = fund.length;
+  if (fund.length < MIN_OBSERVATIONS) return out;
+
+  const spanDays = (dateMs(points[points.length - 1].date) - dateMs(points[0].date)) / 86400000;
+  const periodsPerYear = spanDays > 0 ? fund.length / (spanDays / 365.25) : 252;
+  const annualize = Math.sqrt(periodsPerYear);
+
+  const vol = stdev(fund);
+  out.annualized_volatility_pct = round2(vol * annualize * 100);
+
+  const excessMean = mean(excessRf);
+  const excessSd = stdev(excessRf);
+  if (excessSd > 0) out.sharpe_ratio = round2((excessMean / excessSd) * annualize);
+  const downside = Math.sqrt(mean(excessRf.map((x) => Math.min(0, x) ** 2)));
+  if (downside > 0) out.sortino_ratio = round2((excessMean / downside) * annualize);
+
+  if (pairs.length >= MIN_OBSERVATIONS) {
+    const f = pairs.map((p) => p.fund);
+    const b = pairs.map((p) => p.bench);
+    const active = pairs.map((p) => p.fund - p.bench);
+    const benchSd = stdev(b);
+    const fundSd = stdev(f);
+    const cov = covariance(f, b);
+    if (benchSd > 0) out.beta = round2(cov / (benchSd ** 2));
+    if (benchSd > 0 && fundSd > 0) out.correlation = round2(cov / (benchSd * fundSd));
+    const te = stdev(active);
+    if (te > 0) {
+      out.tracking_error_pct = round2(te * annualize * 100);
+      out.information_ratio = round2((mean(active) / te) * annualize);
+    }
+    out.hit_rate_pct = round2((active.filter((x) => x > 0).length / active.length) * 100);
+  }
+
+  return out;
+}
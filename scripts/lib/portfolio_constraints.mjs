@@ -0,0 +1,386 @@
+// portfolio_constraints.mjs — A lane's portfolio constraints as an importable check and optimizer.
+// Constraints come from fund.config.json with the runner's defaults:
+//   { "positions": 8, "min_position_pct": 2, "max_position_pct": 40,
+//     "max_sector_pct": 80, "max_crypto_pct": 10 }
+// (an output_contract.mjs contract has the same fields and works as well).
+// checkPortfolio is the portfolio half of run_fund_once.sh
+// validate_json_output (which calls it through check_portfolio_constraints.mjs)
+// and of output_contract's validateOutput, and checkRebalancePolicy is
+// validate_rebalance_policy. Both return violations
+// { code, ticker, observed, limit, message }, where ticker is null for
+// portfolio-wide checks; holding checks add the holding's `index`, and
+// sector_cap adds `sector` and `tickers`. projectWeights moves weights to the closest point, in the
+// least-squares sense, that meets the position bounds, sector caps and crypto
+// cap together; run_fund_once.sh uses it to auto-correct weights, and the
+// ensemble consensus to fit its mean weights.
+export const BROAD_INDEX_ETFS = ['SPY', 'IVV', 'VOO', 'VTI', 'QQQ', 'IWM', 'DIA', 'VT', 'ACWI', 'EFA', 'EEM', 'VEA', 'IEFA', 'IEMG'];
+export const CRYPTO_ETFS = [
+  'IBIT', 'FBTC', 'GBTC', 'ARKB', 'BITB', 'HODL', 'BTCO', 'BRRR', 'EZBC', 'BTCW', 'BITO',
+  'ETHA', 'ETHE', 'FETH', 'ETHW',
+];
+export const PORTFOLIO_CODES = [
+  'position_count', 'invalid_ticker', 'duplicate_ticker', 'broad_index_etf', 'missing_sector', 'invalid_weight',
+  'below_min_position', 'above_max_position', 'total_weight', 'sector_cap', 'crypto_cap',
+];
+// The codes projectWeights can fix; anything else needs a different holding.
+export const WEIGHT_CODES = ['below_min_position', 'above_max_position', 'total_weight', 'sector_cap', 'crypto_cap'];
+export const POLICY_CODES = [
+  'not_due_action', 'not_due_portfolio_changed', 'not_due_active_actions',
+  'catch_up_no_action', 'catch_up_unchanged', 'catch_up_no_active_actions',
+  'do_nothing_portfolio_changed', 'do_nothing_active_actions', 'no_weight_change', 'no_active_actions',
+  'missing_ticker', 'add_has_remove_ticker', 'add_not_increased', 'remove_not_decreased', 'unsupported_action',
+];
+
+// Same tolerances as validate_json_output and validate_rebalance_policy.
+// WEIGHT_TOLERANCE is the smallest weight change (pct points) that counts as a trade.
+const LIMIT_EPSILON = 0.0001;
+const TOTAL_WEIGHT_RANGE = [99.5, 100.5];
+export const WEIGHT_TOLERANCE = 0.01;
+const EPS = 1e-9;
+const MAX_PROJECTION_CYCLES = 20000;
+
+function round(v, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function upper(v) {
+  return String(v ?? '').trim().toUpperCase();
+}
+
+export function normStr(v) {
+  return String(v ?? '').replace(/\s+/g, ' ').trim();
+}
+
+export function sectorKey(sector) {
+  return normStr(sector).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+}
+
+// The runner's crypto test: stricter than portfolio_risk's isCryptoHolding,
+// because it also catches spot-crypto ETFs.
+export function isCryptoPosition(p) {
+  const ticker = String(p.ticker || '').toUpperCase();
+  return normStr(p.sector).toUpperCase().includes('CRYPTO')
+    || /-(USD|USDT)$/.test(ticker)
+    || CRYPTO_ETFS.includes(ticker)
+    || /(BTC|ETH)/.test(ticker);
+}
+
+export function resolveConstraints(config) {
+  const constraints = {
+    positions: Number(config?.positions ?? 0),
+    min_position_pct: Number(config?.min_position_pct ?? 2),
+    max_position_pct: Number(config?.max_position_pct ?? 0),
+    max_sector_pct: Number(config?.max_sector_pct ?? 0),
+    max_crypto_pct: Number(config?.max_crypto_pct ?? 10),
+  };
+  for (const [key, v] of Object.entries(constraints)) {
+    if (!Number.isFinite(v) || v < 0) throw new Error(`fund.config.json ${key} must be a non-negative number`);
+  }
+  if (!Number.isInteger(constraints.positions) || constraints.positions <= 0) {
+    throw new Error('fund.config.json positions must be a positive integer');
+  }
+  if (constraints.min_position_pct <= 0 || constraints.min_position_pct > constraints.max_position_pct) {
+    throw new Error('fund.config.json min_position_pct must be above 0 and at most max_position_pct');
+  }
+  if (constraints.max_crypto_pct > 100) throw new Error('fund.config.json max_crypto_pct must be at most 100');
+  return constraints;
+}
+
+function violation(code, ticker, observed, limit, message, extra = {}) {
+  return { code, ticker, observed, limit, message, ...extra };
+}
+
+// ---------------------------------------------------------------------------
+// Portfolio
+// ---------------------------------------------------------------------------
+
+// Violations of target_portfolio ([{ ticker, sector, weight_pct }]) in holding
+// order, then the portfolio-wide totals.
+export function checkPortfolio(portfolio, constraints) {
+  const out = [];
+  const holdings = Array.isArray(portfolio) ? portfolio : [];
+  if (holdings.length !== constraints.positions) {
+    out.push(violation('position_count', null, holdings.length, constraints.positions,
+      `target_portfolio has ${holdings.length} holdings; expected exactly ${constraints.positions}`));
+  }
+
+  const seen = new Set();
+  const weighted = [];
+  holdings.forEach((p, index) => {
+    const name = p?.ticker ?? null;
+    const hold = (code, observed, limit, message) => out.push(violation(code, name, observed, limit, message, { index }));
+    const ticker = typeof p?.ticker === 'string' ? p.ticker.toUpperCase() : null;
+    if (!ticker || ticker === 'UNKNOWN' || ticker === 'CASH') {
+      hold('invalid_ticker', name, null, `ticker ${JSON.stringify(name)} is not allowed (a real ticker is required, no CASH or UNKNOWN)`);
+    } else if (BROAD_INDEX_ETFS.includes(ticker)) {
+      hold('broad_index_etf', name, null, `${name} is a broad index ETF, which is not allowed`);
+    } else if (seen.has(ticker)) {
+      hold('duplicate_ticker', name, null, `${name} is held more than once`);
+    } else {
+      seen.add(ticker);
+    }
+    const sector = typeof p?.sector === 'string' ? normStr(p.sector) : '';
+    if (!sector || sector.toUpperCase() === 'UNKNOWN') {
+      hold('missing_sector', p?.sector ?? null, null, `${name ?? 'holding'} needs a sector name (got ${JSON.stringify(p?.sector ?? null)})`);
+    }
+    if (typeof p?.weight_pct !== 'number' || !Number.isFinite(p.weight_pct)) {
+      hold('invalid_weight', p?.weight_pct ?? null, null, `${name ?? 'holding'} weight_pct must be a number`);
+      return;
+    }
+    if (p.weight_pct < constraints.min_position_pct - LIMIT_EPSILON) {
+      hold('below_min_position', p.weight_pct, constraints.min_position_pct,
+        `${name} weight ${p.weight_pct} is below min_position_pct ${constraints.min_position_pct}`);
+    }
+    if (p.weight_pct > constraints.max_position_pct + LIMIT_EPSILON) {
+      hold('above_max_position', p.weight_pct, constraints.max_position_pct,
+        `${name} weight ${p.weight_pct} exceeds max_position_pct ${constraints.max_position_pct}`);
+    }
+    weighted.push(p);
+  });
+  if (weighted.length === 0 || weighted.length < holdings.length) return out;
+
+  const total = round(weighted.reduce((s, p) => s + p.weight_pct, 0), 4);
+  if (total < TOTAL_WEIGHT_RANGE[0] || total > TOTAL_WEIGHT_RANGE[1]) {
+    out.push(violation('total_weight', null, total, 100, `weights sum to ${total}; expected 100 (${TOTAL_WEIGHT_RANGE.join('-')})`));
+  }
+
+  const bySector = new Map();
+  for (const p of weighted) {
+    const key = sectorKey(p.sector);
+    const entry = bySector.get(key) || { sector: normStr(p.sector), weight: 0, tickers: [] };
+    entry.weight += p.weight_pct;
+    entry.tickers.push(p.ticker);
+    bySector.set(key, entry);
+  }
+  for (const { sector, weight, tickers } of bySector.values()) {
+    if (weight > constraints.max_sector_pct + LIMIT_EPSILON) {
+      out.push(violation('sector_cap', null, round(weight, 4), constraints.max_sector_pct,
+        `sector "${sector}" (${tickers.join(', ')}) totals ${round(weight, 4)}; max_sector_pct is ${constraints.max_sector_pct}`,
+        { sector, tickers }));
+    }
+  }
+
+  const crypto = weighted.filter(isCryptoPosition);
+  const cryptoWeight = round(crypto.reduce((s, p) => s + p.weight_pct, 0), 4);
+  if (cryptoWeight > constraints.max_crypto_pct + LIMIT_EPSILON) {
+    out.push(violation('crypto_cap', null, cryptoWeight, constraints.max_crypto_pct,
+      `crypto holdings (${crypto.map((p) => p.ticker).join(', ')}) total ${cryptoWeight}; max_crypto_pct is ${constraints.max_crypto_pct}`,
+      { tickers: crypto.map((p) => p.ticker) }));
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Rebalance policy
+// ---------------------------------------------------------------------------
+
+// Map of upper-cased ticker -> weight_pct; unusable entries are skipped.
+export function weightsByTicker(portfolio) {
+  const map = new Map();
+  for (const item of portfolio || []) {
+    if (!item || typeof item.ticker !== 'string') continue;
+    const ticker = upper(item.ticker);
+    const weight = Number(item.weight_pct || 0);
+    if (!ticker || !Number.isFinite(weight)) continue;
+    map.set(ticker, weight);
+  }
+  return map;
+}
+
+// Violations of the rebalance cadence and of the trades against the weight
+// deltas between previous and current (parsed outputs). rebalanceDue and
+// mustRebalanceToday are the runner's cadence flags. The first violation is
+// the one validate_rebalance_policy reports; each later one assumes the
+// earlier ones were fixed.
+export function checkRebalancePolicy(previous, current, { rebalanceDue = true, mustRebalanceToday = false } = {}) {
+  const out = [];
+  const prevMap = weightsByTicker(previous?.target_portfolio);
+  const currMap = weightsByTicker(current?.target_portfolio);
+  const deltas = new Map(
+    [...new Set([...prevMap.keys(), ...currMap.keys()])]
+      .map((ticker) => [ticker, round((currMap.get(ticker) ?? 0) - (prevMap.get(ticker) ?? 0), 4)]),
+  );
+  const changed = [...deltas.values()].filter((d) => Math.abs(d) > WEIGHT_TOLERANCE).length;
+  const action = String(current?.trade_of_the_day?.action || '').trim();
+  const addTicker = upper(current?.trade_of_the_day?.add_ticker);
+  const removeTicker = upper(current?.trade_of_the_day?.remove_ticker);
+  const active = (Array.isArray(current?.rebalance_actions) ? current.rebalance_actions : [])
+    .filter((a) => String(a?.action || '').trim() !== 'Do nothing');
+
+  const fail = (code, ticker, observed, limit, message) => out.push(violation(code, ticker || null, observed, limit, message));
+  const delta = (ticker) => deltas.get(ticker) ?? 0;
+  const mustIncrease = (ticker, message) => {
+    if (delta(ticker) <= WEIGHT_TOLERANCE) fail('add_not_increased', ticker, delta(ticker), WEIGHT_TOLERANCE, message);
+  };
+  const mustDecrease = (ticker, message) => {
+    if (delta(ticker) >= -WEIGHT_TOLERANCE) fail('remove_not_decreased', ticker, delta(ticker), -WEIGHT_TOLERANCE, message);
+  };
+
+  if (!rebalanceDue) {
+    if (action !== 'Do nothing') fail('not_due_action', null, action, 'Do nothing', 'Rebalance cadence not due yet: action must be "Do nothing".');
+    if (changed > 0) fail('not_due_portfolio_changed', null, changed, 0, 'Rebalance cadence not due yet: target_portfolio must remain unchanged.');
+    if (active.length > 0) {
+      fail('not_due_active_actions', null, active.length, 0, 'Rebalance cadence not due yet: rebalance_actions must be empty (or only "Do nothing").');
+    }
+    return out;
+  }
+
+  if (mustRebalanceToday) {
+    if (action === 'Do nothing') {
+      fail('catch_up_no_action', null, action, 'Add, Trim or Replace', 'Previous scheduled rebalance failed: this run must perform at least one active rebalance action.');
+    }
+    if (changed === 0) fail('catch_up_unchanged', null, 0, 1, 'Previous scheduled rebalance failed: target_portfolio must change on this catch-up rebalance run.');
+    if (active.length === 0) {
+      fail('catch_up_no_active_actions', null, 0, 1, 'Previous scheduled rebalance failed: rebalance_actions must include at least one active action.');
+    }
+  }
+
+  if (action === 'Do nothing') {
+    if (changed > 0) fail('do_nothing_portfolio_changed', null, changed, 0, 'Action "Do nothing" requires an unchanged target_portfolio.');
+    if (active.length > 0) {
+      fail('do_nothing_active_actions', null, active.length, 0, 'When headline action is "Do nothing", rebalance_actions cannot include active trades.');
+    }
+    return out;
+  }
+
+  if (changed === 0) fail('no_weight_change', null, 0, 1, `Action "${action}" requires at least one portfolio weight change.`);
+  if (active.length === 0) {
+    fail('no_active_actions', null, 0, 1, 'Rebalance due today with portfolio changes: rebalance_actions must include at least one active action.');
+  }
+
+  if (action === 'Add') {
+    if (!addTicker) fail('missing_ticker', null, null, null, 'Action "Add" requires add_ticker.');
+    if (removeTicker) fail('add_has_remove_ticker', removeTicker, removeTicker, null, 'Action "Add" must not set remove_ticker.');
+    if (addTicker) mustIncrease(addTicker, 'Action "Add" requires add_ticker weight to increase vs prior portfolio.');
+    return out;
+  }
+
+  const paired = action === 'Trim' || action === 'Replace';
+  if (paired && (!addTicker || !removeTicker)) {
+    fail('missing_ticker', null, null, null, `Action "${action}" requires both add_ticker and remove_ticker.`);
+  } else if (paired) {
+    mustDecrease(removeTicker, `Action "${action}" requires remove_ticker weight to decrease vs prior portfolio.`);
+    mustIncrease(addTicker, `Action "${action}" requires add_ticker weight to increase vs prior portfolio.`);
+  }
+
+  for (const item of active) {
+    const type = String(item?.action || '').trim();
+    const add = upper(item?.add_ticker);
+    const remove = upper(item?.remove_ticker);
+    if (type === 'Add') {
+      if (!add) fail('missing_ticker', null, null, null, 'rebalance_actions Add is not reflected in portfolio deltas for ticker UNKNOWN.');
+      else mustIncrease(add, `rebalance_actions Add is not reflected in portfolio deltas for ticker ${add}.`);
+    } else if (type === 'Trim' || type === 'Replace') {
+      if (!add || !remove) {
+        fail('missing_ticker', null, null, null, `rebalance_actions ${type} requires add_ticker and remove_ticker.`);
+        continue;
+      }
+      mustDecrease(remove, `rebalance_actions ${type} requires remove_ticker ${remove} to decrease vs prior portfolio.`);
+      mustIncrease(add, `rebalance_actions ${type} requires add_ticker ${add} to increase vs prior portfolio.`);
+    }
+  }
+  if (!paired) {
+    fail('unsupported_action', null, action, 'Add, Trim, Replace or Do nothing', `Unsupported trade_of_the_day.action for rebalance policy validation: "${action}"`);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Projection
+// ---------------------------------------------------------------------------
+
+// Capped groups of holding indices: one per sector, plus the crypto holdings.
+function capGroups(holdings, constraints) {
+  const bySector = new Map();
+  holdings.forEach((h, i) => bySector.set(sectorKey(h.sector), [...(bySector.get(sectorKey(h.sector)) || []), i]));
+  const groups = [...bySector.values()].map((members) => ({ members, cap: constraints.max_sector_pct }));
+  const crypto = holdings.map((h, i) => (isCryptoPosition(h) ? i : -1)).filter((i) => i >= 0);
+  if (crypto.length > 0) groups.push({ members: crypto, cap: constraints.max_crypto_pct });
+  return groups;
+}
+
+function fits(w, groups, { min_position_pct: minPct, max_position_pct: maxPct }, tolerance) {
+  return Math.abs(w.reduce((s, v) => s + v, 0) - 100) <= tolerance
+    && w.every((v) => v >= minPct - tolerance && v <= maxPct + tolerance)
+    && groups.every((g) => g.members.reduce((s, i) => s + w[i], 0) <= g.cap + tolerance);
+}
+
+// Weights (2 decimals, summing to exactly 100) for holdings
+// [{ ticker, sector, weight_pct }] that meet the position bounds, every sector
+// cap and the crypto cap, as close as possible to the given weights (least
+// squares), or null when no such weights exist. Weights already within the
+// limits and summing to 100 come back unchanged (up to rounding). Dykstra's
+// alternating projections onto the box, the sum and each group cap converge to
+// the exact projection onto their intersection, which a crypto holding counted
+// in both its sector and the crypto cap needs.
+export function projectWeights(holdings, constraints) {
+  const n = holdings.length;
+  const { min_position_pct: minPct, max_position_pct: maxPct } = constraints;
+  const groups = capGroups(holdings, constraints);
+  if (n === 0 || n * minPct > 100 + EPS || n * maxPct < 100 - EPS) return null;
+  if (groups.some((g) => g.members.length * minPct > g.cap + EPS)) return null;
+
+  const sets = [
+    (y) => y.map((v) => Math.min(maxPct, Math.max(minPct, v))),
+    (y) => {
+      const shift = (100 - y.reduce((s, v) => s + v, 0)) / n;
+      return y.map((v) => v + shift);
+    },
+    ...groups.map(({ members, cap }) => (y) => {
+      const over = members.reduce((s, i) => s + y[i], 0) - cap;
+      if (over <= 0) return y;
+      const out = [...y];
+      for (const i of members) out[i] -= over / members.length;
+      return out;
+    }),
+  ];
+  let w = holdings.map((h) => Number(h.weight_pct) || 0);
+  const increments = sets.map(() => new Array(n).fill(0));
+  for (let cycle = 0; cycle < MAX_PROJECTION_CYCLES; cycle += 1) {
+    const start = w;
+    sets.forEach((project, k) => {
+      const y = w.map((v, i) => v + increments[k][i]);
+      w = project(y);
+      increments[k] = y.map((v, i) => v - w[i]);
+    });
+    const moved = w.reduce((s, v, i) => Math.max(s, Math.abs(v - start[i])), 0);
+    if (moved < EPS && fits(w, groups, constraints, 1e-7)) break;
+  }
+  if (!fits(w, groups, constraints, 1e-6)) return null;
+
+  // Basis points: round down, then settle the remainder by largest (or, when
+  // over, smallest) fraction among holdings that stay within every limit.
+  const exact = w.map((v) => Math.min(maxPct, Math.max(minPct, v)) * 100);
+  const bp = exact.map((v) => Math.floor(v + 1e-6));
+  const groupBp = (g) => g.members.reduce((s, j) => s + bp[j], 0);
+  const canAdd = (i) => bp[i] + 1 <= Math.round(maxPct * 100)
+    && groups.every((g) => !g.members.includes(i) || groupBp(g) + 1 <= Math.round(g.cap * 100));
+  const canRemove = (i) => bp[i] - 1 >= Math.round(minPct * 100);
+  const order = holdings.map((_, i) => i)
+    .sort((a, b) => (exact[b] - bp[b]) - (exact[a] - bp[a]) || upper(holdings[a].ticker).localeCompare(upper(holdings[b].ticker)));
+  let left = 10000 - bp.reduce((s, v) => s + v, 0);
+  while (left !== 0) {
+    const i = left > 0 ? order.find(canAdd) : [...order].reverse().find(canRemove);
+    if (i == null) return null;
+    bp[i] += Math.sign(left);
+    left -= Math.sign(left);
+    order.push(order.splice(order.indexOf(i), 1)[0]);
+  }
+  const weights = bp.map((v) => v / 100);
+  return fits(weights, groups, constraints, EPS) ? weights : null;
+}
+
+// target_portfolio with projected weights, plus the changes made, or null
+// when a violation other than a WEIGHT_CODES one stands in the way or the
+// limits cannot be met. Returns { portfolio, changes: [{ ticker, from, to }] }.
+export function projectPortfolio(portfolio, constraints) {
+  if (checkPortfolio(portfolio, constraints).some((v) => !WEIGHT_CODES.includes(v.code))) return null;
+  const weights = projectWeights(portfolio, constraints);
+  if (!weights) return null;
+  const projected = portfolio.map((p, i) => ({ ...p, weight_pct: weights[i] }));
+  const changes = portfolio
+    .map((p, i) => ({ ticker: p.ticker, from: p.weight_pct, to: weights[i] }))
+    .filter((c) => Math.abs(c.to - c.from) > EPS);
+  return { portfolio: projected, changes };
+}
@@ -0,0 +1,144 @@
+// portfolio_risk.mjs — Ex-ante risk of a lane's target portfolio from the
+// pack's bar history.
+// Holdings are aligned on the dates every priced holding has a close (so a 24/7
+// asset's weekend moves fold into its Monday return, as in cross_section.mjs),
+// and the portfolio is held at constant weights over the last RISK_WINDOW_BARS
+// returns. Unpriced holdings are left out and the remaining weights rescaled;
+// priced_weight_pct says how much of the book the figures cover.
+//
+// Series inputs are arrays of { date, close }, oldest first.
+import { alignedReturns } from './cross_section.mjs';
+
+export const RISK_WINDOW_BARS = 252;
+// Fewer aligned returns than this leaves the statistics null.
+export const MIN_RISK_OBSERVATIONS = 60;
+export const VAR_CONFIDENCE_LEVELS = [95, 99];
+export const TOP_RISK_CONTRIBUTORS = 5;
+const PERIODS_PER_YEAR = 252;
+
+function round(v, decimals) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+// Same rule as the runner's crypto cap: sector "Crypto" or a *-USD / *-USDT ticker.
+export function isCryptoHolding(h) {
+  return String(h.sector || '').trim().toLowerCase() === 'crypto' || /-USDT?$/i.test(h.ticker);
+}
+
+// Dates every series has, oldest first.
+function commonDates(seriesList) {
+  let dates = null;
+  for (const series of seriesList) {
+    const have = new Set(series.filter((b) => b.close > 0).map((b) => b.date));
+    dates = dates ? dates.filter((d) => have.has(d)) : [...have].sort();
+  }
+  return dates || [];
+}
+
+// Historical 1-day VaR and CVaR as positive loss percentages: the k-th worst
+// return and the mean of the k worst, k = floor(n × (1 - confidence)), at least 1.
+function historicalTail(returns, confidence) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const k = Math.max(1, Math.floor(sorted.length * (1 - (confidence / 100))));
+  return {
+    var_pct: round(-sorted[k - 1] * 100, 3),
+    cvar_pct: round(-mean(sorted.slice(0, k)) * 100, 3),
+  };
+}
+
+function exposures(holdings, total) {
+  const bySector = new Map();
+  for (const h of holdings) {
+    const sector = String(h.sector || '').trim() || 'Unknown';
+    bySector.set(sector, (bySector.get(sector) || 0) + h.weight_pct);
+  }
+  const sectorExposure = [...bySector.entries()]
+    .map(([sector, w]) => ({ sector, weight_pct: round((w / total) * 100, 2) }))
+    .sort((a, b) => (b.weight_pct - a.weight_pct) || a.sector.localeCompare(b.sector));
+  const crypto = holdings.filter(isCryptoHolding).reduce((s, h) => s + h.weight_pct, 0);
+  return { sector_exposure: sectorExposure, crypto_exposure_pct: round((crypto / total) * 100, 2) };
+}
+
+// holdings = [{ ticker, weight_pct, sector }]; seriesByTicker and
+// benchmarkSeries ({ ticker: bars }) hold closes in one currency.
+export function portfolioRisk(holdings, seriesByTicker, benchmarkSeries, { window = RISK_WINDOW_BARS } = {}) {
+  const total = holdings.reduce((s, h) => s + h.weight_pct, 0);
+  const priced = holdings.filter((h) => (seriesByTicker[h.ticker]?.length || 0) > 1);
+  const pricedWeight = priced.reduce((s, h) => s + h.weight_pct, 0);
+  const dates = commonDates(priced.map((h) => seriesByTicker[h.ticker])).slice(-(window + 1));
+  const n = Math.max(0, dates.length - 1);
+
+  const out = {
+    window_bars: window,
+    observations: n,
+    start_date: n > 0 ? dates[0] : null,
+    end_date: n > 0 ? dates[dates.length - 1] : null,
+    priced_tickers: priced.map((h) => h.ticker),
+    unpriced: holdings.filter((h) => !priced.includes(h)).map((h) => h.ticker),
+    priced_weight_pct: total > 0 ? round((pricedWeight / total) * 100, 2) : null,
+    annualized_vol_pct: null,
+    var_1d: null,
+    beta: {},
+    top_risk_contributors: [],
+    ...exposures(holdings, total || 1),
+  };
+  if (n < MIN_RISK_OBSERVATIONS || !(pricedWeight > 0)) return out;
+
+  // returns[i][t] for holding i on the aligned grid.
+  const weights = priced.map((h) => h.weight_pct / pricedWeight);
+  const returns = priced.map((h) => {
+    const close = new Map(seriesByTicker[h.ticker].map((b) => [b.date, b.close]));
+    return dates.slice(1).map((d, t) => (close.get(d) / close.get(dates[t])) - 1);
+  });
+  const portfolio = dates.slice(1).map((_, t) => weights.reduce((s, w, i) => s + (w * returns[i][t]), 0));
+
+  const means = returns.map(mean);
+  const cov = returns.map((ri, i) => returns.map((rj, j) => (
+    ri.reduce((s, v, t) => s + ((v - means[i]) * (rj[t] - means[j])), 0) / (n - 1)
+  )));
+  const covTimesW = cov.map((row) => row.reduce((s, c, j) => s + (c * weights[j]), 0));
+  const variance = weights.reduce((s, w, i) => s + (w * covTimesW[i]), 0);
+  const sigma = Math.sqrt(variance);
+  const annualize = Math.sqrt(PERIODS_PER_YEAR);
+  out.annualized_vol_pct = round(sigma * annualize * 100, 2);
+
+  out.var_1d = Object.fromEntries(VAR_CONFIDENCE_LEVELS.map((c) => [String(c), historicalTail(portfolio, c)]));
+
+  let level = 1;
+  const portfolioSeries = dates.map((date, t) => {
+    if (t > 0) level *= 1 + portfolio[t - 1];
+    return { date, close: level };
+  });
+  for (const [ticker, bars] of Object.entries(benchmarkSeries)) {
+    const { a: rp, b: rb } = alignedReturns(portfolioSeries, bars, window);
+    if (rp.length < MIN_RISK_OBSERVATIONS) {
+      out.beta[ticker] = null;
+      continue;
+    }
+    const mp = mean(rp);
+    const mb = mean(rb);
+    const covPB = rp.reduce((s, v, t) => s + ((v - mp) * (rb[t] - mb)), 0);
+    const varB = rb.reduce((s, v) => s + ((v - mb) ** 2), 0);
+    out.beta[ticker] = varB > 0 ? round(covPB / varB, 3) : null;
+  }
+
+  // Euler decomposition: w_i × (Σw)_i / σ sums to σ.
+  out.top_risk_contributors = sigma > 0
+    ? priced
+      .map((h, i) => ({
+        ticker: h.ticker,
+        weight_pct: round(weights[i] * 100, 2),
+        marginal_vol_pct: round((covTimesW[i] / sigma) * annualize * 100, 2),
+        risk_contribution_pct: round(((weights[i] * covTimesW[i]) / variance) * 100, 2),
+      }))
+      .sort((a, b) => (b.risk_contribution_pct - a.risk_contribution_pct) || a.ticker.localeCompare(b.ticker))
+      .slice(0, TOP_RISK_CONTRIBUTORS)
+    : [];
+  return out;
+}
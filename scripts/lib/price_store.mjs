@@ -0,0 +1,308 @@
+// price_store.mjs — Incremental, append-only daily price history for NAV scripts.
+// One file per symbol under funds/arena/prices/<SYMBOL>.json. Each call only
+// fetches the bars after the last stored session (plus a small overlap), so
+// re-running a NAV script for a past date needs no network at all and can never
+// produce a different answer because the upstream source revised its history.
+//
+// Rules:
+//   - Stored bars are never rewritten. New bars are scaled onto the stored basis
+//     using the median stored/fetched ratio over the overlap, which absorbs the
+//     uniform re-basing Yahoo applies to adjclose after every dividend or split.
+//   - Overlap bars that disagree beyond that uniform factor are logged as
+//     revisions (in the file and on stderr); the stored value is kept.
+//   - Bars dated today (UTC) or later are served from memory only, because they
+//     may still be live.
+//   - Dividend and split events are appended the same way (dividend amounts on
+//     the stored close basis), and both the price-return and the total-return
+//     series are rebuilt from the stored closes and events on every read.
+//
+// PRICE_STORE_DIR overrides the directory; PRICE_STORE_DIR=off disables the
+// store. Provider lists that do not start with yahoo (fixture, replay, stooq)
+// bypass the store unless a directory is given explicitly, so offline tests
+// never touch tracked files. Series report the provenance of the fetch that
+// updated them, or source "store" when no fetch was needed.
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  buildReturnSeries,
+  dateFromTs,
+  dateMs,
+  DEFAULT_RETURN_BASIS,
+  fetchChartResult,
+  loadCloseSeries,
+  parseChartBars,
+  symbolFileName,
+} from './market_data.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_DIR = join(__dirname, '..', '..', 'funds', 'arena', 'prices');
+
+const OVERLAP_DAYS = 10;
+const REVISION_TOLERANCE = 0.0005; // 5 bp relative difference after re-basing
+const MAX_REVISIONS = 200;
+const PRICE_FIELDS = ['close', 'adjclose'];
+
+function todayUtc() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function epochOf(dateStr) {
+  return Math.floor(dateMs(dateStr) / 1000);
+}
+
+function roundPrice(v) {
+  return Number(v.toPrecision(10));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function positive(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v > 0;
+}
+
+function readStoreFile(file) {
+  if (!existsSync(file)) return { doc: null, text: '' };
+  try {
+    const text = readFileSync(file, 'utf8');
+    const doc = JSON.parse(text);
+    return Array.isArray(doc?.bars) ? { doc, text } : { doc: null, text };
+  } catch {
+    return { doc: null, text: '' };
+  }
+}
+
+// One bar per line keeps daily appends readable in git diffs.
+function renderStoreDoc(doc) {
+  const { bars, revisions, ...head } = doc;
+  const lines = Object.entries(head).map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)}`);
+  lines.push(`  "bars": [${bars.length ? `\n${bars.map((b) => `    ${JSON.stringify(b)}`).join(',\n')}\n  ` : ''}]`);
+  lines.push(`  "revisions": [${revisions.length ? `\n${revisions.map((r) => `    ${JSON.stringify(r)}`).join(',\n')}\n  ` : ''}]`);
+  return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+function writeStoreFile(file, doc, previousText) {
+  const text = renderStoreDoc(doc);
+  if (text === previousText) return;
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.tmp-${process.pid}`;
+  writeFileSync(tmp, text);
+  renameSync(tmp, file);
+}
+
+function metaSubset(meta, resolvedSymbol) {
+  const out = { symbol: resolvedSymbol };
+  if (meta?.currency) out.currency = meta.currency;
+  if (meta?.instrumentType) out.instrumentType = meta.instrumentType;
+  if (meta?.exchangeName) out.exchangeName = meta.exchangeName;
+  return out;
+}
+
+function storedBar(bar) {
+  return {
+    date: bar.date,
+    close: positive(bar.price_close) ? bar.price_close : null,
+    adjclose: positive(bar.adjclose) ? bar.adjclose : null,
+    volume: bar.volume ?? null,
+  };
+}
+
+function storedEvents(doc) {
+  return {
+    dividends: Array.isArray(doc?.events?.dividends) ? doc.events.dividends : [],
+    splits: Array.isArray(doc?.events?.splits) ? doc.events.splits : [],
+  };
+}
+
+// Append fetched events not yet stored; dividends are rescaled with the closes.
+function mergeFetchedEvents(stored, fetched, { closeScale, today }) {
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  const known = (list) => new Set(list.map((ev) => ev.date));
+  const dividendDates = known(stored.dividends);
+  const splitDates = known(stored.splits);
+  const dividends = fetched.dividends
+    .filter((ev) => !dividendDates.has(ev.date) && ev.date < today)
+    .map((ev) => ({ date: ev.date, amount: roundPrice(ev.amount * closeScale) }));
+  const splits = fetched.splits.filter((ev) => !splitDates.has(ev.date) && ev.date < today);
+  if (dividends.length === 0 && splits.length === 0) return stored;
+  return {
+    dividends: [...stored.dividends, ...dividends].sort(byDate),
+    splits: [...stored.splits, ...splits].sort(byDate),
+  };
+}
+
+// Merge freshly fetched bars into the stored history without touching stored bars.
+// Returns { bars, live, revisions } where `live` holds today's (unpersisted) bars.
+function mergeFetchedBars(storedBars, fetchedBars, { today, ticker }) {
+  const byDate = new Map(storedBars.map((b) => [b.date, b]));
+  const fetched = fetchedBars.map(storedBar);
+
+  const scale = {};
+  for (const field of PRICE_FIELDS) {
+    const ratios = [];
+    for (const f of fetched) {
+      const s = byDate.get(f.date);
+      if (s && positive(s[field]) && positive(f[field])) ratios.push(s[field] / f[field]);
+    }
+    scale[field] = median(ratios) ?? 1;
+  }
+
+  const revisions = [];
+  for (const f of fetched) {
+    const s = byDate.get(f.date);
+    if (!s) continue;
+    for (const field of PRICE_FIELDS) {
+      if (!positive(s[field]) || !positive(f[field])) continue;
+      const rebased = f[field] * scale[field];
+      if (Math.abs(rebased - s[field]) / s[field] <= REVISION_TOLERANCE) continue;
+      revisions.push({
+        detected_on: today,
+        date: f.date,
+        field,
+        stored: s[field],
+        fetched: roundPrice(rebased),
+      });
+    }
+  }
+  for (const r of revisions) {
+    process.stderr.write(`price_store: ${ticker} ${r.date} ${r.field} revised upstream (stored ${r.stored}, source ${r.fetched}); keeping stored value\n`);
+  }
+
+  const scaled = (f) => ({
+    date: f.date,
+    close: positive(f.close) ? roundPrice(f.close * scale.close) : null,
+    adjclose: positive(f.adjclose) ? roundPrice(f.adjclose * scale.adjclose) : null,
+    volume: f.volume,
+  });
+  const additions = fetched.filter((f) => !byDate.has(f.date) && f.date < today).map(scaled);
+  const live = fetched.filter((f) => f.date >= today).map(scaled);
+  const bars = additions.length
+    ? [...storedBars, ...additions].sort((a, b) => a.date.localeCompare(b.date))
+    : storedBars;
+  return { bars, live, revisions, closeScale: scale.close };
+}
+
+// Same shape as market_data.loadCloseSeries.
+const STORE_PROVENANCE = { source: 'store', failed_over_from: [], cross_check: null };
+
+function toCloseSeries(doc, extraBars, period1, period2, basis, provenance = STORE_PROVENANCE) {
+  const rows = [];
+  for (const bar of [...doc.bars, ...extraBars]) {
+    const ts = epochOf(bar.date);
+    if (Number.isFinite(period1) && ts < period1) continue;
+    if (Number.isFinite(period2) && ts >= period2) continue;
+    if (!positive(bar.close)) continue;
+    rows.push({ date: bar.date, close: bar.close });
+  }
+  if (rows.length === 0) return null;
+  const series = buildReturnSeries(rows, storedEvents(doc));
+  return {
+    symbol: doc.meta?.symbol || doc.ticker,
+    meta: doc.meta || {},
+    dates: rows.map((r) => r.date),
+    closes: basis === 'price' ? series.price : series.total,
+    basis,
+    series: { price: series.price, total: series.total },
+    events: series.events,
+    provenance,
+  };
+}
+
+export function resolvePriceStoreDir(marketData, options = {}) {
+  const raw = String(options.dir ?? process.env.PRICE_STORE_DIR ?? '').trim();
+  if (raw.toLowerCase() === 'off') return null;
+  if (raw) return resolve(raw);
+  return marketData.name.split(',')[0] === 'yahoo' ? DEFAULT_STORE_DIR : null;
+}
+
+// Returns an object with the same loadCloseSeries(ticker, { period1, period2 }, { basis })
+// contract as market_data.mjs, backed by the on-disk history when enabled.
+export function createPriceStore(marketData, options = {}) {
+  const dir = resolvePriceStoreDir(marketData, options);
+  if (!dir) {
+    return {
+      name: marketData.name,
+      dir: null,
+      loadCloseSeries: (ticker, window, opts) => loadCloseSeries(marketData, ticker, window, opts),
+    };
+  }
+
+  const today = options.today || todayUtc();
+
+  async function loadStoredSeries(ticker, { period1, period2 }, { basis = DEFAULT_RETURN_BASIS } = {}) {
+    const file = join(dir, `${symbolFileName(ticker)}.json`);
+    const { doc: existing, text } = readStoreFile(file);
+    const startDate = dateFromTs(period1);
+    const lastNeeded = dateFromTs(period2 - 1);
+
+    const needBackfill = !existing || startDate < existing.coverage_start;
+    const needForward = !existing || lastNeeded > existing.checked_through;
+    if (!needBackfill && !needForward) return toCloseSeries(existing, [], period1, period2, basis);
+
+    const doc = existing || {
+      ticker,
+      meta: {},
+      coverage_start: startDate,
+      checked_through: null,
+      events: { dividends: [], splits: [] },
+      bars: [],
+      revisions: [],
+    };
+    const lastStored = doc.bars.length ? doc.bars[doc.bars.length - 1].date : null;
+    const firstStored = doc.bars.length ? doc.bars[0].date : null;
+    const nowEpoch = Math.floor(Date.now() / 1000);
+
+    let fetchStart = period1;
+    if (!needBackfill && lastStored) fetchStart = epochOf(addDays(lastStored, -OVERLAP_DAYS));
+    let fetchEnd = period2;
+    if (needBackfill && firstStored) fetchEnd = Math.max(period2, epochOf(addDays(firstStored, OVERLAP_DAYS)));
+    fetchEnd = Math.min(nowEpoch, fetchEnd);
+
+    let fetched;
+    try {
+      const { resolvedSymbol, result, provenance } = await fetchChartResult(marketData, ticker, { period1: fetchStart, period2: fetchEnd });
+      fetched = { resolvedSymbol, provenance, ...parseChartBars(result) };
+    } catch (err) {
+      if (!existing) return null;
+      const msg = err instanceof Error ? err.message : String(err);
+      process.stderr.write(`price_store: ${ticker} update failed, using stored history through ${existing.checked_through} (${msg})\n`);
+      return toCloseSeries(existing, [], period1, period2, basis, {
+        ...STORE_PROVENANCE,
+        failed_over_from: [{ source: marketData.name, error: msg }],
+      });
+    }
+
+    const { bars, live, revisions, closeScale } = mergeFetchedBars(doc.bars, fetched.bars, { today, ticker });
+    const next = {
+      ...doc,
+      meta: { ...doc.meta, ...metaSubset(fetched.meta, fetched.resolvedSymbol) },
+      coverage_start: needBackfill && (!doc.coverage_start || startDate < doc.coverage_start) ? startDate : doc.coverage_start,
+      checked_through: [doc.checked_through, lastNeeded < today ? lastNeeded : addDays(today, -1)]
+        .filter(Boolean)
+        .sort()
+        .pop(),
+      events: mergeFetchedEvents(storedEvents(doc), fetched.events, { closeScale, today }),
+      bars,
+      revisions: [...(doc.revisions || []), ...revisions].slice(-MAX_REVISIONS),
+    };
+    if (next.bars.length > 0) writeStoreFile(file, next, text);
+    return toCloseSeries(next, live, period1, period2, basis, fetched.provenance);
+  }
+
+  return {
+    name: `${marketData.name}+store`,
+    dir,
+    loadCloseSeries: loadStoredSeries,
+  };
+}
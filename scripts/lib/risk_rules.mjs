@@ -0,0 +1,165 @@
+// risk_rules.mjs — Declarative per-lane risk rules evaluated against holdings' pack features.
+// Configured per lane in fund.config.json:
+//   "risk_rules": [
+//     { "id": "drawdown_stop", "feature": "max_drawdown_63d_pct", "op": "<", "value": -25 },
+//     { "id": "ma200_kill_switch", "feature": "above_ma_200", "op": "==", "value": false, "consecutive_runs": 3 }
+//   ]
+// A rule breaches for a holding when `feature op value` holds in the current
+// pack and, with consecutive_runs N > 1, in the packs of the lane's N - 1
+// previous successful runs as well. A malformed rule throws: a kill switch that
+// silently never fires is worse than a failed pack build.
+// unaddressedBreaches is run_fund_once.sh validate_risk_rule_breaches (through
+// check_portfolio_constraints.mjs --risk-breaches).
+import { readFileSync } from 'node:fs';
+import { findPreviousPack } from './pack_diff.mjs';
+import { WEIGHT_TOLERANCE, weightsByTicker } from './portfolio_constraints.mjs';
+
+const OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+const ORDERING_OPS = new Set(['<', '<=', '>', '>=']);
+
+export function resolveRiskRules(config) {
+  const raw = config?.risk_rules;
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) throw new Error('fund.config.json risk_rules must be an array');
+  const seen = new Set();
+  return raw.map((rule, i) => {
+    const where = `fund.config.json risk_rules[${i}]`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+    const id = String(rule.id || '').trim();
+    const feature = String(rule.feature || '').trim();
+    if (!id) throw new Error(`${where}.id is required`);
+    if (seen.has(id)) throw new Error(`${where}.id "${id}" is duplicated`);
+    seen.add(id);
+    if (!feature) throw new Error(`${where}.feature is required`);
+    if (!(rule.op in OPS)) throw new Error(`${where}.op must be one of ${Object.keys(OPS).join(' ')}`);
+    const valueOk = typeof rule.value === 'boolean' ? !ORDERING_OPS.has(rule.op) : Number.isFinite(rule.value);
+    if (!valueOk) throw new Error(`${where}.value must be a number (or a boolean with == / !=)`);
+    const runs = rule.consecutive_runs ?? 1;
+    if (!Number.isInteger(runs) || runs < 1) throw new Error(`${where}.consecutive_runs must be a positive integer`);
+    return {
+      id,
+      feature,
+      op: rule.op,
+      value: rule.value,
+      consecutive_runs: runs,
+      description: rule.description ? String(rule.description) : null,
+    };
+  });
+}
+
+export function describeRule(rule) {
+  const runs = rule.consecutive_runs > 1 ? ` for ${rule.consecutive_runs} consecutive runs` : '';
+  return `${rule.feature} ${rule.op} ${rule.value}${runs}`;
+}
+
+// Packs of the lane's successful runs before the current one, newest first,
+// starting from the pack beside the previous output (previousPackPath may be null).
+export function loadPreviousPacks(previousPackPath, count) {
+  const packs = [];
+  let path = previousPackPath;
+  while (path && packs.length < count) {
+    let pack;
+    try {
+      pack = JSON.parse(readFileSync(path, 'utf8'));
+    } catch {
+      break;
+    }
+    packs.push(pack);
+    path = findPreviousPack(path);
+  }
+  return packs;
+}
+
+function featureOf(pack, ticker, feature) {
+  const record = pack?.market_data?.[ticker];
+  if (record?.fetch_status !== 'success') return null;
+  const v = record.features?.[feature];
+  return typeof v === 'number' || typeof v === 'boolean' ? v : null;
+}
+
+function holds(rule, observed) {
+  if (observed == null || typeof observed !== typeof rule.value) return false;
+  return OPS[rule.op](observed, rule.value);
+}
+
+// rules from resolveRiskRules; tickers are the lane's current holdings;
+// previousPacks newest first (loadPreviousPacks). A holding without the
+// feature in the current pack is listed under unevaluated, not as a breach.
+export function evaluateRiskRules(rules, tickers, currentPack, previousPacks) {
+  const breaches = [];
+  const unevaluated = [];
+  for (const rule of rules) {
+    for (const ticker of tickers) {
+      const observed = featureOf(currentPack, ticker, rule.feature);
+      if (observed == null) {
+        unevaluated.push({ rule_id: rule.id, ticker });
+        continue;
+      }
+      if (!holds(rule, observed)) continue;
+      let streak = 1;
+      for (const pack of previousPacks.slice(0, rule.consecutive_runs - 1)) {
+        if (!holds(rule, featureOf(pack, ticker, rule.feature))) break;
+        streak += 1;
+      }
+      if (streak < rule.consecutive_runs) continue;
+      breaches.push({
+        rule_id: rule.id,
+        ticker,
+        feature: rule.feature,
+        op: rule.op,
+        threshold: rule.value,
+        observed,
+        consecutive_runs: rule.consecutive_runs,
+        description: rule.description,
+      });
+    }
+  }
+  return {
+    rules,
+    evaluated_tickers: tickers,
+    history_run_dates: previousPacks.map((p) => p?.meta?.run_date || null),
+    breaches,
+    breached_tickers: [...new Set(breaches.map((b) => b.ticker))].sort(),
+    unevaluated,
+  };
+}
+
+// Breaches (evaluateRiskRules breaches) that current (a parsed output) leaves
+// unaddressed: the holding is still held, its weight did not drop from previous
+// by more than WEIGHT_TOLERANCE, and thesis_damage_flags has no entry with a
+// reason for it. previous may be null (first run), in which case only exiting
+// or flagging counts. Violations are { code, ticker, observed, limit, message,
+// rule_id }, like portfolio_constraints' checks, with the current and previous
+// weights as observed and limit.
+export function unaddressedBreaches(previous, current, breaches) {
+  const prevWeights = weightsByTicker(previous?.target_portfolio);
+  const currWeights = weightsByTicker(current?.target_portfolio);
+  const flagged = new Set(
+    (Array.isArray(current?.thesis_damage_flags) ? current.thesis_damage_flags : [])
+      .filter((f) => String(f?.why || '').trim())
+      .map((f) => String(f?.ticker || '').trim().toUpperCase()),
+  );
+  const out = [];
+  for (const breach of breaches || []) {
+    const ticker = String(breach?.ticker || '').trim().toUpperCase();
+    const now = currWeights.get(ticker) || 0;
+    const before = prevWeights.get(ticker) ?? now;
+    if (now <= 0 || now < before - WEIGHT_TOLERANCE || flagged.has(ticker)) continue;
+    out.push({
+      code: 'risk_rule_unaddressed',
+      ticker: breach.ticker,
+      observed: now,
+      limit: before,
+      message: `${breach.ticker} breaches ${breach.rule_id} but was not trimmed, exited or listed in thesis_damage_flags`,
+      rule_id: breach.rule_id,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,286 @@
+// telemetry.mjs — Structured telemetry for one dexter_run_once attempt.
+// Written as JSON to DEXTER_TELEMETRY_FILE when set:
+//   {
+//     "model", "started_at", "ended_at", "wall_ms", "status", "error",
+//     "iterations", "tool_calls",
+//     "timeline": [{ "t_ms", "type", "tool"?, "duration_ms"?, "result_bytes"? }],
+//     "tools": { "<name>": { "calls", "total_ms", "max_ms", "mean_ms", "result_bytes" } },
+//     "usage": { "<model>": { "input_tokens", "output_tokens", "total_tokens" } },
+//     "cost_usd": { "<model>": number | null, "total": number | null },
+//     "synthesis_fallback": { "used", "reason", "succeeded", "duration_ms" },
+//     "contract_repair": { "checked", "initial_violations", "final_violations",
+//                          "rounds": [{ "round", "violations_before", "violations_after", "duration_ms" }] },
+//     "budget": { "max_tool_calls", "max_financial_search_calls", "deadline_seconds",
+//                 "stopped_by", "stopped_at_ms", "repair_stopped_by" }
+//   }
+// Token usage is only what the agent reports on its events (tokenUsage / usage,
+// camel or snake case): a `done` event's figures are taken as the run total,
+// otherwise per-event figures are summed, and the synthesis and repair callLlm
+// passes are added on top. Cost uses USD-per-million-token rates
+// from funds/arena/config/model_pricing.json; unpriced models get null.
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_MODEL_PRICING_PATH = join(__dirname, '..', '..', 'funds', 'arena', 'config', 'model_pricing.json');
+
+// Chatty agents can emit thousands of events; the timeline keeps the first ones.
+export const MAX_TIMELINE_EVENTS = 500;
+
+function round(v, decimals) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(v * factor) / factor;
+}
+
+function firstNumber(obj, keys) {
+  for (const k of keys) {
+    const n = Number(obj?.[k]);
+    if (obj?.[k] != null && Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+// { input_tokens, output_tokens, total_tokens } from an event or callLlm result, or null.
+export function usageOf(source) {
+  const raw = source?.tokenUsage ?? source?.usage ?? null;
+  if (!raw || typeof raw !== 'object') return null;
+  const input = firstNumber(raw, ['inputTokens', 'input_tokens', 'promptTokens', 'prompt_tokens']);
+  const output = firstNumber(raw, ['outputTokens', 'output_tokens', 'completionTokens', 'completion_tokens']);
+  const total = firstNumber(raw, ['totalTokens', 'total_tokens']);
+  if (input == null && output == null && total == null) return null;
+  return {
+    input_tokens: input ?? 0,
+    output_tokens: output ?? 0,
+    total_tokens: total ?? (input ?? 0) + (output ?? 0),
+  };
+}
+
+function addUsage(a, b) {
+  if (!a) return { ...b };
+  return {
+    input_tokens: a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens,
+    total_tokens: a.total_tokens + b.total_tokens,
+  };
+}
+
+export function loadModelPricing(path = DEFAULT_MODEL_PRICING_PATH) {
+  if (!path || !existsSync(path)) return {};
+  try {
+    const doc = JSON.parse(readFileSync(path, 'utf8'));
+    return doc?.models && typeof doc.models === 'object' ? doc.models : {};
+  } catch {
+    return {};
+  }
+}
+
+export function estimateCostUsd(usageByModel, pricing) {
+  const out = {};
+  let total = 0;
+  let priced = false;
+  for (const [model, usage] of Object.entries(usageByModel)) {
+    const rate = pricing[model];
+    const input = Number(rate?.input_per_mtok);
+    const output = Number(rate?.output_per_mtok);
+    if (!rate || !Number.isFinite(input) || !Number.isFinite(output)) {
+      out[model] = null;
+      continue;
+    }
+    out[model] = round(((usage.input_tokens * input) + (usage.output_tokens * output)) / 1e6, 6);
+    total += out[model];
+    priced = true;
+  }
+  out.total = priced ? round(total, 6) : null;
+  return out;
+}
+
+// budget is resolveBudget's limits (dexter_budget.mjs), copied into the document.
+export function createTelemetry({ model, pricing = {}, budget = {}, now = () => Date.now() }) {
+  const startMs = now();
+  const timeline = [];
+  let droppedEvents = 0;
+  const tools = new Map();
+  const openStarts = new Map();
+  let doneUsage = null;
+  let eventUsage = null;
+  let llmUsage = null;
+  let synthesis = { used: false, reason: null, succeeded: null, duration_ms: null };
+  let synthesisStart = null;
+  const repair = { checked: false, initial_violations: null, final_violations: null, rounds: [] };
+  const budgetOutcome = { ...budget, stopped_by: null, stopped_at_ms: null, repair_stopped_by: null };
+
+  const push = (entry) => {
+    if (timeline.length < MAX_TIMELINE_EVENTS) timeline.push({ t_ms: now() - startMs, ...entry });
+    else droppedEvents += 1;
+  };
+
+  return {
+    event(event) {
+      const type = String(event?.type || 'unknown');
+      const usage = usageOf(event);
+      if (usage && type === 'done') doneUsage = usage;
+      else if (usage) eventUsage = addUsage(eventUsage, usage);
+
+      if (type === 'tool_start') {
+        const tool = String(event.tool || '');
+        openStarts.set(tool, [...(openStarts.get(tool) || []), now()]);
+        push({ type, tool });
+        return;
+      }
+      if (type === 'tool_end') {
+        const tool = String(event.tool || '');
+        const started = (openStarts.get(tool) || []).shift();
+        const duration = Number.isFinite(Number(event.duration)) && event.duration != null
+          ? Number(event.duration)
+          : (started != null ? now() - started : null);
+        const bytes = Buffer.byteLength(String(event.result ?? ''), 'utf8');
+        const stats = tools.get(tool) || { calls: 0, total_ms: 0, max_ms: 0, result_bytes: 0 };
+        stats.calls += 1;
+        stats.total_ms += duration ?? 0;
+        stats.max_ms = Math.max(stats.max_ms, duration ?? 0);
+        stats.result_bytes += bytes;
+        tools.set(tool, stats);
+        push({ type, tool, duration_ms: duration, result_bytes: bytes });
+        return;
+      }
+      push({ type });
+    },
+
+    // The agent loop was cut short by a budget (one of BUDGET_STOPS).
+    budgetStop(reason) {
+      budgetOutcome.stopped_by = reason;
+      budgetOutcome.stopped_at_ms = now() - startMs;
+      push({ type: 'budget_stop', reason });
+    },
+
+    // Violations were left because the repair passes ran out ('max_repair_rounds')
+    // or the deadline passed ('deadline').
+    repairStopped(reason) {
+      budgetOutcome.repair_stopped_by = reason;
+    },
+
+    synthesisStart(reason) {
+      synthesisStart = now();
+      synthesis = { used: true, reason, succeeded: null, duration_ms: null };
+      push({ type: 'synthesis_start' });
+    },
+
+    synthesisEnd({ succeeded, result }) {
+      synthesis.succeeded = succeeded;
+      synthesis.duration_ms = synthesisStart != null ? now() - synthesisStart : null;
+      const usage = usageOf(result);
+      if (usage) llmUsage = addUsage(llmUsage, usage);
+      push({ type: 'synthesis_end', duration_ms: synthesis.duration_ms });
+    },
+
+    contractChecked(violations) {
+      repair.checked = true;
+      repair.initial_violations = violations;
+      repair.final_violations = violations;
+      push({ type: 'contract_check' });
+    },
+
+    // violationsAfter is null when the repair answer had no JSON object; the
+    // caller keeps the better candidate and reports its count as `kept`.
+    repairRound({ round, violationsBefore, violationsAfter, kept, durationMs, result }) {
+      const usage = usageOf(result);
+      if (usage) llmUsage = addUsage(llmUsage, usage);
+      repair.rounds.push({ round, violations_before: violationsBefore, violations_after: violationsAfter, duration_ms: durationMs });
+      repair.final_violations = kept;
+      push({ type: 'contract_repair', duration_ms: durationMs });
+    },
+
+    finish({ status, error = null, iterations = 0, toolCalls = 0 }) {
+      const endMs = now();
+      const agentUsage = doneUsage || eventUsage;
+      const total = agentUsage || llmUsage ? addUsage(agentUsage, llmUsage || { input_tokens: 0, output_tokens: 0, total_tokens: 0 }) : null;
+      const usage = total ? { [model]: total } : {};
+      return {
+        model,
+        started_at: new Date(startMs).toISOString(),
+        ended_at: new Date(endMs).toISOString(),
+        wall_ms: endMs - startMs,
+        status,
+        error,
+        iterations,
+        tool_calls: toolCalls,
+        timeline,
+        timeline_dropped_events: droppedEvents,
+        tools: Object.fromEntries([...tools.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, s]) => [name, {
+          ...s,
+          mean_ms: s.calls > 0 ? round(s.total_ms / s.calls, 1) : null,
+        }])),
+        usage,
+        cost_usd: estimateCostUsd(usage, pricing),
+        synthesis_fallback: synthesis,
+        contract_repair: repair,
+        budget: budgetOutcome,
+      };
+    },
+  };
+}
+
+// One document for an ensemble attempt: each member's finish() document under
+// `members`, with counts, tool stats and usage summed so the runner's run_meta
+// totals read it like a single run. Timelines stay on the members.
+export function combineTelemetry({ model, members, status, error = null, pricing = {} }) {
+  const usage = {};
+  const tools = {};
+  for (const doc of members) {
+    for (const [name, u] of Object.entries(doc.usage || {})) usage[name] = addUsage(usage[name], u);
+    for (const [name, s] of Object.entries(doc.tools || {})) {
+      const t = tools[name] || { calls: 0, total_ms: 0, max_ms: 0, result_bytes: 0 };
+      tools[name] = {
+        calls: t.calls + s.calls,
+        total_ms: t.total_ms + s.total_ms,
+        max_ms: Math.max(t.max_ms, s.max_ms),
+        result_bytes: t.result_bytes + s.result_bytes,
+      };
+    }
+  }
+  const used = members.filter((d) => d.synthesis_fallback?.used);
+  const checked = members.filter((d) => d.contract_repair?.checked);
+  const sum = (docs, f) => docs.reduce((s, d) => s + (f(d) ?? 0), 0);
+  const started = members.length > 0 ? members[0].started_at : new Date().toISOString();
+  const ended = members.length > 0 ? members[members.length - 1].ended_at : started;
+  return {
+    model,
+    started_at: started,
+    ended_at: ended,
+    wall_ms: Date.parse(ended) - Date.parse(started),
+    status,
+    error,
+    iterations: sum(members, (d) => d.iterations),
+    tool_calls: sum(members, (d) => d.tool_calls),
+    timeline: [],
+    timeline_dropped_events: 0,
+    tools: Object.fromEntries(Object.keys(tools).sort().map((name) => [name, {
+      ...tools[name],
+      mean_ms: tools[name].calls > 0 ? round(tools[name].total_ms / tools[name].calls, 1) : null,
+    }])),
+    usage,
+    cost_usd: estimateCostUsd(usage, pricing),
+    synthesis_fallback: {
+      used: used.length > 0,
+      reason: used.length > 0 ? used.map((d) => `${d.model}: ${d.synthesis_fallback.reason}`).join('; ') : null,
+      succeeded: used.length > 0 ? used.every((d) => d.synthesis_fallback.succeeded) : null,
+      duration_ms: used.length > 0 ? sum(used, (d) => d.synthesis_fallback.duration_ms) : null,
+    },
+    contract_repair: {
+      checked: checked.length > 0,
+      initial_violations: checked.length > 0 ? sum(checked, (d) => d.contract_repair.initial_violations) : null,
+      final_violations: checked.length > 0 ? sum(checked, (d) => d.contract_repair.final_violations) : null,
+      rounds: checked.flatMap((d) => d.contract_repair.rounds.map((r) => ({ model: d.model, ...r }))),
+    },
+    budget: {
+      ...(members[0]?.budget || {}),
+      stopped_by: members.find((d) => d.budget?.stopped_by)?.budget.stopped_by ?? null,
+      stopped_at_ms: null,
+      repair_stopped_by: members.find((d) => d.budget?.repair_stopped_by)?.budget.repair_stopped_by ?? null,
+      members: members.map((d) => ({ model: d.model, stopped_by: d.budget?.stopped_by ?? null })),
+    },
+    members,
+  };
+}
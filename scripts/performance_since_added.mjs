@@ -1,38 +1,37 @@
-import { readFileSync, existsSync, readdirSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
 import { join } from 'node:path';
-
-function parseJson(path) {
+import {
+  createMarketDataProvider,
+  dateMs,
+  isDateStr,
+  mapWithConcurrency,
+  resolveReturnBasis,
+  selectReturnBasis,
+  splitMarketDataArgs,
+} from './lib/market_data.mjs';
+import { chartAnomalies, quarantineDates, resolveDataQuality, withoutQuarantined } from './lib/anomalies.mjs';
+import { holdingContributions } from './lib/attribution.mjs';
+import { resolveCostModel } from './lib/costs.mjs';
+import { baseCurrencyChartFor, requiredFxPairs, resolveBaseCurrency, unconvertibleTickers } from './lib/fx.mjs';
+import { asPct, buildNavSeries, buildSegments, computeNav, loadSuccessfulRuns } from './lib/nav.mjs';
+import { computeRiskMetrics, DEFAULT_RISK_FREE_TICKER, emptyRiskMetrics } from './lib/performance_metrics.mjs';
+import { createPriceStore } from './lib/price_store.mjs';
+
+function readFundConfig(fundId) {
   try {
-    return JSON.parse(readFileSync(path, 'utf8'));
+    return JSON.parse(readFileSync(join('funds', fundId, 'fund.config.json'), 'utf8'));
   } catch {
     return null;
   }
 }
 
-function asPct(value) {
-  return Number(value.toFixed(2));
-}
-
-function dateFromTs(ts) {
-  return new Date(ts * 1000).toISOString().slice(0, 10);
-}
-
-function isDateStr(s) {
-  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-}
-
-function dateMs(dateStr) {
-  const ms = Date.parse(`${dateStr}T00:00:00Z`);
-  return Number.isFinite(ms) ? ms : null;
-}
-
-function dayBefore(dateStr) {
-  const d = new Date(`${dateStr}T12:00:00Z`);
-  d.setUTCDate(d.getUTCDate() - 1);
-  return d.toISOString().slice(0, 10);
+function performanceMethod(returnBasis) {
+  return `nav_since_start_${returnBasis}_return`;
 }
 
 function emptyResult({
+  returnBasis = resolveReturnBasis(),
+  baseCurrency = null,
   benchmarkTicker = '',
   benchmarkName = '',
   inceptionDate = null,
@@ -40,7 +39,10 @@ function emptyResult({
   asofPriceDate = null
 } = {}) {
   return {
-    performance_method: 'nav_since_start',
+    performance_method: performanceMethod(returnBasis),
+    return_basis: returnBasis,
+    base_currency: baseCurrency,
+    fx: null,
     inception_date: inceptionDate,
     asof_portfolio_date: asofPortfolioDate,
     asof_price_date: asofPriceDate,
@@ -51,161 +53,39 @@ function emptyResult({
     benchmark_return_pct: null,
     benchmark_covered_weight_pct: 0,
     excess_return_pct: null,
-    stocks: []
+    fund_return_net_pct: null,
+    excess_return_net_pct: null,
+    costs: null,
+    risk_metrics: emptyRiskMetrics(),
+    data_anomalies: {},
+    quarantined_tickers: [],
+    quarantined_since: {},
+    price_sources: {},
+    stocks: [],
+    stocks_residual: null
   };
 }
 
-function upperBound(arr, target) {
-  let lo = 0;
-  let hi = arr.length;
-  while (lo < hi) {
-    const mid = (lo + hi) >> 1;
-    if (arr[mid] <= target) lo = mid + 1;
-    else hi = mid;
-  }
-  return lo;
-}
-
-function closeOnOrBefore(chart, targetDate) {
-  if (!chart || !Array.isArray(chart.dates) || !Array.isArray(chart.closes) || chart.dates.length === 0) return null;
-  const idx = upperBound(chart.dates, targetDate) - 1;
-  if (idx < 0) return null;
-  const close = chart.closes[idx];
-  if (!Number.isFinite(close) || close <= 0) return null;
-  return { date: chart.dates[idx], close };
-}
-
-function symbolAliases(raw) {
-  const t = String(raw || '').trim();
-  if (!t) return [];
-  const out = [t];
-  if (t.includes('.')) out.push(t.replace(/\./g, '-'));
-  if (t.includes('-')) out.push(t.replace(/-/g, '.'));
-  return [...new Set(out)];
-}
-
-async function fetchYahooChart(symbol, period1, period2) {
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&period1=${period1}&period2=${period2}`;
-  try {
-    const res = await fetch(url, {
-      headers: {
-        'User-Agent': 'hedge-labs-fund-arena/1.0'
-      }
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    const result = data?.chart?.result?.[0];
-    if (!result) return null;
-
-    const timestamps = result.timestamp || [];
-    const closes =
-      result?.indicators?.adjclose?.[0]?.adjclose ||
-      result?.indicators?.quote?.[0]?.close ||
-      [];
-
-    if (!Array.isArray(timestamps) || !Array.isArray(closes) || timestamps.length === 0 || closes.length === 0) {
-      return null;
-    }
-
-    const dates = [];
-    const cleanCloses = [];
-    for (let i = 0; i < Math.min(timestamps.length, closes.length); i += 1) {
-      const ts = timestamps[i];
-      const close = closes[i];
-      if (close == null) continue;
-      const n = Number(close);
-      if (!Number.isFinite(n) || n <= 0) continue;
-      const d = dateFromTs(ts);
-      if (!isDateStr(d)) continue;
-      dates.push(d);
-      cleanCloses.push(n);
-    }
-    if (dates.length === 0) return null;
-
-    return { symbol, dates, closes: cleanCloses };
-  } catch {
-    return null;
-  }
-}
-
-async function mapWithConcurrency(items, limit, mapper) {
-  const results = new Array(items.length);
-  let index = 0;
-
-  async function worker() {
-    while (true) {
-      const i = index;
-      index += 1;
-      if (i >= items.length) return;
-      results[i] = await mapper(items[i], i);
-    }
-  }
-
-  const n = Math.max(1, Math.min(limit, items.length));
-  await Promise.all(Array.from({ length: n }, () => worker()));
-  return results;
-}
-
-function extractPortfolio(doc) {
-  const holdings = Array.isArray(doc?.target_portfolio) ? doc.target_portfolio : [];
-  const byTicker = new Map();
-  for (const h of holdings) {
-    const ticker = String(h?.ticker || '').trim();
-    if (!ticker) continue;
-    const w = Number(h?.weight_pct ?? 0);
-    if (!Number.isFinite(w) || w <= 0) continue;
-    const key = ticker.toUpperCase();
-    byTicker.set(key, { ticker, weight_pct: (byTicker.get(key)?.weight_pct || 0) + w });
-  }
-  return [...byTicker.values()].map((h) => ({ ticker: h.ticker, weight_pct: asPct(h.weight_pct) }));
-}
-
-function listRunDates(runsRoot) {
-  if (!existsSync(runsRoot)) return [];
-  return readdirSync(runsRoot)
-    .filter((d) => isDateStr(d))
-    .sort();
-}
-
-function isSuccessfulOutput(metaPath, outputPath) {
-  if (!existsSync(outputPath)) return false;
-  const meta = existsSync(metaPath) ? parseJson(metaPath) : null;
-  if (meta && typeof meta.status === 'string' && meta.status !== 'success') return false;
-  const doc = parseJson(outputPath);
-  const holdings = extractPortfolio(doc);
-  return holdings.length > 0;
-}
-
-function loadSuccessfulRuns(fundId, provider, runDate) {
-  const runsRoot = join('funds', fundId, 'runs');
-  const dates = listRunDates(runsRoot).filter((d) => d <= runDate);
-  const out = [];
-  for (const d of dates) {
-    const outputPath = join(runsRoot, d, provider, 'dexter_output.json');
-    const metaPath = join(runsRoot, d, provider, 'run_meta.json');
-    if (!isSuccessfulOutput(metaPath, outputPath)) continue;
-    const doc = parseJson(outputPath);
-    const holdings = extractPortfolio(doc);
-    if (holdings.length === 0) continue;
-    out.push({ date: d, holdings });
-  }
-  return out;
-}
-
 async function main() {
-  const [fundId, provider, runDateArg, benchmarkTickerArg = '', benchmarkNameArg = ''] = process.argv.slice(2);
+  const { args, options: marketDataOptions } = splitMarketDataArgs(process.argv.slice(2));
+  const [fundId, provider, runDateArg, benchmarkTickerArg = '', benchmarkNameArg = '', riskFreeTickerArg = ''] = args;
   const runDate = String(runDateArg || '').trim();
   const benchmarkTicker = String(benchmarkTickerArg || '').trim();
   const benchmarkName = String(benchmarkNameArg || '').trim() || benchmarkTicker;
+  const riskFreeTicker = String(riskFreeTickerArg || '').trim() || DEFAULT_RISK_FREE_TICKER;
 
   if (!fundId || !provider || !isDateStr(runDate)) {
     console.log(JSON.stringify(emptyResult({ benchmarkTicker, benchmarkName })));
     return;
   }
 
-  const successfulRuns = loadSuccessfulRuns(fundId, provider, runDate);
+  const fundConfig = readFundConfig(fundId);
+  const returnBasis = resolveReturnBasis(fundConfig);
+  const baseCurrency = resolveBaseCurrency(fundConfig);
+
+  const successfulRuns = loadSuccessfulRuns('funds', fundId, provider, runDate);
   if (successfulRuns.length === 0) {
-    console.log(JSON.stringify(emptyResult({ benchmarkTicker, benchmarkName })));
+    console.log(JSON.stringify(emptyResult({ returnBasis, baseCurrency, benchmarkTicker, benchmarkName })));
     return;
   }
 
@@ -215,7 +95,7 @@ async function main() {
   const inceptionMs = dateMs(inceptionDate);
   const runMs = dateMs(runDate);
   if (inceptionMs == null || runMs == null) {
-    console.log(JSON.stringify(emptyResult({ benchmarkTicker, benchmarkName })));
+    console.log(JSON.stringify(emptyResult({ returnBasis, baseCurrency, benchmarkTicker, benchmarkName })));
     return;
   }
 
@@ -224,147 +104,83 @@ async function main() {
   const period2Candidate = Math.floor(runMs / 1000) + (4 * 86400);
   const period2 = Math.min(nowEpoch, period2Candidate);
 
-  const segments = [];
-  for (let i = 0; i < successfulRuns.length - 1; i += 1) {
-    segments.push({ start: successfulRuns[i], endDate: successfulRuns[i + 1].date });
-  }
-  if (runDate > asofPortfolioDate) {
-    segments.push({ start: successfulRuns[successfulRuns.length - 1], endDate: runDate });
-  } else if (segments.length === 0) {
-    // Single successful run and we're evaluating that same run date.
-    segments.push({ start: successfulRuns[0], endDate: runDate });
-  }
+  const segments = buildSegments(successfulRuns, runDate);
 
   const tickers = new Set();
   for (const seg of segments) {
     for (const h of seg.start.holdings) tickers.add(h.ticker);
   }
   if (benchmarkTicker) tickers.add(benchmarkTicker);
+  tickers.add(riskFreeTicker);
 
+  const prices = createPriceStore(createMarketDataProvider(marketDataOptions));
   const chartCache = new Map();
-  const tickerList = [...tickers.values()];
-  await mapWithConcurrency(tickerList, 8, async (ticker) => {
+  const loadCharts = (list) => mapWithConcurrency(list, 8, async (ticker) => {
     const cacheKey = `${ticker}|${period1}|${period2}`;
     if (chartCache.has(cacheKey)) return;
 
-    let chart = null;
-    for (const symbol of symbolAliases(ticker)) {
-      chart = await fetchYahooChart(symbol, period1, period2);
-      if (chart) break;
-    }
-    chartCache.set(cacheKey, chart);
+    chartCache.set(cacheKey, await prices.loadCloseSeries(ticker, { period1, period2 }, { basis: returnBasis }));
   });
+  const tickerList = [...tickers.values()];
+  await loadCharts(tickerList);
 
-  const chartFor = (ticker) => chartCache.get(`${ticker}|${period1}|${period2}`) || null;
-
-  let nav = 100;
-  let minCoverage = null;
-  let alignedAsOfDate = null;
-
-  const benchChart = benchmarkTicker ? chartFor(benchmarkTicker) : null;
-  let benchNav = 100;
-  let benchOk = Boolean(benchmarkTicker && benchChart);
-
-  let isFirstSegment = true;
-  for (const seg of segments) {
-    // Determine a single aligned price window for this segment so 24/7 assets (e.g. crypto)
-    // can't advance the segment's as-of date beyond what equities/benchmark support.
-    // For the first segment, use the day before inception as the start price.
-    // The portfolio is constructed before market open using the previous day's
-    // closing prices, so performance should be measured from those prices.
-    const startDate = isFirstSegment ? dayBefore(seg.start.date) : seg.start.date;
-    isFirstSegment = false;
-
-    const leg = [];
-    for (const h of seg.start.holdings) {
-      const ticker = h.ticker;
-      const weight = Number(h.weight_pct || 0);
-      if (!Number.isFinite(weight) || weight <= 0) continue;
-      const chart = chartFor(ticker);
-      const startCandidate = closeOnOrBefore(chart, startDate);
-      const endCandidate = closeOnOrBefore(chart, seg.endDate);
-      if (!startCandidate || !endCandidate) continue;
-      leg.push({ ticker, weight, chart, startCandidate, endCandidate });
-    }
-
-    const benchStartCandidate = benchChart ? closeOnOrBefore(benchChart, startDate) : null;
-    const benchEndCandidate = benchChart ? closeOnOrBefore(benchChart, seg.endDate) : null;
-
-    if (leg.length === 0) {
-      console.log(JSON.stringify(emptyResult({
-        benchmarkTicker,
-        benchmarkName,
-        inceptionDate,
-        asofPortfolioDate
-      })));
-      return;
-    }
-
-    // Align on the earliest available boundary dates across included holdings (and benchmark when available).
-    // ISO date strings compare lexicographically.
-    let alignedStartDate = leg.map((x) => x.startCandidate.date).sort()[0];
-    let alignedEndDate = leg.map((x) => x.endCandidate.date).sort()[0];
-    if (benchOk && benchStartCandidate && benchEndCandidate) {
-      if (benchStartCandidate.date < alignedStartDate) alignedStartDate = benchStartCandidate.date;
-      if (benchEndCandidate.date < alignedEndDate) alignedEndDate = benchEndCandidate.date;
-    }
-    // Avoid a negative/ill-defined window if any symbol's data is extremely stale.
-    if (alignedEndDate < alignedStartDate) alignedStartDate = alignedEndDate;
-
-    let covered = 0;
-    let weightedSum = 0;
-    for (const item of leg) {
-      const start = closeOnOrBefore(item.chart, alignedStartDate);
-      const end = closeOnOrBefore(item.chart, alignedEndDate);
-      if (!start || !end) continue;
-      const ret = ((end.close / start.close) - 1) * 100;
-      if (!Number.isFinite(ret)) continue;
-      covered += item.weight;
-      weightedSum += (item.weight * ret);
-    }
-
-    if (benchOk) {
-      const start = closeOnOrBefore(benchChart, alignedStartDate);
-      const end = closeOnOrBefore(benchChart, alignedEndDate);
-      if (!start || !end) {
-        benchOk = false;
-      } else {
-        const ret = ((end.close / start.close) - 1) * 100;
-        if (!Number.isFinite(ret)) {
-          benchOk = false;
-        } else {
-          benchNav *= (1 + (ret / 100));
-        }
-      }
-    }
+  const localChartFor = (ticker) => chartCache.get(`${ticker}|${period1}|${period2}`) || null;
+  const fxPairs = requiredFxPairs(tickerList.filter((t) => t !== riskFreeTicker).map(localChartFor), baseCurrency);
+  await loadCharts(fxPairs);
 
-    if (covered <= 0) {
-      console.log(JSON.stringify(emptyResult({
-        benchmarkTicker,
-        benchmarkName,
-        inceptionDate,
-        asofPortfolioDate
-      })));
-      return;
-    }
+  const dataQuality = resolveDataQuality(fundConfig);
+  const dataAnomalies = {};
+  for (const ticker of tickerList.filter((t) => t !== riskFreeTicker).sort()) {
+    const found = chartAnomalies(ticker, localChartFor(ticker), runDate, dataQuality);
+    if (found.length > 0) dataAnomalies[ticker] = found;
+  }
+  const quarantinedSince = quarantineDates(dataAnomalies, dataQuality);
+  const priceSources = Object.fromEntries([...tickerList, ...fxPairs].sort()
+    .map((ticker) => [ticker, localChartFor(ticker)?.provenance || null]));
+  const chartFor = withoutQuarantined(baseCurrencyChartFor(localChartFor, baseCurrency), quarantinedSince);
+  const fx = {
+    pairs: fxPairs,
+    unconverted_tickers: unconvertibleTickers(tickerList.filter((t) => t !== riskFreeTicker), localChartFor, chartFor),
+  };
 
-    const segReturn = weightedSum / covered;
-    nav *= (1 + (segReturn / 100));
-    minCoverage = minCoverage == null ? covered : Math.min(minCoverage, covered);
-    alignedAsOfDate = alignedEndDate;
+  const costModel = resolveCostModel(fundConfig);
+  const result = computeNav(successfulRuns, chartFor, benchmarkTicker, runDate, { costModel });
+  if (!result) {
+    console.log(JSON.stringify(emptyResult({
+      returnBasis,
+      baseCurrency,
+      benchmarkTicker,
+      benchmarkName,
+      inceptionDate,
+      asofPortfolioDate
+    })));
+    return;
   }
 
-  const coveredWeightPct = asPct(minCoverage ?? 0);
-  const fundReturn = asPct(((nav / 100) - 1) * 100);
+  const coveredWeightPct = asPct(result.minCoverage);
+  const fundReturn = asPct(((result.nav / 100) - 1) * 100);
+
+  const fundReturnNet = asPct(((result.netNav / 100) - 1) * 100);
 
   let benchmarkReturn = null;
-  if (benchOk) benchmarkReturn = asPct(((benchNav / 100) - 1) * 100);
+  if (result.benchNav != null) benchmarkReturn = asPct(((result.benchNav / 100) - 1) * 100);
 
   // Report the common aligned as-of date used for the latest segment.
-  const asofPriceDate = alignedAsOfDate || null;
+  const asofPriceDate = result.asofPriceDate;
+
+  const riskMetrics = computeRiskMetrics(buildNavSeries(successfulRuns, chartFor, benchmarkTicker, runDate), {
+    riskFreeTicker,
+    // T-bill ETFs pay their yield as distributions, so the risk-free leg is always total return.
+    // It is a rate, so it stays in its own currency; pick a risk_free_ticker in the base currency.
+    riskFreeChart: selectReturnBasis(localChartFor(riskFreeTicker), 'total'),
+  });
+  const { stocks, residual } = holdingContributions(successfulRuns, result);
 
   console.log(JSON.stringify({
-    performance_method: 'nav_since_start',
+    performance_method: performanceMethod(returnBasis),
+    return_basis: returnBasis,
+    base_currency: baseCurrency,
+    fx,
     inception_date: inceptionDate,
     asof_portfolio_date: asofPortfolioDate,
     asof_price_date: asofPriceDate,
@@ -375,7 +191,24 @@ async function main() {
     benchmark_return_pct: benchmarkReturn,
     benchmark_covered_weight_pct: benchmarkReturn != null ? 100 : 0,
     excess_return_pct: (benchmarkReturn != null) ? asPct(fundReturn - benchmarkReturn) : null,
-    stocks: []
+    fund_return_net_pct: fundReturnNet,
+    excess_return_net_pct: (benchmarkReturn != null) ? asPct(fundReturnNet - benchmarkReturn) : null,
+    costs: {
+      model: costModel,
+      cost_drag_pct: asPct(fundReturn - fundReturnNet),
+      total_cost_pct: asPct(result.costs.costPct),
+      turnover_pct: asPct(result.costs.turnoverPct),
+      bought_pct: asPct(result.costs.boughtPct),
+      sold_pct: asPct(result.costs.soldPct),
+      trades: result.costs.trades
+    },
+    risk_metrics: riskMetrics,
+    data_anomalies: dataAnomalies,
+    quarantined_tickers: Object.keys(quarantinedSince),
+    quarantined_since: quarantinedSince,
+    price_sources: priceSources,
+    stocks,
+    stocks_residual: residual
   }));
 }
 
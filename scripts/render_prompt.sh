@@ -9,6 +9,7 @@ fi
 fund_id="$1"
 run_date="$2"
 out_prompt_path="$3"
+script_dir="$(cd "$(dirname "$0")" && pwd)"
 
 config_path="funds/${fund_id}/fund.config.json"
 template_path="funds/${fund_id}/prompt.template.txt"
@@ -195,12 +196,29 @@ process.stdout.write(`${days}\n`);
 NODE
 }
 
-minimum_days_between_rebalances() {
+sessions_between_dates() {
+  local from_date="$1"
+  local to_date="$2"
+  node - "${script_dir}/lib/calendar.mjs" "$from_date" "$to_date" <<'NODE'
+const { pathToFileURL } = require('node:url');
+const [calendarPath, fromDate, toDate] = process.argv.slice(2);
+import(pathToFileURL(calendarPath).href).then(({ DEFAULT_CALENDAR, sessionsBetween }) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate) || !/^\d{4}-\d{2}-\d{2}$/.test(toDate) || toDate < fromDate) {
+    process.exit(1);
+  }
+  process.stdout.write(`${sessionsBetween(DEFAULT_CALENDAR, fromDate, toDate)}\n`);
+});
+NODE
+}
+
+# Cadence spacing in NYSE sessions (lib/calendar.mjs), so holidays and
+# weekends do not count toward a weekly or monthly window.
+minimum_sessions_between_rebalances() {
   local cadence="$1"
   case "$cadence" in
     daily) printf '1\n' ;;
-    weekly) printf '7\n' ;;
-    monthly) printf '30\n' ;;
+    weekly) printf '5\n' ;;
+    monthly) printf '21\n' ;;
     *) printf '0\n' ;;
   esac
 }
@@ -422,11 +440,12 @@ prev_attempted_date=""
 prev_attempted_status="NONE"
 last_rebalance_date=""
 days_since_last_rebalance="N/A"
+sessions_since_last_rebalance="N/A"
 rebalance_due="true"
 missed_scheduled_rebalance="false"
 must_rebalance_today="false"
 missed_rebalance_reason="None."
-min_rebalance_days="$(minimum_days_between_rebalances "$rebalance")"
+min_rebalance_sessions="$(minimum_sessions_between_rebalances "$rebalance")"
 lookback_30d_start="$(date_minus_days "$run_date" 30)"
 lookback_90d_start="$(date_minus_days "$run_date" 90)"
 news_7d_start="$(date_minus_days "$run_date" 7)"
@@ -448,7 +467,10 @@ fi
 if [[ -n "$last_rebalance_date" ]]; then
   if days_candidate="$(days_between_dates "$last_rebalance_date" "$run_date" 2>/dev/null)"; then
     days_since_last_rebalance="$days_candidate"
-    if [[ "$min_rebalance_days" -gt 0 && "$days_candidate" -lt "$min_rebalance_days" ]]; then
+  fi
+  if sessions_candidate="$(sessions_between_dates "$last_rebalance_date" "$run_date" 2>/dev/null)"; then
+    sessions_since_last_rebalance="$sessions_candidate"
+    if [[ "$min_rebalance_sessions" -gt 0 && "$sessions_candidate" -lt "$min_rebalance_sessions" ]]; then
       rebalance_due="false"
     fi
   fi
@@ -456,10 +478,10 @@ fi
 
 if [[ -n "$prev_attempted_date" && "$prev_attempted_status" != "success" ]]; then
   previous_run_was_due="false"
-  if [[ "$min_rebalance_days" -le 0 || -z "$last_rebalance_date" ]]; then
+  if [[ "$min_rebalance_sessions" -le 0 || -z "$last_rebalance_date" ]]; then
     previous_run_was_due="true"
-  elif days_candidate="$(days_between_dates "$last_rebalance_date" "$prev_attempted_date" 2>/dev/null)"; then
-    if [[ "$days_candidate" -ge "$min_rebalance_days" ]]; then
+  elif sessions_candidate="$(sessions_between_dates "$last_rebalance_date" "$prev_attempted_date" 2>/dev/null)"; then
+    if [[ "$sessions_candidate" -ge "$min_rebalance_sessions" ]]; then
       previous_run_was_due="true"
     fi
   fi
@@ -482,11 +504,12 @@ Stateful rebalance context (system-provided):
 - Prior attempted run status: ${prev_attempted_status}
 - Last rebalance checkpoint date: ${last_rebalance_date:-NONE}
 - Days since last rebalance checkpoint: ${days_since_last_rebalance}
+- NYSE sessions since last rebalance checkpoint: ${sessions_since_last_rebalance}
 - Rebalance due today: ${rebalance_due}
 - Missed scheduled rebalance pending: ${missed_scheduled_rebalance}
 - Must perform an active rebalance today: ${must_rebalance_today}
 - Missed scheduled rebalance reason: ${missed_rebalance_reason}
-- Rebalance cadence minimum spacing (days): ${min_rebalance_days}
+- Rebalance cadence minimum spacing (NYSE sessions): ${min_rebalance_sessions}
 - lookback_30d_start: ${lookback_30d_start}
 - lookback_90d_start: ${lookback_90d_start}
 - news_7d_start: ${news_7d_start}
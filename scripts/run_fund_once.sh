@@ -178,6 +178,36 @@ process.stdout.write(`${days}\n`);
 NODE
 }
 
+sessions_between_dates() {
+  local from_date="$1"
+  local to_date="$2"
+  node - "${repo_root}/scripts/lib/calendar.mjs" "$from_date" "$to_date" <<'NODE'
+const { pathToFileURL } = require('node:url');
+const [calendarPath, fromDate, toDate] = process.argv.slice(2);
+import(pathToFileURL(calendarPath).href).then(({ DEFAULT_CALENDAR, sessionsBetween }) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate) || !/^\d{4}-\d{2}-\d{2}$/.test(toDate) || toDate < fromDate) {
+    process.exit(1);
+  }
+  process.stdout.write(`${sessionsBetween(DEFAULT_CALENDAR, fromDate, toDate)}\n`);
+});
+NODE
+}
+
+# Cadence spacing. The window has elapsed once either the NYSE session count
+# (lib/calendar.mjs) or the calendar-day span is reached: sessions keep a run
+# right after a long weekend from counting as a full week, and calendar days
+# keep the rebalance weekday fixed when a holiday falls inside the week (the
+# daily cron runs on holidays too).
+minimum_sessions_between_rebalances() {
+  local cadence="$1"
+  case "$cadence" in
+    daily) printf '1\n' ;;
+    weekly) printf '5\n' ;;
+    monthly) printf '21\n' ;;
+    *) printf '0\n' ;;
+  esac
+}
+
 minimum_days_between_rebalances() {
   local cadence="$1"
   case "$cadence" in
@@ -188,6 +218,16 @@ minimum_days_between_rebalances() {
   esac
 }
 
+# True when a known days/sessions spacing reaches either minimum.
+rebalance_window_elapsed() {
+  local days="$1"
+  local sessions="$2"
+  if [[ "$days" =~ ^[0-9]+$ ]] && (( days >= min_rebalance_days )); then
+    return 0
+  fi
+  [[ "$sessions" =~ ^[0-9]+$ ]] && (( sessions >= min_rebalance_sessions ))
+}
+
 prev_output_path=""
 prev_output_date=""
 prev_attempted_meta_path=""
@@ -195,6 +235,8 @@ prev_attempted_date=""
 prev_attempted_status="NONE"
 last_rebalance_date=""
 days_since_last_rebalance="N/A"
+sessions_since_last_rebalance="N/A"
+min_rebalance_sessions="$(minimum_sessions_between_rebalances "$rebalance_cadence")"
 min_rebalance_days="$(minimum_days_between_rebalances "$rebalance_cadence")"
 rebalance_due=true
 missed_scheduled_rebalance=false
@@ -207,18 +249,24 @@ IFS=$'\t' read -r _last_rebalance_output_path last_rebalance_date < <(latest_reb
 if [[ -n "$last_rebalance_date" ]]; then
   if days_candidate="$(days_between_dates "$last_rebalance_date" "$run_date" 2>/dev/null)"; then
     days_since_last_rebalance="$days_candidate"
-    if [[ "$min_rebalance_days" -gt 0 && "$days_candidate" -lt "$min_rebalance_days" ]]; then
-      rebalance_due=false
-    fi
+  fi
+  if sessions_candidate="$(sessions_between_dates "$last_rebalance_date" "$run_date" 2>/dev/null)"; then
+    sessions_since_last_rebalance="$sessions_candidate"
+  fi
+  if [[ "$min_rebalance_sessions" -gt 0 && ( "$days_since_last_rebalance" != "N/A" || "$sessions_since_last_rebalance" != "N/A" ) ]] \
+    && ! rebalance_window_elapsed "$days_since_last_rebalance" "$sessions_since_last_rebalance"; then
+    rebalance_due=false
   fi
 fi
 
 if [[ -n "$prev_attempted_date" && "$prev_attempted_status" != "success" ]]; then
   previous_run_was_due=false
-  if [[ "$min_rebalance_days" -le 0 || -z "$last_rebalance_date" ]]; then
+  if [[ "$min_rebalance_sessions" -le 0 || -z "$last_rebalance_date" ]]; then
     previous_run_was_due=true
-  elif days_candidate="$(days_between_dates "$last_rebalance_date" "$prev_attempted_date" 2>/dev/null)"; then
-    if [[ "$days_candidate" -ge "$min_rebalance_days" ]]; then
+  else
+    prev_days_candidate="$(days_between_dates "$last_rebalance_date" "$prev_attempted_date" 2>/dev/null)" || prev_days_candidate=""
+    prev_sessions_candidate="$(sessions_between_dates "$last_rebalance_date" "$prev_attempted_date" 2>/dev/null)" || prev_sessions_candidate=""
+    if rebalance_window_elapsed "$prev_days_candidate" "$prev_sessions_candidate"; then
       previous_run_was_due=true
     fi
   fi
@@ -261,6 +309,10 @@ strip_arena_pack_appendix() {
 stdout_path="${run_dir}/dexter_stdout.txt"
 json_path="${run_dir}/dexter_output.json"
 meta_path="${run_dir}/run_meta.json"
+# Ensemble lanes (provider "ensemble") write their members' portfolios and
+# agreement stats here; see scripts/lib/ensemble.mjs.
+ensemble_path="${run_dir}/ensemble.json"
+ensemble_models_json="$(jq -c 'if .provider == "ensemble" then (.ensemble.models // []) else [] end' "$config_path")"
 scratchpad_copy_path="${run_dir}/scratchpad.jsonl"
 scratchpad_dir="${repo_root}/.dexter/scratchpad"
 arena_pack_path="${run_dir}/arena_input_pack.json"
@@ -269,10 +321,16 @@ arena_pack_enabled="${ARENA_INPUT_PACK_ENABLED:-1}"
 arena_pack_build_status="disabled"
 arena_pack_build_reason=""
 arena_pack_quality_status="unknown"
+arena_pack_schema_status="unchecked"
+arena_pack_schema_violations_json='[]'
 arena_pack_required_missing="0"
 arena_pack_benchmark_missing="0"
 arena_pack_yahoo_success="0"
 arena_pack_yahoo_total="0"
+arena_pack_fundamentals_json='null'
+arena_pack_drift_json='null'
+arena_pack_risk_breaches_json='[]'
+drift_rebalance_triggered=false
 arena_pack_warnings_json='[]'
 arena_pack_errors_json='[]'
 forbidden_tool_calls="0"
@@ -290,8 +348,26 @@ fd_news_expected_calls="0"
 fd_news_source_urls="0"
 fd_news_result_entries="0"
 fd_news_warning=""
+# ARENA_DEXTER_CASSETTE=record saves each Dexter attempt (main, retry,
+# tools_retry) as a JSONL cassette; =replay feeds saved cassettes back instead of
+# calling the provider, so validation and retries can be re-run offline.
+dexter_cassette_mode="${ARENA_DEXTER_CASSETTE:-off}"
+dexter_cassette_dir="${ARENA_DEXTER_CASSETTE_DIR:-${run_dir}/cassettes}"
+dexter_cassettes_json='[]'
+dexter_telemetry_json='[]'
+case "$dexter_cassette_mode" in
+  off|record|replay) ;;
+  *)
+    echo "Invalid ARENA_DEXTER_CASSETTE: ${dexter_cassette_mode} (expected off, record or replay)" >&2
+    exit 1
+    ;;
+esac
+if [[ "$dexter_cassette_mode" == "record" ]]; then
+  rm -f "${dexter_cassette_dir}/main.jsonl" "${dexter_cassette_dir}/retry.jsonl" "${dexter_cassette_dir}/tools_retry.jsonl" \
+    "${dexter_cassette_dir}"/main.*.jsonl "${dexter_cassette_dir}"/retry.*.jsonl "${dexter_cassette_dir}"/tools_retry.*.jsonl
+fi
 
-rm -f "$stdout_path" "$json_path" "$scratchpad_copy_path" "$arena_pack_path" "$arena_pack_prompt_path"
+rm -f "$stdout_path" "$json_path" "$scratchpad_copy_path" "$arena_pack_path" "$arena_pack_prompt_path" "$ensemble_path"
 
 started_at="$(date -u +"%Y-%m-%dT%H:%M:%SZ")"
 start_epoch="$(date +%s)"
@@ -304,11 +380,15 @@ strip_arena_pack_appendix "$canonical_prompt"
 
 if [[ "$arena_pack_enabled" == "1" || "$arena_pack_enabled" == "true" ]]; then
   arena_pack_build_status="running"
+  arena_pack_extra_args=()
+  if [[ -n "$last_rebalance_date" ]]; then
+    arena_pack_extra_args+=("--rebalance-checkpoint=${last_rebalance_date}")
+  fi
   set +e
   if [[ -n "${prev_output_path:-}" && -f "${prev_output_path:-}" ]]; then
-    bun run scripts/build_arena_input_pack.ts "$fund_id" "$run_date" "$arena_pack_path" "$prev_output_path" >> "$stdout_path" 2>&1
+    bun run scripts/build_arena_input_pack.ts "$fund_id" "$run_date" "$arena_pack_path" "$prev_output_path" ${arena_pack_extra_args[@]+"${arena_pack_extra_args[@]}"} >> "$stdout_path" 2>&1
   else
-    bun run scripts/build_arena_input_pack.ts "$fund_id" "$run_date" "$arena_pack_path" >> "$stdout_path" 2>&1
+    bun run scripts/build_arena_input_pack.ts "$fund_id" "$run_date" "$arena_pack_path" ${arena_pack_extra_args[@]+"${arena_pack_extra_args[@]}"} >> "$stdout_path" 2>&1
   fi
   arena_pack_exit_code=$?
   set -e
@@ -319,14 +399,52 @@ if [[ "$arena_pack_enabled" == "1" || "$arena_pack_enabled" == "true" ]]; then
     reason="$arena_pack_build_reason"
   else
     arena_pack_build_status="success"
+    # Fail loudly on a pack whose shape drifted from the schema instead of reading n/a everywhere below.
+    set +e
+    arena_pack_schema_report="$(node scripts/validate_arena_files.mjs --json "$arena_pack_path" 2>> "$stdout_path")"
+    arena_pack_schema_exit_code=$?
+    set -e
+    arena_pack_schema_violations_json="$(jq -c '[.violations[:20][] | {path, message}]' <<<"$arena_pack_schema_report" 2>/dev/null || echo '[]')"
+    if [[ "$arena_pack_schema_exit_code" -eq 0 ]]; then
+      arena_pack_schema_status="valid"
+    else
+      arena_pack_schema_status="invalid"
+      status="failed"
+      reason="Arena input pack failed schema validation ($(jq -r '(.violations | length | tostring) + " violation(s); first: " + (.violations[0] | "\(.path) \(.message)")' <<<"$arena_pack_schema_report" 2>/dev/null || echo 'validator error'))"
+    fi
+  fi
+  if [[ "$arena_pack_schema_status" == "valid" ]]; then
     arena_pack_quality_status="$(jq -r '.quality.status // "unknown"' "$arena_pack_path" 2>/dev/null || echo unknown)"
     arena_pack_required_missing="$(jq -r '.quality.required_symbol_coverage.missing_count // 0' "$arena_pack_path" 2>/dev/null || echo 0)"
     arena_pack_benchmark_missing="$(jq -r '.quality.benchmark_coverage.missing_count // 0' "$arena_pack_path" 2>/dev/null || echo 0)"
     arena_pack_yahoo_success="$(jq -r '.quality.yahoo_success_count // 0' "$arena_pack_path" 2>/dev/null || echo 0)"
     arena_pack_yahoo_total="$(jq -r '.quality.yahoo_symbol_count // 0' "$arena_pack_path" 2>/dev/null || echo 0)"
+    arena_pack_fundamentals_json="$(jq -c 'if .fundamentals then {provider: .fundamentals.provider, status: .fundamentals.status, success: .fundamentals.quality.success_count, eligible: .fundamentals.quality.eligible_count} else null end' "$arena_pack_path" 2>/dev/null || echo 'null')"
+    arena_pack_drift_json="$(jq -c '.portfolio_drift | if . then {checkpoint_date, total_abs_drift_pct, drift_threshold_pct, drift_rebalance_suggested, reason} else null end' "$arena_pack_path" 2>/dev/null || echo 'null')"
+    arena_pack_risk_breaches_json="$(jq -c '[(.risk_rule_breaches.breaches // [])[] | {rule_id, ticker, observed}]' "$arena_pack_path" 2>/dev/null || echo '[]')"
     arena_pack_warnings_json="$(jq -c '.quality.warnings // []' "$arena_pack_path" 2>/dev/null || echo '[]')"
     arena_pack_errors_json="$(jq -c '.quality.errors // []' "$arena_pack_path" 2>/dev/null || echo '[]')"
 
+    # Drift past the lane's threshold opens the rebalance window early; the cadence alone never closes it.
+    drift_override_note=""
+    if [[ "$(jq -r '.drift_rebalance_suggested // false' <<<"$arena_pack_drift_json")" == "true" && "$rebalance_due" != true ]]; then
+      rebalance_due=true
+      drift_rebalance_triggered=true
+      drift_override_note=$'\n'"- Drift override: $(jq -r '.reason' <<<"$arena_pack_drift_json"). Rebalance is due today despite the cadence; restoring target weights or an active rebalance is allowed."
+    fi
+    # rebalance_due is final here (drift override included). When it is false,
+    # validate_rebalance_policy rejects any weight change, so flagging is the
+    # only way to address a breach.
+    risk_rule_note=""
+    if [[ "$(jq 'length' <<<"$arena_pack_risk_breaches_json")" -gt 0 ]]; then
+      risk_rule_breach_list="$(jq -r 'map("\(.ticker) \(.rule_id)") | join(", ")' <<<"$arena_pack_risk_breaches_json")"
+      if [[ "$rebalance_due" == true ]]; then
+        risk_rule_note=$'\n'"- Risk rule breaches (${risk_rule_breach_list}): every breached holding must be trimmed, exited, or listed in \`thesis_damage_flags\` with the reason it is kept. The runner rejects outputs that ignore a breach."
+      else
+        risk_rule_note=$'\n'"- Risk rule breaches (${risk_rule_breach_list}): the rebalance is not due today, so do NOT trim or exit them (any weight change fails the run). List every breached holding in \`thesis_damage_flags\` with the reason it is kept; it can be trimmed or exited at the next rebalance. The runner rejects outputs that ignore a breach."
+      fi
+    fi
+
     if [[ "$arena_pack_quality_status" == "failed" ]]; then
       status="failed"
       reason="Arena input pack quality failed (required_missing=${arena_pack_required_missing}, benchmark_missing=${arena_pack_benchmark_missing})"
@@ -338,9 +456,10 @@ if [[ "$arena_pack_enabled" == "1" || "$arena_pack_enabled" == "true" ]]; then
 Deterministic market data pack (system-provided; supersedes earlier tool-fetch instructions for price/history)
 - Consistency check only: follow the template's pack-native policy.
 - Use \`arena_input_pack\` for all price/history/momentum calculations.
+- When the pack has a Fundamentals section, use it for valuation, growth, margin and earnings-date figures; do not re-fetch those ratios.
 - Do NOT request stock/ETF/crypto price snapshots or price history via Dexter tools.
 - Call \`financial_search\` at least once for qualitative/fundamental/news follow-up before final JSON.
-- If pack data is missing, write UNKNOWN and reduce confidence instead of using forbidden tool workarounds.
+- If pack data is missing, write UNKNOWN and reduce confidence instead of using forbidden tool workarounds.${drift_override_note}${risk_rule_note}
 
 Arena input pack file: ${arena_pack_path}
 $(cat "$arena_pack_prompt_path")
@@ -435,7 +554,6 @@ NODE
 
 validate_json_output() {
   local input_json="$1"
-  local disallowed_broad_index_etfs_json='["SPY","IVV","VOO","VTI","QQQ","IWM","DIA","VT","ACWI","EFA","EEM","VEA","IEFA","IEMG"]'
   if ! jq -e \
     --arg expected_run_date "$run_date" \
     --arg expected_fund_name "$fund_name" \
@@ -518,83 +636,9 @@ validate_json_output() {
     return 1
   fi
 
-  if ! jq -e \
-    --arg expected_run_date "$run_date" \
-    --arg expected_fund_name "$fund_name" \
-    --argjson expected_positions "$target_positions" \
-    --argjson min_position "$min_position_pct" \
-    --argjson max_position "$max_position_pct" \
-    --argjson max_sector "$max_sector_pct" \
-    --argjson max_crypto "$max_crypto_pct" \
-    --argjson disallowed_broad_index_etfs "$disallowed_broad_index_etfs_json" \
-    --argjson crypto_etfs '[
-      "IBIT","FBTC","GBTC","ARKB","BITB","HODL","BTCO","BRRR","EZBC","BTCW","BITO",
-      "ETHA","ETHE","FETH","ETHW"
-    ]' \
-    '
-      def norm_str:
-        tostring
-        | gsub("\\s+"; " ")
-        | sub("^\\s+"; "")
-        | sub("\\s+$"; "");
-      def sector_key:
-        (.sector | norm_str | ascii_upcase | gsub("[^A-Z0-9]+"; ""));
-      def is_crypto:
-        (
-          ((.sector | norm_str | ascii_upcase) | contains("CRYPTO"))
-          or
-          ((.ticker | ascii_upcase) | test("-(USD|USDT)$"))
-          or
-          ((.ticker | ascii_upcase) as $t | ($crypto_etfs | index($t)) != null)
-          or
-          ((.ticker | ascii_upcase) | test("(BTC|ETH)"))
-        );
-      (.run_date | norm_str) == $expected_run_date and
-      (.fund_name | norm_str) == $expected_fund_name and
-      (.target_portfolio | length == $expected_positions) and
-      (
-        all(
-          .target_portfolio[];
-          (.ticker | type == "string") and
-          ((.ticker | ascii_upcase) != "UNKNOWN") and
-          ((.ticker | ascii_upcase) != "CASH") and
-          (.sector | type == "string") and
-          ((.sector | ascii_upcase) != "UNKNOWN") and
-          (.weight_pct | type == "number") and
-          (.weight_pct >= ($min_position - 0.0001)) and
-          (.weight_pct <= ($max_position + 0.0001))
-        )
-      ) and
-      (
-        all(
-          .target_portfolio[];
-          (.ticker | ascii_upcase) as $ticker
-          | ($disallowed_broad_index_etfs | index($ticker) | not)
-        )
-      ) and
-      (
-        [ .target_portfolio[].ticker | ascii_upcase ] as $tickers
-        | ($tickers | length) == ($tickers | unique | length)
-      ) and
-      (
-        (.target_portfolio | map(.weight_pct) | add) as $total_weight
-        | ($total_weight >= 99.5 and $total_weight <= 100.5)
-      ) and
-      (
-        .target_portfolio
-        | sort_by(sector_key)
-        | group_by(sector_key)
-        | map(map(.weight_pct) | add)
-        | all(. <= ($max_sector + 0.0001))
-      ) and
-      (
-        ([ .target_portfolio[]
-          | select(is_crypto)
-          | .weight_pct
-        ] | add) as $crypto_weight
-        | (($crypto_weight // 0) <= ($max_crypto + 0.0001))
-      )
-    ' "$input_json" >/dev/null 2>&1; then
+  # Positions, tickers, sectors, weight bounds and total, sector and crypto caps:
+  # the same checkPortfolio the Dexter wrapper's contract check uses.
+  if ! node "${repo_root}/scripts/check_portfolio_constraints.mjs" "$input_json" "$config_path" >/dev/null 2>&1; then
     reason="Portfolio validation failed (positions, weights, sector, or crypto limits)"
     return 1
   fi
@@ -648,190 +692,22 @@ validate_rebalance_policy() {
     return 0
   fi
 
-  local policy_error=""
-  if ! policy_error="$(
-    node - "$prev_output_path" "$input_json" "$rebalance_due" "$must_rebalance_today" <<'NODE'
-const fs = require('node:fs');
-
-const prevPath = process.argv[2];
-const currPath = process.argv[3];
-const rebalanceDue = String(process.argv[4] || '').toLowerCase() === 'true';
-const mustRebalanceToday = String(process.argv[5] || '').toLowerCase() === 'true';
-const tolerance = 0.01;
-
-function readJson(path) {
-  return JSON.parse(fs.readFileSync(path, 'utf8'));
-}
-
-function asMap(portfolio) {
-  const map = new Map();
-  for (const item of portfolio || []) {
-    if (!item || typeof item.ticker !== 'string') continue;
-    const ticker = item.ticker.trim().toUpperCase();
-    const weight = Number(item.weight_pct || 0);
-    if (!ticker || !Number.isFinite(weight)) continue;
-    map.set(ticker, weight);
-  }
-  return map;
-}
-
-function getWeight(map, ticker) {
-  if (!ticker) return 0;
-  return map.get(ticker) ?? 0;
-}
-
-function approxEqual(a, b) {
-  return Math.abs(a - b) <= tolerance;
-}
-
-function fail(message) {
-  process.stdout.write(`${message}\n`);
-  process.exit(1);
-}
-
-let prev;
-let curr;
-try {
-  prev = readJson(prevPath);
-  curr = readJson(currPath);
-} catch {
-  fail('Failed to parse portfolio state for rebalance policy validation.');
-}
-
-const prevMap = asMap(prev?.target_portfolio || []);
-const currMap = asMap(curr?.target_portfolio || []);
-const keys = [...new Set([...prevMap.keys(), ...currMap.keys()])];
-const changedTickers = keys.filter((ticker) => !approxEqual(getWeight(prevMap, ticker), getWeight(currMap, ticker)));
-const samePortfolio = changedTickers.length === 0;
-
-const action = String(curr?.trade_of_the_day?.action || '').trim();
-const addTicker = String(curr?.trade_of_the_day?.add_ticker || '').trim().toUpperCase();
-const removeTicker = String(curr?.trade_of_the_day?.remove_ticker || '').trim().toUpperCase();
-const rebalanceActions = Array.isArray(curr?.rebalance_actions) ? curr.rebalance_actions : [];
-const actionfulRebalanceActions = rebalanceActions.filter(
-  (a) => String(a?.action || '').trim() !== 'Do nothing'
-);
-const deltaByTicker = new Map(
-  keys.map((ticker) => [ticker, getWeight(currMap, ticker) - getWeight(prevMap, ticker)])
-);
-
-function increased(ticker) {
-  return (deltaByTicker.get(String(ticker || '').toUpperCase()) || 0) > tolerance;
-}
-
-function decreased(ticker) {
-  return (deltaByTicker.get(String(ticker || '').toUpperCase()) || 0) < -tolerance;
-}
-
-if (!rebalanceDue) {
-  if (action !== 'Do nothing') {
-    fail('Rebalance cadence not due yet: action must be "Do nothing".');
-  }
-  if (!samePortfolio) {
-    fail('Rebalance cadence not due yet: target_portfolio must remain unchanged.');
-  }
-  if (actionfulRebalanceActions.length > 0) {
-    fail('Rebalance cadence not due yet: rebalance_actions must be empty (or only "Do nothing").');
-  }
-  process.exit(0);
-}
-
-if (mustRebalanceToday) {
-  if (action === 'Do nothing') {
-    fail('Previous scheduled rebalance failed: this run must perform at least one active rebalance action.');
-  }
-  if (samePortfolio) {
-    fail('Previous scheduled rebalance failed: target_portfolio must change on this catch-up rebalance run.');
-  }
-  if (actionfulRebalanceActions.length === 0) {
-    fail('Previous scheduled rebalance failed: rebalance_actions must include at least one active action.');
-  }
-}
-
-if (action === 'Do nothing') {
-  if (!samePortfolio) {
-    fail('Action "Do nothing" requires an unchanged target_portfolio.');
-  }
-  if (actionfulRebalanceActions.length > 0) {
-    fail('When headline action is "Do nothing", rebalance_actions cannot include active trades.');
-  }
-  process.exit(0);
-}
-
-if (samePortfolio) {
-  fail(`Action "${action}" requires at least one portfolio weight change.`);
-}
-
-if (actionfulRebalanceActions.length === 0) {
-  fail('Rebalance due today with portfolio changes: rebalance_actions must include at least one active action.');
-}
-
-if (action === 'Add') {
-  if (!addTicker) {
-    fail('Action "Add" requires add_ticker.');
-  }
-  if (removeTicker) {
-    fail('Action "Add" must not set remove_ticker.');
-  }
-  if (!increased(addTicker)) {
-    fail('Action "Add" requires add_ticker weight to increase vs prior portfolio.');
-  }
-  process.exit(0);
-}
-
-if (action === 'Trim') {
-  if (!addTicker || !removeTicker) {
-    fail('Action "Trim" requires both add_ticker and remove_ticker.');
-  }
-  if (!decreased(removeTicker)) {
-    fail('Action "Trim" requires remove_ticker weight to decrease vs prior portfolio.');
-  }
-  if (!increased(addTicker)) {
-    fail('Action "Trim" requires add_ticker weight to increase vs prior portfolio.');
-  }
-}
-
-if (action === 'Replace') {
-  if (!addTicker || !removeTicker) {
-    fail('Action "Replace" requires both add_ticker and remove_ticker.');
-  }
-  if (!decreased(removeTicker)) {
-    fail('Action "Replace" requires remove_ticker weight to decrease vs prior portfolio.');
-  }
-  if (!increased(addTicker)) {
-    fail('Action "Replace" requires add_ticker weight to increase vs prior portfolio.');
-  }
-}
-
-for (const rawAction of actionfulRebalanceActions) {
-  const actionType = String(rawAction?.action || '').trim();
-  const actionAdd = String(rawAction?.add_ticker || '').trim().toUpperCase();
-  const actionRemove = String(rawAction?.remove_ticker || '').trim().toUpperCase();
-  if (actionType === 'Add') {
-    if (!actionAdd || !increased(actionAdd)) {
-      fail(`rebalance_actions Add is not reflected in portfolio deltas for ticker ${actionAdd || 'UNKNOWN'}.`);
-    }
-    continue;
-  }
-  if (actionType === 'Trim' || actionType === 'Replace') {
-    if (!actionAdd || !actionRemove) {
-      fail(`rebalance_actions ${actionType} requires add_ticker and remove_ticker.`);
-    }
-    if (!decreased(actionRemove)) {
-      fail(`rebalance_actions ${actionType} requires remove_ticker ${actionRemove} to decrease vs prior portfolio.`);
-    }
-    if (!increased(actionAdd)) {
-      fail(`rebalance_actions ${actionType} requires add_ticker ${actionAdd} to increase vs prior portfolio.`);
-    }
-    continue;
-  }
-}
+  local policy_args=(--previous "$prev_output_path")
+  [[ "$rebalance_due" == "true" ]] || policy_args+=(--not-due)
+  if [[ "$must_rebalance_today" == "true" ]]; then
+    policy_args+=(--must-rebalance)
+  fi
 
-if (action !== 'Add' && action !== 'Trim' && action !== 'Replace') {
-  fail(`Unsupported trade_of_the_day.action for rebalance policy validation: "${action}"`);
-}
-NODE
-  )"; then
+  # Only the policy check matters here: validate_json_output has already
+  # passed the portfolio itself. Exit codes above 1 mean unreadable input.
+  local report="" policy_error="" check_exit=0
+  report="$(node "${repo_root}/scripts/check_portfolio_constraints.mjs" "$input_json" "$config_path" "${policy_args[@]}" 2>/dev/null)" || check_exit=$?
+  if (( check_exit > 1 )) || [[ -z "$report" ]]; then
+    policy_error="Failed to parse portfolio state for rebalance policy validation."
+  else
+    policy_error="$(jq -r '.policy_violations[0].message // empty' <<<"$report")"
+  fi
+  if [[ -n "$policy_error" ]]; then
     reason="Rebalance policy validation failed: ${policy_error:-Unknown policy violation}"
     return 1
   fi
@@ -839,191 +715,41 @@ NODE
   return 0
 }
 
-rebalance_portfolio_if_possible() {
+# Holdings that breach a lane risk rule (arena pack risk_rule_breaches) must be
+# trimmed, exited, or flagged in thesis_damage_flags.
+validate_risk_rule_breaches() {
   local input_json="$1"
-  node - "$input_json" "$target_positions" "$min_position_pct" "$max_position_pct" "$max_sector_pct" <<'NODE'
-const fs = require('node:fs');
-
-const [, , jsonPath, expectedPositionsRaw, minPositionRaw, maxPositionRaw, maxSectorRaw] = process.argv;
-const expectedPositions = Number(expectedPositionsRaw);
-const minPosition = Number(minPositionRaw);
-const maxPosition = Number(maxPositionRaw);
-const maxSector = Number(maxSectorRaw);
-const targetTotalBp = 10000;
-const minWeightBp = Math.round(minPosition * 100);
-const maxPositionBp = Math.floor(maxPosition * 100 + 1e-6);
-const maxSectorBp = Math.floor(maxSector * 100 + 1e-6);
-
-if (!Number.isFinite(expectedPositions) || expectedPositions <= 0) process.exit(1);
-if (!Number.isFinite(minWeightBp) || minWeightBp <= 0) process.exit(1);
-if (!Number.isFinite(maxPositionBp) || maxPositionBp < minWeightBp) process.exit(1);
-if (!Number.isFinite(maxSectorBp) || maxSectorBp < minWeightBp) process.exit(1);
-
-let doc;
-try {
-  doc = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-} catch {
-  process.exit(1);
-}
-
-if (!doc || !Array.isArray(doc.target_portfolio) || doc.target_portfolio.length !== expectedPositions) {
-  process.exit(1);
-}
-
-const portfolio = doc.target_portfolio;
-const tickers = new Set();
-const sectors = [];
-const weightsBp = [];
-
-for (const item of portfolio) {
-  if (!item || typeof item.ticker !== 'string' || typeof item.sector !== 'string') process.exit(1);
-  const ticker = item.ticker.trim().toUpperCase();
-  const sector = item.sector.trim();
-  const rawWeight = Number(item.weight_pct);
-  if (!ticker || ticker === 'UNKNOWN' || ticker === 'CASH' || tickers.has(ticker)) process.exit(1);
-  if (!sector || sector.toUpperCase() === 'UNKNOWN') process.exit(1);
-  if (!Number.isFinite(rawWeight) || rawWeight <= 0) process.exit(1);
-  tickers.add(ticker);
-  sectors.push(sector);
-  weightsBp.push(Math.max(minWeightBp, Math.round(rawWeight * 100)));
-}
 
-const buildSectorSums = () => {
-  const sums = new Map();
-  for (let i = 0; i < weightsBp.length; i += 1) {
-    sums.set(sectors[i], (sums.get(sectors[i]) ?? 0) + weightsBp[i]);
-  }
-  return sums;
-};
-
-const distribute = (amount) => {
-  let remaining = amount;
-  let guard = 0;
-  while (remaining > 0 && guard < 20000) {
-    guard += 1;
-    const sectorSums = buildSectorSums();
-    let bestIndex = -1;
-    let bestRoom = 0;
-    for (let i = 0; i < weightsBp.length; i += 1) {
-      const posRoom = maxPositionBp - weightsBp[i];
-      const sectorRoom = maxSectorBp - (sectorSums.get(sectors[i]) ?? 0);
-      const room = Math.min(posRoom, sectorRoom);
-      if (room > bestRoom) {
-        bestRoom = room;
-        bestIndex = i;
-      }
-    }
-    if (bestIndex < 0 || bestRoom <= 0) return false;
-    const add = Math.min(remaining, bestRoom);
-    weightsBp[bestIndex] += add;
-    remaining -= add;
-  }
-  return remaining === 0;
-};
-
-const removeOverweightSectors = () => {
-  const sectorSums = buildSectorSums();
-  let moved = 0;
-  const overSectors = [...sectorSums.keys()].sort().filter((sector) => (sectorSums.get(sector) ?? 0) > maxSectorBp);
-  for (const sector of overSectors) {
-    let excess = (sectorSums.get(sector) ?? 0) - maxSectorBp;
-    const indices = weightsBp
-      .map((weight, i) => ({ i, weight, ticker: String(portfolio[i].ticker).toUpperCase() }))
-      .filter((entry) => sectors[entry.i] === sector)
-      .sort((a, b) => {
-        if (b.weight !== a.weight) return b.weight - a.weight;
-        return a.ticker.localeCompare(b.ticker);
-      })
-      .map((entry) => entry.i);
-
-    for (const idx of indices) {
-      if (excess <= 0) break;
-      const removable = weightsBp[idx] - minWeightBp;
-      if (removable <= 0) continue;
-      const cut = Math.min(removable, excess);
-      weightsBp[idx] -= cut;
-      excess -= cut;
-      moved += cut;
-    }
-    if (excess > 0) return null;
-  }
-  return moved;
-};
-
-for (let i = 0; i < weightsBp.length; i += 1) {
-  if (weightsBp[i] > maxPositionBp) {
-    weightsBp[i] = maxPositionBp;
-  }
-}
-
-let currentTotal = weightsBp.reduce((sum, v) => sum + v, 0);
-if (currentTotal > targetTotalBp) {
-  let needRemove = currentTotal - targetTotalBp;
-  const sorted = weightsBp
-    .map((w, i) => ({ i, w }))
-    .sort((a, b) => b.w - a.w)
-    .map((entry) => entry.i);
-  for (const idx of sorted) {
-    if (needRemove <= 0) break;
-    const removable = weightsBp[idx] - minWeightBp;
-    if (removable <= 0) continue;
-    const cut = Math.min(removable, needRemove);
-    weightsBp[idx] -= cut;
-    needRemove -= cut;
-  }
-  if (needRemove > 0) process.exit(1);
-} else if (currentTotal < targetTotalBp) {
-  if (!distribute(targetTotalBp - currentTotal)) process.exit(1);
-}
-
-for (let iter = 0; iter < 12; iter += 1) {
-  const moved = removeOverweightSectors();
-  if (moved === null) process.exit(1);
-  if (moved === 0) break;
-  if (!distribute(moved)) process.exit(1);
-}
+  if [[ "$(jq 'length' <<<"$arena_pack_risk_breaches_json")" -eq 0 ]]; then
+    return 0
+  fi
 
-currentTotal = weightsBp.reduce((sum, v) => sum + v, 0);
-if (currentTotal < targetTotalBp) {
-  if (!distribute(targetTotalBp - currentTotal)) process.exit(1);
-} else if (currentTotal > targetTotalBp) {
-  let needRemove = currentTotal - targetTotalBp;
-  const sorted = weightsBp
-    .map((w, i) => ({ i, w }))
-    .sort((a, b) => b.w - a.w)
-    .map((entry) => entry.i);
-  for (const idx of sorted) {
-    if (needRemove <= 0) break;
-    const removable = weightsBp[idx] - minWeightBp;
-    if (removable <= 0) continue;
-    const cut = Math.min(removable, needRemove);
-    weightsBp[idx] -= cut;
-    needRemove -= cut;
-  }
-  if (needRemove > 0) process.exit(1);
-}
+  # Same check as check_portfolio_constraints.mjs --risk-breaches; only its
+  # risk_rule_violations matter here. Exit codes above 1 mean unreadable input.
+  local breach_args=(--risk-breaches "$arena_pack_path")
+  if [[ -n "${prev_output_path:-}" && -f "${prev_output_path}" ]]; then
+    breach_args+=(--previous "$prev_output_path")
+  fi
+  local report="" breach_error="" check_exit=0
+  report="$(node "${repo_root}/scripts/check_portfolio_constraints.mjs" "$input_json" "$config_path" "${breach_args[@]}" 2>/dev/null)" || check_exit=$?
+  if (( check_exit > 1 )) || [[ -z "$report" ]]; then
+    breach_error="Failed to parse portfolio state for risk rule validation."
+  elif [[ "$(jq '.risk_rule_violations | length' <<<"$report")" -gt 0 ]]; then
+    breach_error="breached holdings not trimmed, exited or listed in thesis_damage_flags: $(jq -r '[.risk_rule_violations[] | "\(.ticker) (\(.rule_id))"] | unique | join(", ")' <<<"$report")"
+  fi
+  if [[ -n "$breach_error" ]]; then
+    reason="Risk rule validation failed: ${breach_error}"
+    return 1
+  fi
 
-const finalSectorSums = buildSectorSums();
-for (const sum of finalSectorSums.values()) {
-  if (sum > maxSectorBp) process.exit(1);
-}
-for (const weight of weightsBp) {
-  if (weight < minWeightBp || weight > maxPositionBp) process.exit(1);
+  return 0
 }
-if (weightsBp.reduce((sum, v) => sum + v, 0) !== targetTotalBp) process.exit(1);
 
-for (let i = 0; i < portfolio.length; i += 1) {
-  portfolio[i].weight_pct = Number((weightsBp[i] / 100).toFixed(2));
-}
-doc.constraints_check = {
-  max_position_ok: true,
-  max_sector_ok: true,
-  max_crypto_ok: true,
-  notes: "Weights were deterministically rebalanced to satisfy position and sector constraints."
-};
-
-fs.writeFileSync(jsonPath, `${JSON.stringify(doc, null, 2)}\n`);
-NODE
+# Move the weights to the closest ones that meet the position bounds and the
+# sector and crypto caps (scripts/lib/portfolio_constraints.mjs), in place.
+rebalance_portfolio_if_possible() {
+  local input_json="$1"
+  node "${repo_root}/scripts/check_portfolio_constraints.mjs" "$input_json" "$config_path" --project --write >/dev/null 2>&1
 }
 
 attempt_rebalance_if_needed() {
@@ -1049,6 +775,9 @@ attempt_rebalance_if_needed() {
   if ! validate_rebalance_policy "$json_path"; then
     return 1
   fi
+  if ! validate_risk_rule_breaches "$json_path"; then
+    return 1
+  fi
 
   status="success"
   reason=""
@@ -1056,18 +785,69 @@ attempt_rebalance_if_needed() {
   return 0
 }
 
+# Append one attempt's dexter_run_once telemetry to dexter_telemetry_json; an
+# attempt killed before writing it (e.g. by the timeout) gets a stub entry.
+record_attempt_telemetry() {
+  local attempt_label="$1"
+  local telemetry_path="$2"
+  local exit_code="$3"
+  local entry=""
+  if [[ -s "$telemetry_path" ]]; then
+    entry="$(jq -c --arg attempt "$attempt_label" --argjson exit_code "$exit_code" \
+      '{ attempt: $attempt, exit_code: $exit_code } + .' "$telemetry_path" 2>/dev/null || true)"
+  fi
+  if [[ -z "$entry" ]]; then
+    entry="$(jq -nc --arg attempt "$attempt_label" --argjson exit_code "$exit_code" \
+      '{ attempt: $attempt, exit_code: $exit_code, status: (if $exit_code == 124 then "timed_out" else "failed" end), telemetry_missing: true }')"
+  fi
+  dexter_telemetry_json="$(jq -c --argjson entry "$entry" '. + [$entry]' <<<"$dexter_telemetry_json")"
+  rm -f "$telemetry_path"
+}
+
 run_dexter_attempt() {
   local prompt_path="$1"
-  rm -f "$json_path"
+  local attempt_label="$2"
+  local cassette_path=""
+  local telemetry_path
+  telemetry_path="$(mktemp)"
+  # The agent loop stops at the deadline and synthesizes from what it has, so
+  # keep a reserve under the outer timeout for that pass and the repairs.
+  local dexter_timeout="${DEXTER_TIMEOUT_SECONDS:-900}"
+  local deadline_default=$(( dexter_timeout > 240 ? dexter_timeout - 120 : dexter_timeout / 2 ))
+  rm -f "$json_path" "$ensemble_path"
   status="success"
   reason=""
 
+  if [[ "$dexter_cassette_mode" != "off" ]]; then
+    cassette_path="${dexter_cassette_dir}/${attempt_label}.jsonl"
+    # Ensemble members record to <attempt>.<model>.jsonl beside it.
+    dexter_cassettes_json="$(jq -c --arg attempt "$attempt_label" --arg path "${cassette_path#"${repo_root}"/}" \
+      --argjson models "$ensemble_models_json" '
+      . + [{ attempt: $attempt, path: $path }
+        + (if ($models | length) > 0
+           then { member_paths: ($models | map(($path | sub("\\.jsonl$"; "")) + "." + gsub("[^A-Za-z0-9._-]+"; "_") + ".jsonl")) }
+           else {} end)]
+    ' <<<"$dexter_cassettes_json")"
+  fi
+
   set +e
   (
     cd "$repo_root"
     DEXTER_MODEL="$model" \
     DEXTER_PROMPT_FILE="$prompt_path" \
     DEXTER_MAX_ITERATIONS="${DEXTER_MAX_ITERATIONS:-10}" \
+    DEXTER_FUND_CONFIG="$config_path" \
+    DEXTER_RUN_DATE="$run_date" \
+    DEXTER_PREVIOUS_OUTPUT="${prev_output_path:-}" \
+    DEXTER_ENSEMBLE_FILE="$ensemble_path" \
+    DEXTER_MAX_REPAIR_ROUNDS="${DEXTER_MAX_REPAIR_ROUNDS:-2}" \
+    DEXTER_MAX_TOOL_CALLS="${DEXTER_MAX_TOOL_CALLS:-20}" \
+    DEXTER_MAX_FINANCIAL_SEARCH_CALLS="${DEXTER_MAX_FINANCIAL_SEARCH_CALLS:-12}" \
+    DEXTER_DEADLINE_SECONDS="${DEXTER_DEADLINE_SECONDS:-$deadline_default}" \
+    DEXTER_TIMEOUT_SECONDS="$dexter_timeout" \
+    DEXTER_CASSETTE_MODE="$dexter_cassette_mode" \
+    DEXTER_CASSETTE_FILE="$cassette_path" \
+    DEXTER_TELEMETRY_FILE="$telemetry_path" \
     bash -lc '
       if command -v timeout >/dev/null 2>&1; then
         timeout "${DEXTER_TIMEOUT_SECONDS:-900}" bun run scripts/dexter_run_once.ts
@@ -1078,6 +858,7 @@ run_dexter_attempt() {
   ) 2>&1 | tee "$stdout_path"
   dexter_exit_code="${PIPESTATUS[0]}"
   set -e
+  record_attempt_telemetry "$attempt_label" "$telemetry_path" "$dexter_exit_code"
 
   if [[ "$dexter_exit_code" -ne 0 ]]; then
     status="failed"
@@ -1122,14 +903,18 @@ run_dexter_attempt() {
     status="failed"
     return
   fi
+  if ! validate_risk_rule_breaches "$json_path"; then
+    status="failed"
+    return
+  fi
 }
 
 if [[ "$status" == "success" ]]; then
-  run_dexter_attempt "$canonical_prompt"
+  run_dexter_attempt "$canonical_prompt" main
   attempt_rebalance_if_needed || true
 fi
 
-if [[ "$status" == "failed" && ( "$reason" == "JSON validation failed (schema or risk constraints)" || "$reason" == "Portfolio validation failed (positions, weights, sector, or crypto limits)" || "$reason" == "stdout did not contain a valid JSON object" || "$reason" == Rebalance\ policy\ validation\ failed:* ) ]]; then
+if [[ "$status" == "failed" && ( "$reason" == "JSON validation failed (schema or risk constraints)" || "$reason" == "Portfolio validation failed (positions, weights, sector, or crypto limits)" || "$reason" == "stdout did not contain a valid JSON object" || "$reason" == Rebalance\ policy\ validation\ failed:* || "$reason" == Risk\ rule\ validation\ failed:* ) ]]; then
   retry_used=true
   retry_prompt="${run_dir}/prompt.retry.txt"
   previous_output="$(cat "$json_path" 2>/dev/null || echo '{}')"
@@ -1153,10 +938,11 @@ Validation requirements:
 - size_change_pct in trade_of_the_day and every rebalance_actions item must be a non-negative number (use positive magnitude for Trim/Replace).
 - \`rebalance_actions\` must be an array and include the full action set for this run (empty only when no rebalance activity).
 - constraints_check.max_position_ok, constraints_check.max_sector_ok, and constraints_check.max_crypto_ok must all be true and consistent with your portfolio.
-- Rebalance cadence: ${rebalance_cadence}. Last checkpoint: ${last_rebalance_date:-NONE}. Days since checkpoint: ${days_since_last_rebalance}. Rebalance due today: ${rebalance_due}. Minimum spacing: ${min_rebalance_days} days.
+- Rebalance cadence: ${rebalance_cadence}. Last checkpoint: ${last_rebalance_date:-NONE}. Days since checkpoint: ${days_since_last_rebalance} (${sessions_since_last_rebalance} NYSE sessions). Rebalance due today: ${rebalance_due}. Minimum spacing: ${min_rebalance_sessions} NYSE sessions or ${min_rebalance_days} calendar days, whichever comes first.
 - Missed scheduled rebalance pending: ${missed_scheduled_rebalance}. Must perform active rebalance today: ${must_rebalance_today}. Reason: ${missed_rebalance_reason}
 - If rebalance is not due, action must be "Do nothing" and target_portfolio must exactly match the prior portfolio.
 - If "Must perform active rebalance today" is true, action must NOT be "Do nothing" and target_portfolio must differ from the prior portfolio.
+- Risk rule breaches from the arena input pack: $(jq -r 'if length == 0 then "none" else map("\(.ticker) \(.rule_id)") | join(", ") end' <<<"$arena_pack_risk_breaches_json"). Each breached holding must be trimmed, exited, or listed in thesis_damage_flags.
 
 Previous failure reason:
 ${reason}
@@ -1170,7 +956,7 @@ ${previous_output}
 Original assignment:
 $(cat "$canonical_prompt")
 EOF
-  run_dexter_attempt "$retry_prompt"
+  run_dexter_attempt "$retry_prompt" retry
   attempt_rebalance_if_needed || true
   rm -f "$retry_prompt"
   if [[ "$status" == "failed" ]]; then
@@ -1548,7 +1334,7 @@ Failure to call the required \`financial_search\` tool is treated as a failed ru
 Original assignment:
 $(cat "$canonical_prompt")
 EOF
-      run_dexter_attempt "$tool_retry_prompt"
+      run_dexter_attempt "$tool_retry_prompt" tools_retry
       attempt_rebalance_if_needed || true
       rm -f "$tool_retry_prompt"
       if [[ "$status" == "failed" ]]; then
@@ -1671,11 +1457,16 @@ jq -n \
   --arg arena_pack_build_reason "$arena_pack_build_reason" \
   --arg arena_pack_path "$arena_pack_path" \
   --arg arena_pack_quality_status "$arena_pack_quality_status" \
+  --arg arena_pack_schema_status "$arena_pack_schema_status" \
+  --argjson arena_pack_schema_violations "$arena_pack_schema_violations_json" \
   --argjson arena_pack_enabled "$( [[ "$arena_pack_enabled" == "1" || "$arena_pack_enabled" == "true" ]] && echo true || echo false )" \
   --argjson arena_pack_required_missing "$arena_pack_required_missing" \
   --argjson arena_pack_benchmark_missing "$arena_pack_benchmark_missing" \
   --argjson arena_pack_yahoo_success "$arena_pack_yahoo_success" \
   --argjson arena_pack_yahoo_total "$arena_pack_yahoo_total" \
+  --argjson arena_pack_fundamentals "$arena_pack_fundamentals_json" \
+  --argjson arena_pack_drift "$arena_pack_drift_json" \
+  --argjson arena_pack_risk_breaches "$arena_pack_risk_breaches_json" \
   --argjson arena_pack_warnings "$arena_pack_warnings_json" \
   --argjson arena_pack_errors "$arena_pack_errors_json" \
   --arg forbidden_tool_names "$forbidden_tool_names_csv" \
@@ -1693,15 +1484,21 @@ jq -n \
   --argjson fd_news_result_entries "$fd_news_result_entries" \
   --arg fd_news_warning "$fd_news_warning" \
   --argjson dexter_exit_code "$dexter_exit_code" \
+  --arg dexter_cassette_mode "$dexter_cassette_mode" \
+  --argjson dexter_cassettes "$dexter_cassettes_json" \
+  --argjson dexter_telemetry "$dexter_telemetry_json" \
+  --argjson ensemble "$(jq -c . "$ensemble_path" 2>/dev/null || echo null)" \
   --argjson output_json_valid "$output_json_valid" \
   --argjson scratchpad_found "$( [[ -n "$latest_scratchpad" ]] && echo true || echo false )" \
   --arg prev_attempted_date "$prev_attempted_date" \
   --arg prev_attempted_status "$prev_attempted_status" \
   --arg last_rebalance_date "$last_rebalance_date" \
   --arg days_since_last_rebalance "$days_since_last_rebalance" \
+  --arg sessions_since_last_rebalance "$sessions_since_last_rebalance" \
   --argjson rebalance_due "$( [[ "$rebalance_due" == true ]] && echo true || echo false )" \
   --argjson missed_scheduled_rebalance "$( [[ "$missed_scheduled_rebalance" == true ]] && echo true || echo false )" \
   --argjson must_rebalance_today "$( [[ "$must_rebalance_today" == true ]] && echo true || echo false )" \
+  --argjson drift_rebalance_triggered "$( [[ "$drift_rebalance_triggered" == true ]] && echo true || echo false )" \
   --arg missed_rebalance_reason "$missed_rebalance_reason" \
   '{
     fund_id: $fund_id,
@@ -1716,19 +1513,24 @@ jq -n \
     fd_source_url_count: $fd_source_urls,
     output_json_valid: $output_json_valid,
     api_errors: $api_errors,
-    data_contract_version: "arena-input-pack-v1",
+    data_contract_version: "arena-input-pack-v2",
     arena_input_pack: {
       enabled: $arena_pack_enabled,
       build_status: $arena_pack_build_status,
       build_reason: (if $arena_pack_build_reason == "" then null else $arena_pack_build_reason end),
       path: (if $arena_pack_path == "" then null else $arena_pack_path end),
       quality_status: $arena_pack_quality_status,
+      schema_status: $arena_pack_schema_status,
+      schema_violations: $arena_pack_schema_violations,
       market_data_quality: {
         required_missing: $arena_pack_required_missing,
         benchmark_missing: $arena_pack_benchmark_missing,
         yahoo_success: $arena_pack_yahoo_success,
         yahoo_total: $arena_pack_yahoo_total
       },
+      fundamentals: $arena_pack_fundamentals,
+      portfolio_drift: $arena_pack_drift,
+      risk_rule_breaches: $arena_pack_risk_breaches,
       warnings: $arena_pack_warnings,
       errors: $arena_pack_errors
     },
@@ -1754,12 +1556,28 @@ jq -n \
       previous_attempted_run_status: (if $prev_attempted_status == "" then null else $prev_attempted_status end),
       last_rebalance_checkpoint_date: (if $last_rebalance_date == "" then null else $last_rebalance_date end),
       days_since_last_rebalance: $days_since_last_rebalance,
+      sessions_since_last_rebalance: $sessions_since_last_rebalance,
       rebalance_due: $rebalance_due,
       missed_scheduled_rebalance: $missed_scheduled_rebalance,
       must_rebalance_today: $must_rebalance_today,
+      drift_rebalance_triggered: $drift_rebalance_triggered,
       missed_rebalance_reason: (if $missed_rebalance_reason == "" then null else $missed_rebalance_reason end)
     },
     dexter_exit_code: $dexter_exit_code,
+    dexter_cassette: { mode: $dexter_cassette_mode, attempts: $dexter_cassettes },
+    ensemble: $ensemble,
+    telemetry: {
+      attempts: $dexter_telemetry,
+      wall_ms: ([$dexter_telemetry[] | .wall_ms // 0] | add // 0),
+      tool_calls: ([$dexter_telemetry[] | .tool_calls // 0] | add // 0),
+      input_tokens: ([$dexter_telemetry[] | (.usage // {})[] | .input_tokens] | add),
+      output_tokens: ([$dexter_telemetry[] | (.usage // {})[] | .output_tokens] | add),
+      cost_usd: ([$dexter_telemetry[] | .cost_usd.total // empty] | add),
+      synthesis_fallback_used: any($dexter_telemetry[]; .synthesis_fallback.used == true),
+      synthesis_fallback_rescued: any($dexter_telemetry[]; .synthesis_fallback.used == true and .synthesis_fallback.succeeded == true),
+      contract_repair_rounds: ([$dexter_telemetry[] | (.contract_repair.rounds // []) | length] | add // 0),
+      budget_stops: [$dexter_telemetry[] | select(.budget.stopped_by != null) | { attempt, stopped_by: .budget.stopped_by }]
+    },
     scratchpad_found: $scratchpad_found,
     scratchpad_source: (if $scratchpad_source == "" then null else $scratchpad_source end)
   }' > "$meta_path"
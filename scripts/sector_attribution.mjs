@@ -0,0 +1,113 @@
+// sector_attribution.mjs — Sector-level Brinson attribution of a lane's excess return.
+// Usage: node scripts/sector_attribution.mjs <fund_id> <provider> <run_date> <benchmark_ticker> [sectors_config]
+// Output: JSON to stdout with per-segment and since-inception allocation,
+// selection and interaction effects (see lib/attribution.mjs).
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  createMarketDataProvider,
+  dateMs,
+  isDateStr,
+  mapWithConcurrency,
+  resolveReturnBasis,
+  splitMarketDataArgs,
+} from './lib/market_data.mjs';
+import { benchmarkSectors, loadSectorConfig, sectorAttribution } from './lib/attribution.mjs';
+import { baseCurrencyChartFor, requiredFxPairs, resolveBaseCurrency } from './lib/fx.mjs';
+import { computeNav, loadSuccessfulRuns } from './lib/nav.mjs';
+import { createPriceStore } from './lib/price_store.mjs';
+
+const DEFAULT_SECTORS_CONFIG = 'funds/arena/benchmark_sectors.json';
+
+function readFundConfig(fundId) {
+  try {
+    return JSON.parse(readFileSync(join('funds', fundId, 'fund.config.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function emptyResult({ returnBasis = null, baseCurrency = null, benchmarkTicker = '', inceptionDate = null, reason = null } = {}) {
+  return {
+    method: 'brinson_fachler_sector',
+    return_basis: returnBasis,
+    base_currency: baseCurrency,
+    benchmark_ticker: benchmarkTicker || null,
+    inception_date: inceptionDate,
+    asof_price_date: null,
+    reason,
+    since_inception: null,
+    segments: [],
+    missing_proxies: [],
+  };
+}
+
+async function main() {
+  const { args, options: marketDataOptions } = splitMarketDataArgs(process.argv.slice(2));
+  const [fundId, provider, runDateArg, benchmarkTickerArg = '', configPathArg = ''] = args;
+  const runDate = String(runDateArg || '').trim();
+  const benchmarkTicker = String(benchmarkTickerArg || '').trim();
+  const configPath = String(configPathArg || '').trim() || DEFAULT_SECTORS_CONFIG;
+
+  if (!fundId || !provider || !isDateStr(runDate) || !benchmarkTicker) {
+    console.log(JSON.stringify(emptyResult({ benchmarkTicker, reason: 'invalid arguments' })));
+    return;
+  }
+
+  const fundConfig = readFundConfig(fundId);
+  const returnBasis = resolveReturnBasis(fundConfig);
+  const baseCurrency = resolveBaseCurrency(fundConfig);
+  const sectorConfig = loadSectorConfig(configPath);
+  const benchSectors = benchmarkSectors(sectorConfig, benchmarkTicker);
+  if (benchSectors.length === 0) {
+    console.log(JSON.stringify(emptyResult({ returnBasis, baseCurrency, benchmarkTicker, reason: `no sector weights for ${benchmarkTicker} in ${configPath}` })));
+    return;
+  }
+
+  const successfulRuns = loadSuccessfulRuns('funds', fundId, provider, runDate);
+  if (successfulRuns.length === 0) {
+    console.log(JSON.stringify(emptyResult({ returnBasis, baseCurrency, benchmarkTicker, reason: 'no successful runs' })));
+    return;
+  }
+  const inceptionDate = successfulRuns[0].date;
+
+  const nowEpoch = Math.floor(Date.now() / 1000);
+  const period1 = Math.floor(dateMs(inceptionDate) / 1000) - (14 * 86400);
+  const period2 = Math.min(nowEpoch, Math.floor(dateMs(runDate) / 1000) + (4 * 86400));
+
+  const tickers = new Set([benchmarkTicker, ...benchSectors.map((b) => b.proxy)]);
+  for (const run of successfulRuns) {
+    for (const h of run.holdings) tickers.add(h.ticker);
+  }
+
+  const prices = createPriceStore(createMarketDataProvider(marketDataOptions));
+  const chartCache = new Map();
+  const loadCharts = (list) => mapWithConcurrency(list, 8, async (ticker) => {
+    chartCache.set(ticker, await prices.loadCloseSeries(ticker, { period1, period2 }, { basis: returnBasis }));
+  });
+  await loadCharts([...tickers]);
+  await loadCharts(requiredFxPairs([...chartCache.values()], baseCurrency));
+  const chartFor = baseCurrencyChartFor((ticker) => chartCache.get(ticker) || null, baseCurrency);
+
+  const navResult = computeNav(successfulRuns, chartFor, benchmarkTicker, runDate);
+  const report = sectorAttribution(navResult, { sectorConfig, benchmarkTicker, chartFor });
+  if (!report) {
+    console.log(JSON.stringify(emptyResult({ returnBasis, baseCurrency, benchmarkTicker, inceptionDate, reason: 'insufficient price data' })));
+    return;
+  }
+
+  console.log(JSON.stringify({
+    method: 'brinson_fachler_sector',
+    return_basis: returnBasis,
+    base_currency: baseCurrency,
+    benchmark_ticker: benchmarkTicker,
+    inception_date: inceptionDate,
+    asof_price_date: navResult.asofPriceDate,
+    reason: null,
+    since_inception: report.since_inception,
+    segments: report.segments,
+    missing_proxies: report.missing_proxies,
+  }));
+}
+
+await main();
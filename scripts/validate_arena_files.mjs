@@ -0,0 +1,81 @@
+// validate_arena_files.mjs — Check arena input packs and Dexter outputs against their JSON Schemas.
+// Usage: node scripts/validate_arena_files.mjs [--json] <path>...
+// Each path is an arena_input_pack.json or dexter_output.json file, a run
+// directory, or any directory above them (e.g. funds/), searched recursively.
+// Schemas: funds/arena/schemas/arena-input-pack.schema.json and dexter-output.schema.json.
+// Prints one line per violation (file, JSON path, message), or with --json a
+// single report object. Exits 1 when any file has violations, 64 on bad usage.
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { basename, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validate } from './lib/json_schema.mjs';
+
+const SCHEMA_DIR = fileURLToPath(new URL('../funds/arena/schemas/', import.meta.url));
+const SCHEMA_BY_FILE = {
+  'arena_input_pack.json': 'arena-input-pack.schema.json',
+  'dexter_output.json': 'dexter-output.schema.json',
+};
+const SKIP_DIRS = new Set(['.git', '.cache', 'node_modules']);
+
+function collectFiles(path, out) {
+  const stat = statSync(path);
+  if (stat.isFile()) {
+    out.push(path);
+    return;
+  }
+  for (const entry of readdirSync(path).sort()) {
+    const child = join(path, entry);
+    if (statSync(child).isDirectory()) {
+      if (!SKIP_DIRS.has(entry)) collectFiles(child, out);
+    } else if (SCHEMA_BY_FILE[entry]) {
+      out.push(child);
+    }
+  }
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const asJson = argv.includes('--json');
+  const paths = argv.filter((a) => a !== '--json');
+  if (paths.length === 0 || paths.some((p) => !existsSync(p))) {
+    console.error('Usage: node scripts/validate_arena_files.mjs [--json] <arena_input_pack.json|dexter_output.json|run_dir|funds_dir>...');
+    process.exit(64);
+  }
+
+  const files = [];
+  for (const p of paths) collectFiles(p, files);
+
+  const schemas = {};
+  const violations = [];
+  let invalidFiles = 0;
+  for (const file of files) {
+    const schemaName = SCHEMA_BY_FILE[basename(file)];
+    if (!schemaName) {
+      console.error(`No schema for ${file} (expected one of ${Object.keys(SCHEMA_BY_FILE).join(', ')})`);
+      process.exit(64);
+    }
+    schemas[schemaName] ||= JSON.parse(readFileSync(join(SCHEMA_DIR, schemaName), 'utf8'));
+
+    let errors;
+    try {
+      errors = validate(schemas[schemaName], JSON.parse(readFileSync(file, 'utf8')));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      errors = [{ path: '$', message: `invalid JSON: ${err.message}` }];
+    }
+    if (errors.length > 0) invalidFiles += 1;
+    const rel = relative(process.cwd(), file);
+    const name = rel && !rel.startsWith('..') ? rel : file;
+    for (const e of errors) violations.push({ file: name, schema: schemaName, path: e.path, message: e.message });
+  }
+
+  if (asJson) {
+    process.stdout.write(`${JSON.stringify({ files_checked: files.length, files_invalid: invalidFiles, violations })}\n`);
+  } else {
+    for (const v of violations) console.log(`${v.file}: ${v.path} ${v.message}`);
+    console.log(`Checked ${files.length} file(s): ${invalidFiles} with schema violations.`);
+  }
+  process.exit(invalidFiles > 0 ? 1 : 0);
+}
+
+main();